@@ -4,21 +4,106 @@
  * @author "Ryan B. Harvey <ryan.b.harvey@ted.com>"
  */
 
+const getConfig = require('./lib/util/config');
+
 /**
  * Main function interface to the library. Returns object of classes when called.
+ *
+ * Called with configuration options, it returns subclasses of the library's classes
+ * bound to a configuration of their own, made of the defaults and these options, so
+ * that differently configured instances of the library (e.g. using two different
+ * `ffmpeg` builds) can be used side by side. Called without options, it returns the
+ * library's classes, using the process-wide configuration.
+ *
  * @param {Object} opts - an object of configuration options (@see Config)
- * @returns {Object} - the library's interface classes: {@linkcode FFmpegCommand},  {@linkcode FFmpegInput},  {@linkcode FFmpegOutput},  {@linkcode FilterNode},  {@linkcode FilterChain}
+ * @returns {Object} - the library's interface classes: {@linkcode FFmpegCommand},  {@linkcode FFmpegInput},  {@linkcode FFmpegOutput},  {@linkcode FFprobe},  {@linkcode FilterNode},  {@linkcode FilterChain},  {@linkcode FilterGraph},  {@linkcode FilterRegistry},  {@linkcode OptionSchema}
  */
 const getFessonia = (opts = {}) => {
-  require('./lib/util/config')(opts);
   const Fessonia = {
     FFmpegCommand: require('./lib/ffmpeg_command'),
     FFmpegInput: require('./lib/ffmpeg_input'),
     FFmpegOutput: require('./lib/ffmpeg_output'),
+    FFprobe: require('./lib/ffprobe'),
     FilterNode: require('./lib/filter_node'),
-    FilterChain: require('./lib/filter_chain')
+    FilterChain: require('./lib/filter_chain'),
+    FilterGraph: require('./lib/filter_graph'),
+    FilterRegistry: require('./lib/filter_registry'),
+    OptionSchema: require('./lib/option_schema')
   };
-  return Fessonia;
+  if (Object.keys(opts).length === 0) {
+    return Fessonia;
+  }
+  return bindClasses(Fessonia, getConfig.createConfig(opts));
 }
 
+/**
+ * Create subclasses of the library's classes bound to a configuration
+ * @param {Object} classes - the library's classes
+ * @param {Object} config - the configuration
+ * @returns {Object} - subclasses of the library's classes using the given configuration
+ * @private
+ */
+const bindClasses = (classes, config) => {
+  /** FFmpegInput bound to a configuration */
+  class FFmpegInput extends classes.FFmpegInput {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+  }
+  /** FFmpegOutput bound to a configuration */
+  class FFmpegOutput extends classes.FFmpegOutput {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+  }
+  /** FFprobe bound to a configuration */
+  class FFprobe extends classes.FFprobe {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+  }
+  /** FilterNode bound to a configuration */
+  class FilterNode extends classes.FilterNode {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+  }
+  /** FilterChain bound to a configuration */
+  class FilterChain extends classes.FilterChain {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+  }
+  /** FilterGraph bound to a configuration */
+  class FilterGraph extends classes.FilterGraph {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+    /** @returns {Object} - the bound `FilterChain` and `FilterNode` classes */
+    static get _classes () { return { FilterChain, FilterNode }; }
+  }
+  /** FFmpegCommand bound to a configuration */
+  class FFmpegCommand extends classes.FFmpegCommand {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+    /** @returns {Object} - the bound `FFmpegInput`, `FFmpegOutput`, `FFprobe`, `FilterGraph`, `FilterChain` and `FilterNode` classes */
+    static get _classes () { return { FFmpegInput, FFmpegOutput, FFprobe, FilterGraph, FilterChain, FilterNode }; }
+  }
+  /** FilterRegistry bound to a configuration */
+  class FilterRegistry extends classes.FilterRegistry {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+  }
+  /** OptionSchema bound to a configuration */
+  class OptionSchema extends classes.OptionSchema {
+    /** @returns {Object} - the config object */
+    static get config () { return config; }
+  }
+  return {
+    FFmpegCommand,
+    FFmpegInput,
+    FFmpegOutput,
+    FFprobe,
+    FilterNode,
+    FilterChain,
+    FilterGraph,
+    FilterRegistry,
+    OptionSchema
+  };
+};
+
 module.exports = getFessonia;
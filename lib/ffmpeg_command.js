@@ -3,11 +3,56 @@
  */
 
 const { EventEmitter } = require('events');
+const cp = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
 const config = require('./util/config')()
 const FFmpegError = require('./ffmpeg_error')
-const { createCommandString } = require('./util/command_string_creator');
+const Chunker = require('./util/chunker');
+const { createCommandString, pushArguments, splitCommandString } = require('./util/command_string_creator');
 const FFmpegProgressEmitter = require('./ffmpeg_progress_emitter')
+const FFmpegInput = require('./ffmpeg_input');
+const FFmpegOutput = require('./ffmpeg_output');
+const FFmpegOption = require('./ffmpeg_option');
+const OptionSchema = require('./option_schema');
+const FFmpegStreamSpecifier = require('./ffmpeg_stream_specifier');
 const FilterGraph = require('./filter_graph')
+const FilterChain = require('./filter_chain');
+const FilterNode = require('./filter_node');
+const FFprobe = require('./ffprobe');
+const { parseTime } = require('./util/time');
+const { pipeFd } = require('./util/streams');
+const { guessMediaType } = require('./util/media_type');
+const { diagram, toDot, toMermaid } = require('./util/graph_diagram');
+const { bashScript, makefile } = require('./util/command_script');
+const { childLogger, logFFmpegOutput } = require('./util/logger');
+
+const stat = promisify(fs.stat);
+const DEFAULT_STOP_TIMEOUT_MS = 5000;
+
+/**
+ * The largest output of ffmpeg kept by `execute`, on stdout and on stderr, as ffmpeg's
+ * log goes well over the default 1 MB of `execFile` on long encodes
+ *
+ * @private
+ */
+const EXECUTE_MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * The command each input was added to
+ *
+ * @private
+ */
+const inputOwners = new WeakMap();
+
+/**
+ * The id of the next command created, used as the default `id` of commands
+ *
+ * @private
+ */
+let nextCommandId = 1;
 
 /**
  * Class representing an FFmpeg command (`ffmpeg ...`)
@@ -20,45 +65,84 @@ class FFmpegCommand extends EventEmitter {
    * @param {Object} options - the global options for the command
    *
    * @property {Map<string,Object>} options - global options for the command
+   * @property {number|string} id - the id of the command in the context of its log messages (default: a number counting the commands created)
    * @property {Array<FFmpegInput>} _inputs - input files (with their options) for the command
    * @property {Array<FFmpegOutput>} _outputs - output files (with their options) for the command
    * @property {Array<FilterGraph>|undefined} _filterGraph - the command's filter graph
+   * @property {number|undefined} _expectedDuration - the expected duration of the output in seconds
    *
    * @emits FFmpegCommand#update
    */
   constructor (options = new Map()) {
     super();
     this.type = 'FFmpegCommand';
-    this.options = FFmpegCommand.validateOptions(options);
+    this.id = nextCommandId;
+    nextCommandId += 1;
+    this.options = this.constructor._withDefaultOptions(this.constructor.validateOptions(options));
     this._inputs = [];
     this._outputs = [];
     this._filterGraph = undefined;
-    this._progressEmitter = new FFmpegProgressEmitter();
-    /**
-     * @event FFmpegCommand#update
-     * @description Event with an update on FFmpeg progress on the command. Progress lines from FFmpeg are parsed by an {@link FFmpegProgressEmitter} object to generate the data for this event.
-     * @type {Object}
-     * @property {any} * - all properties included in the FFmpegProgressEmitter's `progressData` object
-     */
-    this._progressEmitter.on('update', (data) => this.emit('update', data));
+    this._expectedDuration = undefined;
+    this._resetProgressEmitter();
+  }
+
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
+  }
+
+  /**
+   * The classes of the inputs, outputs, probes and filters created by the class, sharing its configuration
+   * @returns {Object} - the `FFmpegInput`, `FFmpegOutput`, `FFprobe`, `FilterGraph`, `FilterChain` and `FilterNode` classes
+   *
+   * @private
+   */
+  static get _classes () {
+    return { FFmpegInput, FFmpegOutput, FFprobe, FilterGraph, FilterChain, FilterNode };
+  }
+
+  /**
+   * The logger of the command: a child of the configured logger, with the command's `id` as `commandId` context
+   * @returns {Object} - the logger
+   */
+  get logger () {
+    return childLogger(this.constructor.config.logger, { commandId: this.id });
   }
 
   /**
    * Add an input to the FFmpegCommand object
+   *
+   * An input reading from a stream is given stdin (`pipe:0`), or the next free
+   * file descriptor (`pipe:3`, ...) if stdin is already taken.
+   *
    * @param {FFmpegInput} input - ffmpeg input object
    * @returns {void}
    */
   addInput (input) {
     input.inputLabel = this._inputs.length;
+    inputOwners.set(input, this);
+    if (input.stream) {
+      this._assignPipe(input, 0);
+    }
     this._inputs.push(input);
   }
 
   /**
    * Add an output to the FFmpegCommand object
+   *
+   * An output writing to a stream is given stdout (`pipe:1`), or the next free
+   * file descriptor (`pipe:3`, ...) if stdout is already taken.
+   *
    * @param {FFmpegOutput} output - ffmpeg output object
    * @returns {void}
    */
   addOutput (output) {
+    if (output.stream) {
+      this._assignPipe(output, 1);
+    }
     this._outputs.push(output);
   }
 
@@ -69,11 +153,61 @@ class FFmpegCommand extends EventEmitter {
    */
   addFilterChain (filterChain) {
     if (typeof this._filterGraph === 'undefined') {
-      this._filterGraph = new FilterGraph();
+      this._filterGraph = new this.constructor._classes.FilterGraph();
     }
     this._filterGraph.addFilterChain(filterChain);
   }
 
+  /**
+   * Get the value of a global option
+   * @param {string} name - the option name; aliases (e.g. `lavfi` for `filter_complex`) match too
+   * @returns {any} - the option value (null for options without a value), or undefined if the option is not set
+   */
+  getOption (name) {
+    const key = this._optionKeys(name)[0];
+    return key === undefined ? undefined : this.options.get(key);
+  }
+
+  /**
+   * Check whether a global option is set
+   * @param {string} name - the option name; aliases (e.g. `lavfi` for `filter_complex`) match too
+   * @returns {boolean} - true if the option is set
+   */
+  hasOption (name) {
+    return this._optionKeys(name).length > 0;
+  }
+
+  /**
+   * Set a global option, replacing any value it has in place, or adding it at the end if it is not set
+   * @param {string} name - the option name; aliases (e.g. `lavfi` for `filter_complex`) are replaced too
+   * @param {any} value - the option value (default: null, for options without a value)
+   * @returns {void}
+   */
+  setOption (name, value = null) {
+    const [key, ...others] = this._optionKeys(name);
+    if (key === undefined) {
+      this.options.set(name, value);
+      return;
+    }
+    // rebuild the Map to keep the option in its place under its new name
+    const entries = Array.from(this.options)
+      .filter(([k]) => !others.includes(k))
+      .map(([k, v]) => (k === key ? [name, value] : [k, v]));
+    this.options.clear();
+    entries.forEach(([k, v]) => this.options.set(k, v));
+  }
+
+  /**
+   * Remove a global option
+   * @param {string} name - the option name; aliases (e.g. `lavfi` for `filter_complex`) are removed too
+   * @returns {boolean} - true if the option was set
+   */
+  removeOption (name) {
+    const keys = this._optionKeys(name);
+    keys.forEach((key) => this.options.delete(key));
+    return keys.length > 0;
+  }
+
   /**
    * Get inputs on the FFmpegCommand object
    *
@@ -101,6 +235,170 @@ class FFmpegCommand extends EventEmitter {
     return (this._filterGraph);
   }
 
+  /**
+   * Draw the command's inputs, filter graph and outputs as a Graphviz DOT digraph
+   *
+   * Streams are drawn as edges labelled with their stream specifier, from inputs
+   * and filter chains to the filter chains using them and the outputs they are mapped to.
+   * The `split` and `asplit` filters added for pads used more than once are drawn too.
+   *
+   * @returns {string} - the DOT source
+   */
+  toDot () {
+    return toDot(this._diagram());
+  }
+
+  /**
+   * Draw the command's inputs, filter graph and outputs as a Mermaid flowchart (see {@link FFmpegCommand#toDot})
+   * @returns {string} - the Mermaid source
+   */
+  toMermaid () {
+    return toMermaid(this._diagram());
+  }
+
+  /**
+   * Build the diagram of the command's inputs, filter graph and outputs
+   * @returns {Object} - the diagram's nodes and edges
+   *
+   * @private
+   */
+  _diagram () {
+    const chains = typeof this._filterGraph === 'undefined' ? [] : this._filterGraph.chains;
+    const { splits, streams } = this._splitSharedPads();
+    return diagram(chains.concat(splits), this._inputs, this._outputs, streams);
+  }
+
+  /**
+   * Check the command for mistakes that ffmpeg would only report once running
+   *
+   * Each problem has a `code`, a `message` and the `entity` (input, filter chain
+   * or output) it concerns. The codes are:
+   * - `unused-output-pad`: a filter chain output pad that is neither used by a filter chain nor mapped to an output
+   * - `missing-input`: a stream of an input that is not added to the command
+   * - `missing-filter-chain`: a stream of a filter chain that is not added to the command
+   * - `foreign-stream`: a stream of an input or filter chain that belongs to another command
+   * - `cycle`: filter chains that use each other's outputs in a loop
+   * - `unmapped-output`: an output with no streams, while other outputs map theirs with `-map`
+   * - `invalid-option`: an option that is unknown, used in the wrong place or given an invalid value
+   *   (only checked when a `schema` is given, see {@link OptionSchema#checkOption})
+   *
+   * @param {Object} options - validation options (default: {})
+   * @param {OptionSchema} options.schema - (optional) the option schema to check options against
+   *
+   * @returns {Array<Object>} - the problems found, if any
+   */
+  validate ({ schema } = {}) {
+    const problems = [];
+    const problem = (code, entity, message) => problems.push({ code, message, entity });
+    const chains = typeof this._filterGraph === 'undefined' ? [] : this._filterGraph.chains;
+    const used = new Set();
+    const users = [
+      ...chains.map((chain) => [chain, chain.inputs]),
+      ...this._outputs.map((output) => [output, output.streams])
+    ];
+    for (let [user, specifiers] of users) {
+      for (let specifier of specifiers) {
+        used.add(specifier);
+        const stream = `stream ${specifier.toString()} used by ${describe(user, chains)}`;
+        if (specifier.entityType === 'FFmpegInput' && !this._inputs.includes(specifier.entity)) {
+          if (inputOwners.has(specifier.entity)) {
+            problem('foreign-stream', user, `${stream} belongs to an input of another command`);
+          } else {
+            problem('missing-input', user, `${stream} refers to input ${specifier.entity.url}, which is not added to the command`);
+          }
+        }
+        if (specifier.entityType === 'FilterChain' && !chains.includes(specifier.entity)) {
+          if (specifier.entity.filterGraph) {
+            problem('foreign-stream', user, `${stream} belongs to a filter chain of another filter graph`);
+          } else {
+            problem('missing-filter-chain', user, `${stream} refers to a filter chain which is not added to the command`);
+          }
+        }
+      }
+    }
+    for (let chain of chains) {
+      for (let message of chain.checkOutputPads()) {
+        problem('unused-output-pad', chain, `${message} in ${describe(chain, chains)}`);
+      }
+      for (let specifier of chain.streamSpecifiers.filter((s) => !used.has(s))) {
+        problem('unused-output-pad', chain, `output pad ${specifier.toString()} of ${describe(chain, chains)} is neither used by a filter chain nor mapped to an output`);
+      }
+    }
+    for (let cycle of findCycles(chains)) {
+      problem('cycle', cycle[0], `${cycle.concat([cycle[0]]).map((chain) => describe(chain, chains)).join(' -> ')} form a cycle`);
+    }
+    if (this._outputs.some((output) => output.streams.length > 0)) {
+      for (let output of this._outputs.filter((o) => o.streams.length === 0)) {
+        problem('unmapped-output', output, `${describe(output, chains)} has no streams, while other outputs use -map`);
+      }
+    }
+    if (schema) {
+      const places = [
+        [this, 'global', Array.from(this.options).map(([name, value]) => new FFmpegOption(name, value === undefined ? null : value))],
+        ...this._inputs.map((input) => [input, 'input', input.options]),
+        ...this._outputs.map((output) => [output, 'output', output.options])
+      ];
+      for (let [entity, place, options] of places) {
+        const where = entity === this ? 'global options' : describe(entity, chains);
+        for (let option of options) {
+          option.check(place, schema).forEach((message) => problem('invalid-option', entity, `${where}: ${message}`));
+        }
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Get the expected duration of the output, used to add `percent` and `etaSeconds` to 'update' events
+   *
+   * @returns {number|undefined} the expected duration in seconds, if known
+   */
+  get expectedDuration () {
+    return this._expectedDuration;
+  }
+
+  /**
+   * Set the expected duration of the output, used to add `percent` and `etaSeconds` to 'update' events
+   * @param {number|undefined} seconds - the expected duration in seconds (see also {@link FFmpegCommand#probeExpectedDuration})
+   */
+  set expectedDuration (seconds) {
+    if (seconds !== undefined && !(typeof seconds === 'number' && seconds >= 0)) {
+      throw new Error('Invalid parameter: expectedDuration must be a non-negative number of seconds');
+    }
+    this._expectedDuration = seconds;
+    this._progressEmitter.expectedDuration = seconds;
+  }
+
+  /**
+   * Find the expected duration of the output by probing the inputs with ffprobe
+   *
+   * Honours `-ss`, `-t` and `-to` on inputs and outputs, and `-shortest` on outputs.
+   * Filter and stream inputs are not probed, so they only have a duration if given `-t` or `-to`.
+   * The result is also set as the command's {@link FFmpegCommand#expectedDuration}.
+   *
+   * @returns {Promise<number|undefined>} - a promise resolving with the expected duration in seconds, if it can be known
+   *
+   * @throws {FFmpegError}
+   */
+  probeExpectedDuration () {
+    return Promise.all(this._inputs.map((input) => this.constructor._probeInputDuration(input)))
+      .then((inputDurations) => {
+        const known = inputDurations.filter((d) => d !== undefined);
+        const longest = known.length > 0 && known.length === inputDurations.length ? Math.max(...known) : undefined;
+        const shortest = known.length > 0 ? Math.min(...known) : undefined;
+        let expected = longest;
+        if (this._outputs.length > 0) {
+          const outputDurations = this._outputs.map((output) => limitDuration(
+            output.options.some((o) => o.name === 'shortest') ? shortest : longest,
+            output.options
+          ));
+          expected = outputDurations.includes(undefined) ? undefined : Math.max(...outputDurations);
+        }
+        this.expectedDuration = expected;
+        return expected;
+      });
+  }
+
   /**
    * Get most recent log lines from the ffmpeg run
    * @param {number} n - the number of lines to pull (default: 1)
@@ -121,42 +419,537 @@ class FFmpegCommand extends EventEmitter {
   /**
    * Generate the command representation of the command
    *
-   * @returns {Object} - an object containing keys 'command' and 'args'
+   * ffmpeg only lets each filter chain output pad be used once, so a pad used by
+   * several filter chains or outputs is fed to a `split` (or `asplit` for audio)
+   * filter appended to the filter graph, and each of them gets one of its outputs.
+   * Input streams used several times are left as they are, as ffmpeg allows it.
+   *
+   * @returns {Object} - an object containing keys 'command', 'args' and 'optionIndexes' (the positions of option names in 'args')
    */
   toCommand () {
-    const result = { command: config.ffmpeg_bin };
+    const parts = { args: [], optionIndexes: [] };
     // Handle global options
-    let args = [];
     this.options.forEach((value, opt) => {
-      args.push(`-${opt}`);
-      if (value !== null && value !== undefined) {
-        args.push(value.toString());
-      }
+      pushArguments(parts, value !== null && value !== undefined ? [`-${opt}`, value.toString()] : [`-${opt}`], true);
     });
     // Handle inputs
     for (let input of this._inputs) {
-      args = args.concat(input.toCommandArray());
+      input._commandParts(parts);
     }
     // Handle filterGraph
+    const { splits, streams } = this._splitSharedPads();
     if (typeof this._filterGraph !== 'undefined') {
-      args.push('-filter_complex', this.filterGraph.toString());
+      const chains = this._filterGraph.chains.map((chain) => chain.toString(streams.get(chain)));
+      pushArguments(parts, ['-filter_complex', chains.concat(splits.map((split) => split.toString())).join(';')], true);
     }
     // Handle outputs
     for (let output of this._outputs) {
-      args = args.concat(output.toCommandArray());
+      output._commandParts(streams.get(output), parts);
     }
-    result.args = args;
-    return (result);
+    return { command: this.constructor.config.ffmpeg_bin, args: parts.args, optionIndexes: parts.optionIndexes };
   }
 
   /**
    * Generate the string representation of the command
    *
+   * Values are single-quoted for POSIX shells by default, so that the command string
+   * can be pasted into a shell as it is.
+   *
+   * @param {Object} options - (optional) the `shell` to quote the command string for: `'posix'` (default), `'cmd'` (batch files) or `'powershell'`
    * @returns {string} - the command string to be executed
    */
-  toString () {
+  toString ({ shell } = {}) {
     const cmd = this.toCommand();
-    return createCommandString(cmd.command, cmd.args);
+    return createCommandString(cmd.command, cmd.args, { optionIndexes: cmd.optionIndexes, shell });
+  }
+
+  /**
+   * Generate the JSON representation of the command, to recreate it with {@link FFmpegCommand.fromJSON}
+   *
+   * Stream specifiers are listed once in `streams` and referred to by their position
+   * there, so that streams shared between filter chains and outputs stay shared.
+   * Filter objects used as option values are kept as their string representation.
+   *
+   * @returns {Object} - the global `options`, `inputs`, `filterGraph`, `streams` and `outputs` of the command
+   * @throws {Error}
+   */
+  toJSON () {
+    if (this._inputs.some((i) => i.stream) || this._outputs.some((o) => o.stream)) {
+      throw new Error('Cannot serialize a command with stream inputs or outputs');
+    }
+    const chains = typeof this._filterGraph === 'undefined' ? [] : this._filterGraph.chains;
+    const streams = [];
+    const streamIndex = (specifier) => {
+      if (!streams.includes(specifier)) {
+        if (specifier.entityType === 'FFmpegInput' && !this._inputs.includes(specifier.entity)) {
+          throw new Error(`Cannot serialize stream ${specifier.toString()}: its input is not added to the command`);
+        }
+        if (specifier.entityType === 'FilterChain' && !chains.includes(specifier.entity)) {
+          throw new Error(`Cannot serialize stream ${specifier.toString()}: its filter chain is not added to the command`);
+        }
+        streams.push(specifier);
+      }
+      return streams.indexOf(specifier);
+    };
+    const optionsJSON = (options) => options.map((o) => [o.name, jsonValue(o.arg)]);
+    // all output pads are listed, as the labels of unused ones are part of the command too
+    chains.forEach((chain) => chain.streamSpecifiers.forEach(streamIndex));
+    const json = {
+      options: Array.from(this.options).map(([name, value]) => [name, jsonValue(value)]),
+      inputs: this._inputs.map((input) => ({ url: input.url, options: optionsJSON(input.options) })),
+      filterGraph: typeof this._filterGraph === 'undefined' ? null : {
+        chains: chains.map((chain) => ({ nodes: chain.nodes.map((node) => node.toJSON()), inputs: chain.inputs.map(streamIndex) }))
+      },
+      outputs: this._outputs.map((output) => ({
+        url: output.url, options: optionsJSON(output.options), streams: output.streams.map(streamIndex)
+      })),
+      expectedDuration: this._expectedDuration === undefined ? null : this._expectedDuration
+    };
+    json.streams = streams.map((specifier) => {
+      if (specifier.entityType === 'FFmpegInput') {
+        const stream = { input: this._inputs.indexOf(specifier.entity), specifier: specifier.specifier };
+        return Object.assign(stream, specifier.isExcluded ? { exclude: true } : {}, specifier.isOptional ? { optional: true } : {});
+      }
+      if (specifier.entityType === 'FilterChain') {
+        const stream = { chain: chains.indexOf(specifier.entity), pad: parseInt(specifier.specifier, 10) };
+        return specifier.label === undefined ? stream : Object.assign(stream, { label: specifier.label });
+      }
+      return { literal: specifier.specifier };
+    });
+    return json;
+  }
+
+  /**
+   * Execute the command and return a promise for the output
+   * @param {Object} options - execution options (default: {})
+   * @param {AbortSignal} options.signal - (optional) a signal to stop ffmpeg with (see {@link FFmpegCommand#stop})
+   * @param {number} options.timeoutMs - (optional) stop ffmpeg with `SIGTERM` (then `SIGKILL`) if it runs longer than this
+   *
+   * Once ffmpeg has exited, the lines of its log are passed to the command's logger
+   * (see {@link FFmpegCommand#spawn}). `stallTimeoutMs` is not supported, as the progress
+   * of ffmpeg is not read: the returned promise rejects if it is given.
+   *
+   * @returns {Promise<string>} - a promise resolving with the `stdout` output of ffmpeg
+   *
+   * @throws {FFmpegError}
+   */
+  execute (options = {}) {
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(this._createAbortedError());
+    }
+    if (options.stallTimeoutMs) {
+      return Promise.reject(new Error('Cannot execute a command with stallTimeoutMs: use spawn() or run() instead'));
+    }
+    if (this._inputs.some((i) => i.stream) || this._outputs.some((o) => o.stream)) {
+      return Promise.reject(new Error('Cannot execute a command with stream inputs or outputs: use spawn() or run() instead'));
+    }
+    let cmd;
+    try {
+      this._checkOptions();
+      cmd = this._runCommand();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    const ffmpegLogger = childLogger(this.logger, { source: 'ffmpeg' });
+    return new Promise((resolve, reject) => {
+      let run;
+      const proc = cp.execFile(cmd.command, cmd.args, { maxBuffer: EXECUTE_MAX_BUFFER }, (err, stdout, stderr) => {
+        cmd.cleanup();
+        if (typeof stderr === 'string') {
+          logFFmpegOutput(ffmpegLogger, stderr);
+        }
+        if (run.reason) {
+          return reject(new FFmpegError({
+            message: err ? err.message : stderr,
+            code: proc.exitCode,
+            signal: proc.signalCode,
+            cmd: this.toString(),
+            killed: run.killed,
+            reason: run.reason,
+            description: run.description
+          }));
+        }
+        if (err) {
+          return reject(new FFmpegError(err));
+        }
+        resolve(stdout);
+      });
+      run = this._trackRun(proc, options);
+    });
+  }
+
+  /**
+   * Spawn a child process to execute the command and return the child process
+   * @param {boolean} emitProgress - parse ffmpeg progress output and emit 'update' events (default: true)
+   * @param {Object} options - execution options (default: {})
+   * @param {AbortSignal} options.signal - (optional) a signal to stop ffmpeg with (see {@link FFmpegCommand#stop})
+   * @param {number} options.timeoutMs - (optional) stop ffmpeg with `SIGTERM` (then `SIGKILL`) if it runs longer than this
+   * @param {number} options.stallTimeoutMs - (optional) stop ffmpeg the same way if its progress (`out_time`) does not move for this long (requires `emitProgress`)
+   *
+   * Stream inputs and outputs are piped into and out of the process, with backpressure.
+   * If ffmpeg closes an input pipe early (EPIPE), the rest of that input stream is left
+   * unread; an error on a stream stops the run with reason `'failed'`.
+   *
+   * A filter graph longer than the `filter_script_threshold` config option is passed
+   * to ffmpeg in a temporary file, removed once the process has exited.
+   *
+   * With `emitProgress`, the lines of ffmpeg's log are passed to the command's logger,
+   * with `source: 'ffmpeg'` as context, at the level printed by ffmpeg with
+   * `-loglevel level+...` or else guessed from their text.
+   *
+   * @returns {ChildProcess} - the child process
+   *
+   * @throws {Error} if more than one stream, file or progress output claims the same pipe,
+   *                 if `stallTimeoutMs` is given without `emitProgress`,
+   *                 or if options are invalid and the `option_checks` config option is `'error'`
+   */
+  spawn (emitProgress = true, options = {}) {
+    if (options.stallTimeoutMs && !emitProgress) {
+      throw new Error('Cannot detect stalls without progress: stallTimeoutMs requires emitProgress');
+    }
+    // progress goes to stderr with the log, rather than to a pipe of its own, as ffmpeg
+    // run within docker cannot attach other file descriptors
+    const progress = emitProgress && !this.options.has('progress') ? 'pipe:2' : undefined;
+    const claims = this._pipeClaims();
+    for (let [fd, claimants] of claims) {
+      if (claimants.length > 1 && claimants.some((c) => c.stream)) {
+        throw new Error(`Invalid pipes: pipe:${fd} is claimed by more than one input, output or progress option`);
+      }
+    }
+    this._checkOptions();
+    const cmd = this._runCommand({ progress });
+    this._resetProgressEmitter();
+    const maxFd = Math.max(2, ...claims.keys());
+    const stdio = maxFd > 2 ? new Array(maxFd + 1).fill('pipe') : 'pipe';
+    let proc;
+    try {
+      proc = cp.spawn(cmd.command, cmd.args, { stdio: stdio });
+    } catch (err) {
+      cmd.cleanup();
+      throw err;
+    }
+    let logComplete = Promise.resolve();
+    if (emitProgress) {
+      const progressEmitter = this._progressEmitter;
+      logComplete = new Promise((resolve) => progressEmitter.on('finish', resolve));
+      const ffmpegLogger = childLogger(this.logger, { source: 'ffmpeg' });
+      progressEmitter.on('log', (line) => logFFmpegOutput(ffmpegLogger, line));
+      proc.stderr.pipe(new Chunker()).pipe(progressEmitter);
+    }
+    const run = this._trackRun(proc, options, emitProgress ? this._progressEmitter : undefined);
+    run.exitPromise.then(cmd.cleanup);
+    this._connectStreams(proc, run);
+    this._handleProcessEvents(proc, logComplete, run);
+    return proc;
+  }
+
+  /**
+   * Run the command and return a promise for its result
+   *
+   * The promise settles exactly once, after ffmpeg has exited and its log has been fully read.
+   *
+   * @param {Object} options - execution options (default: {})
+   * @param {AbortSignal} options.signal - (optional) a signal to stop ffmpeg with (see {@link FFmpegCommand#stop})
+   * @param {number} options.timeoutMs - (optional) stop ffmpeg with `SIGTERM` (then `SIGKILL`) if it runs longer than this
+   * @param {number} options.stallTimeoutMs - (optional) stop ffmpeg the same way if its progress (`out_time`) does not move for this long
+   *
+   * @returns {Promise<Object>} - a promise resolving with the `success` event data (see {@link FFmpegCommand#event:success})
+   *
+   * @throws {FFmpegError}
+   */
+  run (options = {}) {
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(this._createAbortedError());
+    }
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      const onSuccess = (result) => {
+        this.removeListener('error', onError);
+        resolve(result);
+      };
+      const onError = (err) => {
+        this.removeListener('success', onSuccess);
+        if (err instanceof FFmpegError) {
+          return reject(err);
+        }
+        // the process could not be run at all, e.g. a missing ffmpeg binary
+        statOutputs(this._outputs).then((outputs) => reject(new FFmpegError({
+          message: err.message,
+          code: err.code,
+          cmd: this.toString(),
+          progress: this._progressEmitter,
+          durationMs: Date.now() - startTime,
+          outputs: outputs
+        })));
+      };
+      this.once('success', onSuccess);
+      this.once('error', onError);
+      try {
+        this.spawn(true, options);
+      } catch (err) {
+        this.removeListener('success', onSuccess);
+        this.removeListener('error', onError);
+        reject(err);
+      }
+    });
+  }
+
+  /**
+   * Get an async iterator over the progress updates of the running (or last) ffmpeg process
+   *
+   * The iterator yields the same data as the 'update' event, ends when the process succeeds and
+   * throws the error of the 'error' event when it fails. Updates arriving faster than they are
+   * consumed are coalesced into the latest one by default, so the final state is never missed.
+   * The iterator follows the run that is current when iteration starts (its first `next()`),
+   * so it can be created before {@link FFmpegCommand#spawn} or {@link FFmpegCommand#run}, as
+   * long as it is first consumed after starting the command. Until then it adds no listeners.
+   *
+   * @param {Object} options - iteration options (default: {})
+   * @param {boolean} options.coalesce - keep only the latest pending update instead of buffering all of them (default: true)
+   *
+   * @returns {AsyncIterator<Object>} - the progress updates
+   */
+  progress ({ coalesce = true } = {}) {
+    return (async function* () {
+      // listeners are only added once iteration starts, so that an iterator never consumed
+      // neither leaks them nor handles the command's 'error' events
+      const pending = [];
+      // only the run current when iteration starts can end it, not an earlier one
+      let outcome = this._currentRun ? this._currentRun.outcome : undefined;
+      let wake;
+      const notify = () => {
+        if (wake) {
+          wake();
+          wake = undefined;
+        }
+      };
+      const onUpdate = (data) => {
+        if (coalesce) {
+          pending.length = 0;
+        }
+        pending.push(data);
+        notify();
+      };
+      const onSuccess = (result) => {
+        outcome = { result: result };
+        notify();
+      };
+      const onError = (error) => {
+        outcome = { error: error };
+        notify();
+      };
+      this.on('update', onUpdate);
+      this.on('success', onSuccess);
+      this.on('error', onError);
+      try {
+        while (true) {
+          if (pending.length > 0) {
+            yield pending.shift();
+          } else if (outcome !== undefined) {
+            if (outcome.error !== undefined) {
+              throw outcome.error;
+            }
+            return;
+          } else {
+            await new Promise((resolve) => { wake = resolve; });
+          }
+        }
+      } finally {
+        this.removeListener('update', onUpdate);
+        this.removeListener('success', onSuccess);
+        this.removeListener('error', onError);
+      }
+    }).call(this);
+  }
+
+  /**
+   * Stop the running ffmpeg process, if any
+   *
+   * A graceful stop sends `q` to ffmpeg's stdin so it can finalize its outputs.
+   * If ffmpeg is still running `timeoutMs` later, it is sent `SIGTERM`, then
+   * `SIGKILL` after another `timeoutMs`. The run ends in an {@link FFmpegError}
+   * with `reason` set to `'aborted'`.
+   *
+   * @param {Object} options - stop options (default: {})
+   * @param {boolean} options.graceful - ask ffmpeg to quit before signalling it (default: true)
+   * @param {number} options.timeoutMs - how long to wait before escalating to the next signal (default: 5000)
+   *
+   * @returns {Promise<void>} - a promise resolving once the process has exited
+   */
+  stop (options = {}) {
+    return this._stopRun(this._currentRun, 'aborted', options);
+  }
+
+  /**
+   * Parse an ffmpeg command line into an FFmpegCommand object
+   *
+   * This is the inverse of {@link FFmpegCommand#toCommand}: options before each `-i`
+   * become the options of that FFmpegInput, options before each output url those of
+   * that FFmpegOutput, and global options (`-y`, `-progress`, ...) the command's
+   * options. Whether an option is global and whether it takes an argument is read
+   * from the `option_schema` config option, or the bundled schema; unknown options
+   * are taken to be input or output options with an argument. `-filter_complex` is parsed into the command's filter graph (see
+   * {@link FilterGraph.parse}), and `-map` arguments become stream specifiers on the
+   * inputs or filter chains they refer to.
+   *
+   * The `default_options` config option is not applied to the parsed command, its
+   * inputs or its outputs, so that the command gives back the command line parsed.
+   *
+   * @param {string|Array<string>} commandLine - the command line as a shell string or an argv array, with or without the ffmpeg binary
+   *
+   * @returns {FFmpegCommand} - the command
+   *
+   * @throws {Error} if an option is missing its argument, options follow the last output, or the filter graph is invalid
+   */
+  static parse (commandLine) {
+    const args = typeof commandLine === 'string' ? splitCommandString(commandLine) : commandLine.slice();
+    if (args.length > 0 && !args[0].startsWith('-') &&
+      (args[0] === this.config.ffmpeg_bin || /^ffmpeg(\.exe)?$/i.test(path.basename(args[0])))) {
+      args.shift();
+    }
+    const { FFmpegInput, FFmpegOutput } = this._classes;
+    const schema = this.config.option_schema || OptionSchema.bundled();
+    const cmd = new this();
+    const globals = new Map();
+    const graphs = [];
+    const outputMaps = [];
+    let options = [];
+    let maps = [];
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (!arg.startsWith('-') || arg === '-') {
+        // anything that is not an option or its argument is an output url
+        const output = new FFmpegOutput(arg);
+        output.options = options.map(([name, value]) => new FFmpegOption(name, value));
+        outputMaps.push([output, maps]);
+        cmd.addOutput(output);
+        options = [];
+        maps = [];
+        continue;
+      }
+      const name = arg.slice(1);
+      const definition = schema.mainDefinition(name);
+      const isFlag = definition !== undefined && !definition.takesValue;
+      if (!isFlag && i + 1 >= args.length) {
+        throw new Error(`Invalid command line: missing argument for option ${arg}`);
+      }
+      const value = isFlag ? null : args[++i];
+      if (name === 'i') {
+        if (maps.length > 0) {
+          throw new Error('Invalid command line: -map is an output option, but was found before -i');
+        }
+        const input = new FFmpegInput(value);
+        input.options = options.map(([n, v]) => new FFmpegOption(n, v));
+        cmd.addInput(input);
+        options = [];
+      } else if (name === 'map') {
+        maps.push(value);
+      } else if (name === 'filter_complex' || name === 'lavfi') {
+        graphs.push(value);
+      } else if (definition !== undefined && definition.places.every((place) => place === 'global')) {
+        globals.set(name, value);
+      } else {
+        options.push([name, value]);
+      }
+    }
+    if (options.length > 0 || maps.length > 0) {
+      const trailing = options.map(([name]) => `-${name}`).concat(maps.map(() => '-map'));
+      throw new Error(`Invalid command line: options ${trailing.join(', ')} are not followed by an output`);
+    }
+    cmd.options = globals;
+    // inputs and filter graphs may come in any order, so links are resolved once all are known
+    if (graphs.length > 0) {
+      this._classes.FilterGraph.parse(graphs.join(';'), cmd._inputs).chains.forEach((chain) => cmd.addFilterChain(chain));
+    }
+    for (let [output, outputStreams] of outputMaps) {
+      output.addStreams(outputStreams.map((m) => FFmpegCommand._parseMap(m, cmd._inputs, cmd._filterGraph)));
+    }
+    return cmd;
+  }
+
+  /**
+   * Create a command from its JSON representation (see {@link FFmpegCommand#toJSON})
+   *
+   * As with {@link FFmpegCommand.parse}, the `default_options` config option is not applied.
+   *
+   * @param {string|Object} json - the JSON representation, as a string or parsed
+   * @returns {FFmpegCommand} - the command
+   */
+  static fromJSON (json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const options = (pairs) => pairs.map(([name, value]) => new FFmpegOption(name, value));
+    const { FFmpegInput, FFmpegOutput, FilterChain, FilterNode } = this._classes;
+    const cmd = new this();
+    cmd.options = new Map(data.options);
+    for (let input of data.inputs) {
+      const ffmpegInput = new FFmpegInput(input.url);
+      ffmpegInput.options = options(input.options);
+      cmd.addInput(ffmpegInput);
+    }
+    const chainsJSON = data.filterGraph ? data.filterGraph.chains : [];
+    const chains = chainsJSON.map((chain) => {
+      const filterChain = new FilterChain(chain.nodes.map((node) => FilterNode.fromJSON(node)));
+      cmd.addFilterChain(filterChain);
+      return filterChain;
+    });
+    const streams = data.streams.map((stream) => {
+      if (stream.input !== undefined) {
+        const specifier = cmd._inputs[stream.input].streamSpecifier(stream.specifier);
+        return stream.exclude ? specifier.exclude() : (stream.optional ? specifier.optional() : specifier);
+      }
+      if (stream.chain !== undefined) {
+        const specifier = chains[stream.chain].streamSpecifier(stream.pad);
+        specifier.label = stream.label;
+        return specifier;
+      }
+      return new FFmpegStreamSpecifier(null, stream.literal);
+    });
+    chainsJSON.forEach((chain, i) => chains[i].addInputs(chain.inputs.map((index) => streams[index])));
+    for (let output of data.outputs) {
+      const ffmpegOutput = new FFmpegOutput(output.url);
+      ffmpegOutput.options = options(output.options);
+      ffmpegOutput.addStreams(output.streams.map((index) => streams[index]));
+      cmd.addOutput(ffmpegOutput);
+    }
+    if (data.expectedDuration !== null && data.expectedDuration !== undefined) {
+      cmd.expectedDuration = data.expectedDuration;
+    }
+    return cmd;
+  }
+
+  /**
+   * Write commands as a standalone bash script, to run them outside of node
+   *
+   * The script runs the commands in order with `set -euo pipefail` and the arguments
+   * of their `toCommand()`, with comments describing their inputs and outputs.
+   * Filter graphs longer than the `filterScriptThreshold` are written to a temporary
+   * file by the script and passed with the `filterScriptOption`, as filter graphs
+   * longer than the `filter_script_threshold` config option are when running commands.
+   *
+   * @param {FFmpegCommand|Array<FFmpegCommand>} commands - the command or commands
+   * @param {Object} options - (optional) the `filterScriptThreshold`, in characters (default: the `filter_script_threshold` config option; `null` to always inline filter graphs),
+   *                           and the `filterScriptOption` passing the file (default: the `filter_script_option` config option)
+   * @returns {string} - the bash script
+   */
+  static toScript (commands, options = {}) {
+    return bashScript([].concat(commands), Object.assign({
+      filterScriptThreshold: this.config.filter_script_threshold,
+      filterScriptOption: this.config.filter_script_option
+    }, options));
+  }
+
+  /**
+   * Write commands as a Makefile, with a rule making the outputs of each command
+   *
+   * Rules depend on the rules making their inputs and, for the later passes of a
+   * multi-pass encoding, on the rule of the previous pass. Commands without file
+   * outputs, such as a first pass to `/dev/null`, make a `.stepN.done` file instead.
+   *
+   * @param {FFmpegCommand|Array<FFmpegCommand>} commands - the command or commands
+   * @returns {string} - the Makefile
+   */
+  static toMakefile (commands) {
+    return makefile([].concat(commands));
   }
 
   /**
@@ -172,10 +965,465 @@ class FFmpegCommand extends EventEmitter {
     return (options);
   }
 
+  /**
+   * Combine the default global options of the class, from the `default_options` config option, with the options given
+   * @param {Map<string,Object>} options - the global options given
+   * @returns {Map<string,Object>} - the defaults not given under any of their names, then the options given
+   *
+   * @private
+   */
+  static _withDefaultOptions (options) {
+    const defaults = this.validateOptions((this.config.default_options || {}).global || {});
+    const names = Array.from(options.keys()).map((name) => FFmpegOption.canonicalName(name));
+    return new Map(Array.from(defaults)
+      .filter(([name]) => !names.includes(FFmpegOption.canonicalName(name)))
+      .concat(Array.from(options)));
+  }
+
+  /**
+   * Find the keys of the global options matching an option name
+   *
+   * @param {string} name - the option name
+   *
+   * @returns {Array<string>} - the matching keys, in order
+   *
+   * @private
+   */
+  _optionKeys (name) {
+    const canonicalName = FFmpegOption.canonicalName(name);
+    return Array.from(this.options.keys()).filter((key) => FFmpegOption.canonicalName(key) === canonicalName);
+  }
+
+  /**
+   * Check the options of the command before running it, as set by the `option_checks` config option:
+   * `'warn'` logs the problems found as warnings, `'error'` throws an error listing them
+   * and `'off'` (the default) skips the check
+   *
+   * Options are checked against the `option_schema` config option, or the bundled schema.
+   *
+   * @returns {void}
+   *
+   * @throws {Error} if options are invalid and `option_checks` is `'error'`
+   *
+   * @private
+   */
+  _checkOptions () {
+    const { config } = this.constructor;
+    if (!['warn', 'error'].includes(config.option_checks)) {
+      return;
+    }
+    const schema = config.option_schema || OptionSchema.bundled();
+    const problems = this.validate({ schema }).filter((p) => p.code === 'invalid-option');
+    if (problems.length > 0 && config.option_checks === 'error') {
+      throw new Error(`Invalid options: ${problems.map((p) => p.message).join('; ')}`);
+    }
+    problems.forEach((p) => this._entityLogger(p.entity).warn(`Invalid option: ${p.message}`));
+  }
+
+  /**
+   * Get the logger for messages about an input, an output or the command itself
+   * @param {FFmpegInput|FFmpegOutput|FFmpegCommand} entity - what the messages are about
+   * @returns {Object} - the command's logger, with the `inputUrl` or `outputUrl` of the entity as context
+   *
+   * @private
+   */
+  _entityLogger (entity) {
+    if (entity && entity.type === 'FFmpegInput') {
+      return childLogger(this.logger, { inputUrl: entity.url });
+    }
+    if (entity && entity.type === 'FFmpegOutput') {
+      return childLogger(this.logger, { outputUrl: entity.url });
+    }
+    return this.logger;
+  }
+
+  /**
+   * Generate the command to run, with a filter graph longer than the `filter_script_threshold`
+   * config option written to a temporary file rather than given on the command line
+   *
+   * Long filter graphs would otherwise go over the system's limit on the length of
+   * command lines (`E2BIG`). The file is passed with the option named by the
+   * `filter_script_option` config option: `-filter_complex_script`, or `-/filter_complex`
+   * for ffmpeg 7.0 and later.
+   *
+   * @param {Object} options - (optional) the `progress` url to add as a global option for this run only
+   *
+   * @returns {Object} - the 'command' and 'args' to run, and a 'cleanup' function removing the temporary file, if any
+   *
+   * @private
+   */
+  _runCommand ({ progress } = {}) {
+    const { config } = this.constructor;
+    const { command, args, optionIndexes } = this.toCommand();
+    if (progress !== undefined) {
+      // added to the arguments only, so that the command itself is left unchanged
+      args.unshift('-progress', progress);
+      optionIndexes.forEach((index, i) => { optionIndexes[i] = index + 2; });
+      optionIndexes.unshift(0);
+    }
+    const threshold = config.filter_script_threshold;
+    const index = args.findIndex((arg, i) => arg === '-filter_complex' && optionIndexes.includes(i));
+    if (index < 0 || typeof threshold !== 'number' || args[index + 1].length <= threshold) {
+      return { command, args, cleanup: () => {} };
+    }
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fessonia-'));
+    const file = path.join(dir, 'filter_complex.txt');
+    let cleaned = false;
+    const cleanup = () => {
+      if (cleaned) { return; }
+      cleaned = true;
+      try {
+        if (fs.existsSync(file)) { fs.unlinkSync(file); }
+        fs.rmdirSync(dir);
+      } catch (err) {
+        this.logger.warn(`Could not remove filter script ${file}: ${err.message}`);
+      }
+    };
+    try {
+      fs.writeFileSync(file, args[index + 1]);
+    } catch (err) {
+      cleanup();
+      throw err;
+    }
+    return {
+      command,
+      args: args.slice(0, index).concat(`-${config.filter_script_option}`, file, args.slice(index + 2)),
+      cleanup
+    };
+  }
+
+  /**
+   * Replace the progress emitter with a fresh one for a new run
+   *
+   * @returns {void}
+   *
+   * @private
+   */
+  _resetProgressEmitter () {
+    this._progressEmitter = new FFmpegProgressEmitter();
+    this._progressEmitter.expectedDuration = this._expectedDuration;
+    /**
+     * @event FFmpegCommand#update
+     * @description Event with an update on FFmpeg progress on the command. Progress lines from FFmpeg are parsed by an {@link FFmpegProgressEmitter} object to generate the data for this event.
+     * @type {Object}
+     * @property {any} * - all properties included in the FFmpegProgressEmitter's `progressData` object
+     */
+    this._progressEmitter.on('update', (data) => this.emit('update', data));
+  }
+
+  /**
+   * Find the filter chain output pads used more than once, and create the `split`
+   * or `asplit` chains giving each use a pad of its own
+   *
+   * @returns {Object} - the `splits` chains to add to the filter graph, and the `streams` to use in place of the inputs of each chain and the streams of each output
+   *
+   * @private
+   */
+  _splitSharedPads () {
+    const streams = new Map();
+    const uses = new Map();
+    const owners = typeof this._filterGraph === 'undefined' ? [] : [
+      ...this._filterGraph.chains.map((chain) => [chain, chain.inputs]),
+      ...this._outputs.map((output) => [output, output.streams])
+    ];
+    for (let [owner, specifiers] of owners) {
+      const replaced = specifiers.slice();
+      streams.set(owner, replaced);
+      replaced.forEach((specifier, index) => {
+        if (specifier.entityType === 'FilterChain') {
+          uses.set(specifier, (uses.get(specifier) || []).concat([{ replaced, index }]));
+        }
+      });
+    }
+    const { FilterChain, FilterNode } = this.constructor._classes;
+    const splits = [];
+    for (let [specifier, specifierUses] of uses) {
+      if (specifierUses.length < 2) {
+        continue;
+      }
+      const filterName = guessMediaType(specifier) === 'audio' ? 'asplit' : 'split';
+      const split = new FilterChain([new FilterNode(filterName, [specifierUses.length])]);
+      split.addInput(specifier);
+      const label = specifier.toString().slice(1, -1);
+      specifierUses.forEach(({ replaced, index }, i) => {
+        replaced[index] = split.streamSpecifier(`${label}_${filterName}${i}`);
+      });
+      splits.push(split);
+    }
+    return { splits, streams };
+  }
+
+  /**
+   * Give a stream input or output a `pipe:N` url not used by any other input or output
+   *
+   * @param {FFmpegInput|FFmpegOutput} entity - the input or output reading from or writing to a stream
+   * @param {number} standardFd - the file descriptor to use if it is free (0 for inputs, 1 for outputs)
+   *
+   * @returns {void}
+   *
+   * @private
+   */
+  _assignPipe (entity, standardFd) {
+    // stderr carries the log and progress, so it is never handed out
+    const used = [2, ...this._pipeClaims().keys()];
+    const fd = used.includes(standardFd) ? Math.max(...used) + 1 : standardFd;
+    entity.url = `pipe:${fd}`;
+  }
+
+  /**
+   * Find which inputs, outputs and progress option read from or write to each pipe
+   *
+   * @returns {Map<number,Array<Object>>} - the claimants of each file descriptor, with the stream they use (if any)
+   *
+   * @private
+   */
+  _pipeClaims () {
+    const claims = new Map();
+    const claim = (fd, stream) => {
+      if (fd === undefined) { return; }
+      if (!claims.has(fd)) { claims.set(fd, []); }
+      claims.get(fd).push({ stream: stream });
+    };
+    this._inputs.forEach((i) => claim(pipeFd(i.url, 0), i.stream));
+    this._outputs.forEach((o) => claim(pipeFd(o.url, 1), o.stream));
+    if (this.options.has('progress')) {
+      claim(pipeFd(this.options.get('progress'), 1));
+    }
+    return claims;
+  }
+
+  /**
+   * Pipe the command's stream inputs and outputs into and out of a child process
+   *
+   * @param {ChildProcess} proc - the child process
+   * @param {Object} run - the run state (see {@link FFmpegCommand#_trackRun})
+   *
+   * @returns {void}
+   *
+   * @private
+   */
+  _connectStreams (proc, run) {
+    const fail = (description) => {
+      if (run.reason === undefined) {
+        run.description = description;
+      }
+      this._stopRun(run, 'failed', { graceful: false });
+    };
+    for (let input of this._inputs.filter((i) => i.stream)) {
+      const fd = pipeFd(input.url, 0);
+      const pipe = proc.stdio[fd];
+      if (fd === 0) {
+        // 'q' cannot be sent to ffmpeg when stdin carries media
+        run.stdinInUse = true;
+      }
+      // ffmpeg may close its end before the stream ends (EPIPE), e.g. with -t
+      pipe.on('error', () => input.stream.unpipe(pipe));
+      input.stream.on('error', (err) => fail(`input stream on ${input.url} failed: ${err.message}`));
+      input.stream.pipe(pipe);
+    }
+    for (let output of this._outputs.filter((o) => o.stream)) {
+      const pipe = proc.stdio[pipeFd(output.url, 1)];
+      output.stream.on('error', (err) => {
+        pipe.unpipe(output.stream);
+        fail(`output stream on ${output.url} failed: ${err.message}`);
+      });
+      pipe.pipe(output.stream);
+    }
+  }
+
+  /**
+   * Create the error for a run aborted before it was started
+   *
+   * @returns {FFmpegError} - the error
+   *
+   * @private
+   */
+  _createAbortedError () {
+    return new FFmpegError({
+      message: 'The operation was aborted',
+      cmd: this.toString(),
+      killed: false,
+      reason: 'aborted'
+    });
+  }
+
+  /**
+   * Start tracking the state of a child process, so that it can be stopped
+   *
+   * @param {ChildProcess} proc - the child process to track
+   * @param {Object} options - execution options (see {@link FFmpegCommand#spawn})
+   * @param {FFmpegProgressEmitter|undefined} progressEmitter - the emitter parsing the process' progress, for stall detection
+   *
+   * @returns {Object} - the run state: the process, why it was stopped (if it was), whether it was killed, a promise for its exit and, once reported, its outcome
+   *
+   * @private
+   */
+  _trackRun (proc, options = {}, progressEmitter = undefined) {
+    const run = { proc: proc, reason: undefined, killed: false, exited: false };
+    run.exitPromise = new Promise((resolve) => {
+      const onExit = () => {
+        run.exited = true;
+        resolve();
+      };
+      proc.on('exit', onExit);
+      proc.on('error', () => {
+        // only a process that failed to spawn has no pid
+        if (proc.pid === undefined) { onExit(); }
+      });
+    });
+    this._currentRun = run;
+    // a hung ffmpeg may never read its stdin, so it is signalled rather than asked to quit
+    const expire = (reason, description) => {
+      if (run.reason === undefined) {
+        run.description = description;
+      }
+      this._stopRun(run, reason, { graceful: false });
+    };
+    const { signal, timeoutMs, stallTimeoutMs } = options;
+    if (signal) {
+      const onAbort = () => this._stopRun(run, 'aborted');
+      signal.addEventListener('abort', onAbort, { once: true });
+      run.exitPromise.then(() => signal.removeEventListener('abort', onAbort));
+    }
+    if (timeoutMs) {
+      const timer = setTimeout(() => expire('timeout', `ffmpeg timed out after ${timeoutMs}ms`), timeoutMs);
+      run.exitPromise.then(() => clearTimeout(timer));
+    }
+    if (stallTimeoutMs) {
+      let timer, lastMediaTime;
+      const watch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => expire('stalled', `ffmpeg stalled with no progress for ${stallTimeoutMs}ms`), stallTimeoutMs);
+      };
+      const onUpdate = (data) => {
+        if (data.out_time !== lastMediaTime) {
+          lastMediaTime = data.out_time;
+          watch();
+        }
+      };
+      progressEmitter.on('update', onUpdate);
+      watch();
+      run.exitPromise.then(() => {
+        clearTimeout(timer);
+        progressEmitter.removeListener('update', onUpdate);
+      });
+    }
+    return run;
+  }
+
+  /**
+   * Stop a tracked child process, escalating from `q` on stdin to SIGTERM and SIGKILL
+   *
+   * @param {Object|undefined} run - the run state (see {@link FFmpegCommand#_trackRun})
+   * @param {string} reason - why the process is being stopped
+   * @param {Object} options - stop options (see {@link FFmpegCommand#stop})
+   *
+   * @returns {Promise<void>} - a promise resolving once the process has exited
+   *
+   * @private
+   */
+  _stopRun (run, reason, { graceful = true, timeoutMs = DEFAULT_STOP_TIMEOUT_MS } = {}) {
+    if (!run || run.exited) {
+      return Promise.resolve();
+    }
+    if (run.reason === undefined) {
+      run.reason = reason;
+    }
+    if (!run.stopping) {
+      run.stopping = true;
+      const signals = ['SIGTERM', 'SIGKILL'];
+      let timer;
+      const escalate = () => {
+        clearTimeout(timer);
+        if (run.exited || signals.length === 0) { return; }
+        run.killed = true;
+        run.proc.kill(signals.shift());
+        timer = setTimeout(escalate, timeoutMs);
+      };
+      const stdin = run.proc.stdin;
+      if (graceful && !run.stdinInUse && stdin && stdin.writable) {
+        // ffmpeg quits cleanly, finalizing its outputs, on 'q'
+        stdin.once('error', escalate);
+        stdin.write('q');
+        timer = setTimeout(escalate, timeoutMs);
+      } else {
+        escalate();
+      }
+      run.exitPromise.then(() => clearTimeout(timer));
+    }
+    return run.exitPromise;
+  }
+
+  /**
+   * Parse the argument of a `-map` option into a stream specifier
+   *
+   * @param {string} map - the `-map` argument (e.g. `0:a`, `1`, `[out]`)
+   * @param {Array<FFmpegInput>} inputs - the command's inputs
+   * @param {FilterGraph|undefined} filterGraph - the command's filter graph
+   *
+   * @returns {FFmpegStreamSpecifier} - a specifier on the referenced input or filter chain, or a literal one for anything else
+   *
+   * @private
+   */
+  static _parseMap (map, inputs, filterGraph) {
+    const match = /^(-?)(\d+)(?::(.*?))?(\??)$/.exec(map);
+    if (match && inputs[parseInt(match[2], 10)] && !(match[1] && match[4])) {
+      const specifier = inputs[parseInt(match[2], 10)].streamSpecifier(match[3]);
+      return match[1] ? specifier.exclude() : (match[4] ? specifier.optional() : specifier);
+    }
+    const labelMatch = /^\[(.*)\]$/.exec(map);
+    if (labelMatch && filterGraph) {
+      for (let chain of filterGraph.chains) {
+        const specifier = chain.streamSpecifiers.find((s) => s.label === labelMatch[1]);
+        if (specifier) {
+          return specifier;
+        }
+      }
+    }
+    // unknown pad labels and the like are kept as written
+    return new FFmpegStreamSpecifier(null, map);
+  }
+
+  /**
+   * Find the duration of an input by probing it with ffprobe, limited by its options
+   *
+   * @param {FFmpegInput} input - the input to probe
+   *
+   * @returns {Promise<number|undefined>} - a promise resolving with the input's duration in seconds, if it can be known
+   *
+   * @private
+   */
+  static _probeInputDuration (input) {
+    const isFilterInput = input.filterObject !== undefined ||
+      input.options.some((o) => o.name === 'f' && `${o.arg}` === 'lavfi');
+    if (isFilterInput) {
+      // filter sources are often infinite, so they are never probed
+      return Promise.resolve(limitDuration(undefined, input.options));
+    }
+    if (input.stream || /^pipe:/.test(input.url)) {
+      // ffprobe would wait forever for data on a pipe nobody writes to
+      return Promise.resolve(limitDuration(undefined, input.options));
+    }
+    return this._classes.FFprobe.probe(input).then((result) => {
+      let duration = result.format.duration;
+      if (typeof duration !== 'number') {
+        const streamDurations = result.streams
+          .map((s) => s.duration)
+          .filter((d) => typeof d === 'number');
+        duration = streamDurations.length > 0 ? Math.max(...streamDurations) : undefined;
+      }
+      return limitDuration(duration, input.options);
+    });
+  }
+
   /**
    * Attach handlers for child process events
    *
+   * Only the first of the process' 'exit' and 'error' events is reported.
+   *
    * @param {ChildProcess} proc - the child process to listen on
+   * @param {Promise} logComplete - a promise resolving once the process' log has been fully read
+   * @param {Object} run - the run state (see {@link FFmpegCommand#_trackRun})
    *
    * @emits FFmpegCommand#success
    * @emits FFmpegCommand#failure
@@ -185,46 +1433,181 @@ class FFmpegCommand extends EventEmitter {
    *
    * @private
    */
-  _handleProcessEvents (proc) {
+  _handleProcessEvents (proc, logComplete = Promise.resolve(), run = {}) {
+    const progressEmitter = this._progressEmitter;
+    const startTime = Date.now();
+    let done = false;
     proc.on('exit', (code, signal) => {
-      if (code === 0 && signal === null) {
-        /**
-         * 'success' event
-         * @description Event indicating the FFmpeg process completed successfully
-         * @event FFmpegCommand#success
-         * @type {object}
-         * @property {number} exitCode - the child process' exit code
-         * @property {String} log - full log with ffmpeg times
-         * @property {FFmpegProgressEmitter} progress - progress object for more inspection
-         */
-        this.emit('success', {
-          exitCode: code,
-          log: this._progressEmitter.formattedLog(),
-          progress: this._progressEmitter
-        });
-      } else {
-        /**
-         * 'error' event
-         * @description Event indicating an error has occurred. If the error occured within the node process while attempting to execute the FFmpeg child process, the type will be `Error`. If the error occurred within the FFmpeg child process, the type will be `FFmpegError`, and will have the listed properties.
-         * @event FFmpegCommand#error
-         * @type {FFmpegError|Error}
-         * @property {number} code - the child process' exit code
-         * @property {string|undefined} signal - the signal that caused the process termination, if available
-         * @property {String} message - full log with ffmpeg times
-         * @property {cmd} cmd - ffmpeg command string
-         */
-        this.emit('error', new FFmpegError({
-          code: code,
-          signal: signal,
-          cmd: this.toString(),
-          progress: this._progressEmitter
-        }));
-      }
+      if (done) { return; }
+      done = true;
+      const durationMs = Date.now() - startTime;
+      // events are emitted outside of the promise chain, so that a missing 'error' listener
+      // or a throwing listener raises an exception rather than an unhandled rejection
+      const emit = (event, data) => process.nextTick(() => this.emit(event, data));
+      const failed = (outputs, description = run.description) => new FFmpegError({
+        code: code,
+        signal: signal,
+        cmd: this.toString(),
+        progress: progressEmitter,
+        killed: run.killed === true,
+        reason: run.reason,
+        description: description,
+        durationMs: durationMs,
+        outputs: outputs
+      });
+      Promise.resolve().then(() => Promise.all([statOutputs(this._outputs), logComplete])).then(([outputs]) => {
+        if (code === 0 && signal === null && run.reason === undefined) {
+          /**
+           * 'success' event
+           * @description Event indicating the FFmpeg process completed successfully
+           * @event FFmpegCommand#success
+           * @type {object}
+           * @property {number} exitCode - the child process' exit code
+           * @property {number} durationMs - the wall-clock run time of the process in milliseconds
+           * @property {String} log - full log with ffmpeg times
+           * @property {FFmpegProgressEmitter} progress - progress object for more inspection
+           * @property {Array<Object>} outputs - the `url` of each output with its `size` on disk in bytes (`null` if not a local file)
+           */
+          const result = {
+            exitCode: code,
+            durationMs: durationMs,
+            log: progressEmitter.formattedLog(),
+            progress: progressEmitter,
+            outputs: outputs
+          };
+          run.outcome = { result: result };
+          emit('success', result);
+        } else {
+          /**
+           * 'error' event
+           * @description Event indicating an error has occurred. If the error occured within the node process while attempting to execute the FFmpeg child process, the type will be `Error`. If the error occurred within the FFmpeg child process, the type will be `FFmpegError`, and will have the listed properties.
+           * @event FFmpegCommand#error
+           * @type {FFmpegError|Error}
+           * @property {number} code - the child process' exit code
+           * @property {string|undefined} signal - the signal that caused the process termination, if available
+           * @property {String} message - full log with ffmpeg times
+           * @property {cmd} cmd - ffmpeg command string
+           * @property {boolean} killed - whether the process was sent a signal to stop it
+           * @property {string} reason - `'aborted'` if the run was stopped by the caller, `'timeout'` or `'stalled'` if it was stopped by a watchdog, otherwise `'failed'`
+           * @property {number} durationMs - the wall-clock run time of the process in milliseconds
+           * @property {Array<Object>} outputs - the `url` of each output with its `size` on disk in bytes (`null` if not a local file)
+           */
+          const error = failed(outputs);
+          run.outcome = { error: error };
+          emit('error', error);
+        }
+      }, (err) => {
+        const error = failed(undefined, `Unable to stat the outputs: ${err.message}`);
+        run.outcome = { error: error };
+        emit('error', error);
+      });
     });
     proc.on('error', (err) => {
+      if (done) { return; }
+      done = true;
+      run.outcome = { error: err };
       this.emit('error', err);
     });
   }
 }
 
+/**
+ * Limit a duration by the `-ss`, `-t` and `-to` options applying to it
+ * @param {number|undefined} duration - the duration in seconds, if known
+ * @param {Array<FFmpegOption>} options - the options of the input or output
+ * @returns {number|undefined} - the limited duration in seconds, if known
+ * @private
+ */
+function limitDuration (duration, options) {
+  const optionSeconds = (name) => {
+    const option = options.find((o) => o.name === name);
+    return option && option.arg !== null ? parseTime(option.arg.toString()) : undefined;
+  };
+  const start = optionSeconds('ss') || 0;
+  const length = optionSeconds('t');
+  const end = optionSeconds('to');
+  // as in ffmpeg, -t takes precedence over -to
+  const limit = length !== undefined ? length : (end !== undefined ? Math.max(end - start, 0) : undefined);
+  const remaining = duration !== undefined ? Math.max(duration - start, 0) : undefined;
+  if (limit === undefined) {
+    return remaining;
+  }
+  return remaining === undefined ? limit : Math.min(remaining, limit);
+}
+
+/**
+ * Look up the size on disk of each output
+ * @param {Array<FFmpegOutput>} outputs - the outputs to look up
+ * @returns {Promise<Array<Object>>} - the `url` and `size` (`null` if not a local file) of each output
+ * @private
+ */
+function statOutputs (outputs) {
+  return Promise.all(outputs.map((output) => stat(output.url)
+    .then((stats) => ({ url: output.url, size: stats.isFile() ? stats.size : null }))
+    .catch(() => ({ url: output.url, size: null }))));
+}
+
+/**
+ * Describe an input, filter chain or output of a command for problem messages
+ * @param {FFmpegInput|FilterChain|FFmpegOutput} entity - the entity
+ * @param {Array<FilterChain>} chains - the chains of the command's filter graph
+ * @returns {string} - the description
+ * @private
+ */
+function describe (entity, chains) {
+  if (entity.type === 'FilterChain') {
+    return `filter chain ${chains.indexOf(entity)} (${entity.nodes.map((node) => node.filterName).join(',')})`;
+  }
+  return `${entity.type === 'FFmpegInput' ? 'input' : 'output'} ${entity.url}`;
+}
+
+/**
+ * Find the loops of filter chains using each other's outputs
+ * @param {Array<FilterChain>} chains - the chains of a filter graph
+ * @returns {Array<Array<FilterChain>>} - the chains in each loop, in order
+ * @private
+ */
+function findCycles (chains) {
+  const cycles = [];
+  const done = new Set();
+  const stack = [];
+  const visit = (chain) => {
+    if (stack.includes(chain)) {
+      // the stack runs from consumers to producers, so reverse it to follow the streams,
+      // starting from the first chain of the graph
+      const cycle = stack.slice(stack.indexOf(chain)).reverse();
+      const start = cycle.indexOf(chains.find((c) => cycle.includes(c)));
+      cycles.push(cycle.slice(start).concat(cycle.slice(0, start)));
+      return;
+    }
+    if (done.has(chain)) {
+      return;
+    }
+    stack.push(chain);
+    chain.inputs
+      .filter((input) => input.entityType === 'FilterChain' && chains.includes(input.entity))
+      .forEach((input) => visit(input.entity));
+    stack.pop();
+    done.add(chain);
+  };
+  chains.forEach(visit);
+  return cycles;
+}
+
+/**
+ * Turn an option value into a JSON value, keeping filter objects as their string representation
+ * @param {any} value - the option value
+ * @returns {string|number|boolean|null} - the JSON value
+ * @private
+ */
+function jsonValue (value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (['string', 'number', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+  return value instanceof FilterNode ? value.toFilterGraphString() : value.toString();
+}
+
 module.exports = FFmpegCommand;
@@ -12,8 +12,12 @@
  * @property {string|undefined} signal - the signal that caused the process termination, if available
  * @property {string|undefined} log - the logs from FFmpeg, with FFmpeg times
  * @property {boolean|undefined} killed - boolean, true if process was killed
+ * @property {string} reason - why the run ended: `'aborted'` if it was stopped by the caller, `'timeout'` if it ran past its `timeoutMs`, `'stalled'` if its progress stopped moving for `stallTimeoutMs`, otherwise `'failed'`
  * @property {string|undefined} signal - the signal that stopped the process, if available
  * @property {FFmpegProgressEmitter} progress - the progress emitter, if relevant
+ * @property {number} exitCode - the child process' exit code (same as `code`)
+ * @property {number|undefined} durationMs - the wall-clock run time of the process in milliseconds, if available
+ * @property {Array<Object>|undefined} outputs - the `url` of each output with its `size` on disk in bytes, if available
  */
 class FFmpegError extends Error {
   /**
@@ -24,8 +28,15 @@ class FFmpegError extends Error {
     let message = error.progress ?
       // last line from the progress object; spawn errors go here
       error.progress.last().pop() :
+      undefined;
+    if (message === undefined) {
       // last line of ffmpeg stderr (when passed in from execute); execFile errors go here
-      error.message.trim().split('\n').pop();
+      message = (error.message || '').trim().split('\n').pop();
+    }
+    if (error.description) {
+      // e.g. why a watchdog stopped the process, ahead of the last ffmpeg log line
+      message = `${error.description}: ${message}`;
+    }
     // last line of ffmpeg stderr usually contains most helpful error
     super(message);
     this.type = 'FFmpegError'
@@ -33,9 +44,13 @@ class FFmpegError extends Error {
     this.code = error.code;
     this.log = error.progress ? error.progress.formattedLog() : error.message;
     this.killed = error.killed;
+    this.reason = error.reason || 'failed';
     this.signal = error.signal;
     this.progress = error.progress;
     this.cmd = error.cmd;
+    this.exitCode = error.code;
+    this.durationMs = error.durationMs;
+    this.outputs = error.outputs;
     Error.captureStackTrace(this, this.constructor);
   }
 }
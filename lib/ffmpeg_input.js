@@ -2,11 +2,14 @@
  * @fileOverview lib/ffmpeg_input.js - Defines and exports the FFmpegInput class
  */
 
+const config = require('./util/config')();
 const util = require('util');
-const { createCommandString } = require('./util/command_string_creator');
+const { childLogger } = require('./util/logger');
+const { createCommandString, pushArguments } = require('./util/command_string_creator');
 const FFmpegOption = require('./ffmpeg_option');
 const FFmpegStreamSpecifier = require('./ffmpeg_stream_specifier');
 const FilterGraph = require('./filter_graph');
+const { isReadableStream } = require('./util/streams');
 
 /**
  * Class representing an FFmpeg input file (`-i`)
@@ -14,31 +17,49 @@ const FilterGraph = require('./filter_graph');
 class FFmpegInput {
   /**
    * Create an input for an FFmpeg command
-   * @param {string|FilterNode|FilterChain|FilterGraph} url - the address of the input file, or a filter object to use as input
+   * @param {string|FilterNode|FilterChain|FilterGraph|stream.Readable} url - the address of the input file, a filter object to use as input, or a stream to pipe into ffmpeg
    * @param {Object} options - the options for the input
    *
-   * @property {Object} url - the url for the input, post-validation
+   * @property {Object} url - the url for the input, post-validation (`pipe:N` for streams)
+   * @property {stream.Readable|undefined} stream - the stream piped into ffmpeg, if any
    * @property {Object} options - the options for the input, post-validation
    */
   constructor (url, options = new Map()) {
     this.type = 'FFmpegInput';
-    const urlValidation = FFmpegInput.validateUrl(url);
+    const urlValidation = this.constructor.validateUrl(url);
     for (let key of Object.getOwnPropertyNames(urlValidation)) {
       this[key] = urlValidation[key];
     }
+    const { logger } = this;
     logger.debug(`Pre-validation: ${util.inspect(options)}`);
-    this.options = FFmpegInput.validateOptions(options);
+    this.options = FFmpegOption.withDefaults(this.constructor._defaultOptions(), this.constructor.validateOptions(options));
     logger.debug(`Post-validation: ${util.inspect(this.options)}`);
     this._inputLabel = null;
   }
 
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
+  }
+
+  /**
+   * The logger of the input: a child of the configured logger, with the `inputUrl` as context
+   * @returns {Object} - the logger
+   */
+  get logger () {
+    return childLogger(this.constructor.config.logger, { inputUrl: this.url });
+  }
+
   /**
    * Return the label for this input object.
    * @returns {string} - the label defined on this object.
    */
   get inputLabel () {
     if (this._inputLabel === null) {
-      logger.warn(`Attempt to retrieve inputLabel before one was set on ${util.inspect(this)}`);
+      this.logger.warn(`Attempt to retrieve inputLabel before one was set on ${util.inspect(this)}`);
       return undefined;
     }
     return this._inputLabel;
@@ -51,6 +72,7 @@ class FFmpegInput {
   set inputLabel (newLabel) {
     const isString = typeof newLabel === 'string';
     const hasToString = newLabel.toString && typeof newLabel.toString === 'function';
+    const { logger } = this;
     logger.debug(`Setting inputLabel: newLabel = ${util.inspect(newLabel)}, isString = ${util.inspect(isString)}, hasToString = ${util.inspect(hasToString)}, this._inputLabel = ${util.inspect(this._inputLabel)}`);
     if (isString || hasToString) {
       if (this._inputLabel !== null) {
@@ -70,7 +92,7 @@ class FFmpegInput {
 
   /**
    * Get a stream specifier for a stream on this input
-   * @param {string|number} specifier - the stream specifier (stream index, 'v', 'a', 's', 'd', or 't')
+   * @param {string|number} specifier - the stream specifier (stream index, 'v', 'a', 's', 'd', or 't'; default: all streams)
    * @returns {FFmpegStreamSpecifier} - the stream specifier object
    */
   streamSpecifier (specifier) {
@@ -82,20 +104,30 @@ class FFmpegInput {
    * @returns {Array} the command array segment
    */
   toCommandArray () {
-    // Note: FFmpeg options on inputs prepend the -i option
-    let cmd = [];
-    this.options.forEach((o) => { cmd = cmd.concat(o.toCommandArray()); });
-    cmd.push('-i');
-    cmd.push(`${this.url}`);
-    return cmd;
+    return this._commandParts().args;
   }
 
   /**
    * Generate the command string segment for this FFmpeg input
+   * @param {Object} options - (optional) the `shell` to quote the command string segment for: `'posix'` (default), `'cmd'` or `'powershell'`
    * @returns {string} the command string segment
    */
-  toCommandString () {
-    return createCommandString(undefined, this.toCommandArray());
+  toCommandString ({ shell } = {}) {
+    const { args, optionIndexes } = this._commandParts();
+    return createCommandString(undefined, args, { optionIndexes, shell });
+  }
+
+  /**
+   * Add the command array segment for this FFmpeg input to the parts of a command
+   * @param {Object} parts - (optional) the `args` and `optionIndexes` of the command so far (default: none)
+   * @returns {Object} the parts of the command, with `optionIndexes` giving the position of option names in `args`
+   *
+   * @private
+   */
+  _commandParts (parts = { args: [], optionIndexes: [] }) {
+    // Note: FFmpeg options on inputs prepend the -i option
+    this.options.forEach((o) => pushArguments(parts, o.toCommandArray(), true));
+    return pushArguments(parts, ['-i', `${this.url}`], true);
   }
 
   /**
@@ -106,9 +138,18 @@ class FFmpegInput {
     return `FFmpegInput(url: "${this.url}", options: ${util.inspect(this.options)})`;
   }
 
+  /**
+   * Add options to the input
+   * @param {Object} options - the options to be added to the input
+   * @returns {void}
+   */
+  addOptions (options) {
+    this.options = this.options.concat(this.constructor.validateOptions(options));
+  }
+
   /**
    * Validate the url passed into the constructor
-   * @param {string|FilterNode|FilterChain|FilterGraph} url - the url for the input
+   * @param {string|FilterNode|FilterChain|FilterGraph|stream.Readable} url - the url for the input
    * @returns {Object} results of the validation; errors if invalid
    */
   static validateUrl (url) {
@@ -116,15 +157,19 @@ class FFmpegInput {
       throw new Error('Invalid arguments: url parameter is required');
     }
     const result = {};
-    if (typeof url !== 'string') {
+    if (isReadableStream(url)) {
+      // stdin by default; FFmpegCommand moves it to another pipe if stdin is taken
+      result.stream = url;
+      result.url = 'pipe:0';
+    } else if (typeof url !== 'string') {
       url = FilterGraph.wrap(url)
       if (url instanceof FilterGraph) {
         result.filterObject = url;
         result.filtertype = 'FilterGraph';
         result.url = url.toString();
-        logger.debug(`Received filter object as input: converting object ${util.inspect(url)} to string representation: "${result.url}"`);
+        this.config.logger.debug(`Received filter object as input: converting object ${util.inspect(url)} to string representation: "${result.url}"`);
       } else {
-        throw new Error('Unknown input type =  should be filter object or string address of file/URL');
+        throw new Error('Unknown input type =  should be filter object, readable stream or string address of file/URL');
       }
     } else {
       result.url = url;
@@ -138,6 +183,7 @@ class FFmpegInput {
    * @returns {Array<FFmpegOption>} array of validated FFmpegOption objects; errors if invalid
    */
   static validateOptions (options) {
+    const { logger } = this.config;
     logger.debug(`Validating options: ${util.inspect(options)}`);
     let opts = options;
     if (!(opts instanceof Map)) {
@@ -150,6 +196,20 @@ class FFmpegInput {
     logger.debug(`Completed validating options: ${JSON.stringify(optObjects)}`);
     return (optObjects);
   }
+
+  /**
+   * Get the default input options of the class, from the `default_options` config option
+   * @returns {Array<FFmpegOption>} - the default options
+   *
+   * @private
+   */
+  static _defaultOptions () {
+    const defaults = this.config.default_options || {};
+    return this.validateOptions(defaults.input || {});
+  }
 }
 
+// getOption, hasOption, setOption and removeOption, shared with FFmpegOutput
+Object.assign(FFmpegInput.prototype, FFmpegOption.accessors);
+
 module.exports = FFmpegInput;
@@ -1,4 +1,6 @@
 const FilterGraph = require('./filter_graph')
+const FilterNode = require('./filter_node')
+const OptionSchema = require('./option_schema');
 
 /**
  * List of option names that refer to filters
@@ -15,6 +17,39 @@ const FILTER_OPTIONS = [
   'lavfi'
 ];
 
+/**
+ * Long names of options, by short name
+ *
+ * @private
+ */
+const OPTION_ALIASES = {
+  codec: 'c',
+  qscale: 'q',
+  lavfi: 'filter_complex'
+};
+
+/**
+ * Per-stream-type shorthands for options, as `[option, stream type]`
+ *
+ * @private
+ */
+const STREAM_TYPE_SHORTHANDS = {
+  vcodec: ['c', 'v'],
+  acodec: ['c', 'a'],
+  scodec: ['c', 's'],
+  dcodec: ['c', 'd'],
+  vf: ['filter', 'v'],
+  af: ['filter', 'a'],
+  vb: ['b', 'v'],
+  ab: ['b', 'a'],
+  vframes: ['frames', 'v'],
+  aframes: ['frames', 'a'],
+  dframes: ['frames', 'd'],
+  vtag: ['tag', 'v'],
+  atag: ['tag', 'a'],
+  stag: ['tag', 's']
+};
+
 /**
  * Class representing an FFmpeg option
  *
@@ -44,6 +79,25 @@ class FFmpegOption {
     this.arg = arg;
   }
 
+  /**
+   * Check whether this option is the same ffmpeg option as the given name, applying to the same streams
+   * @param {string} name - the option name, optionally with a stream specifier (e.g. `c:v`, `codec:v` or `vcodec`)
+   * @returns {boolean} - true if the option matches
+   */
+  matches (name) {
+    return FFmpegOption.canonicalName(this.name) === FFmpegOption.canonicalName(name);
+  }
+
+  /**
+   * Check this option against the options known to ffmpeg (see {@link OptionSchema#checkOption})
+   * @param {string} place - where the option is given: `'global'`, `'input'` or `'output'`
+   * @param {OptionSchema} schema - the option schema (default: the bundled schema, see {@link OptionSchema.bundled})
+   * @returns {Array<string>} - the problems found, if any
+   */
+  check (place, schema = OptionSchema.bundled()) {
+    return schema.checkOption(this, place);
+  }
+
   /**
    * Generate the command array segment for this FFmpeg option
    * @returns {Array} the command array segment
@@ -52,7 +106,7 @@ class FFmpegOption {
     if (this.arg === null) {
       return [this.optionName];
     }
-    return [this.optionName, this.arg.toString()];
+    return [this.optionName, this._argString()];
   }
 
   /**
@@ -63,7 +117,21 @@ class FFmpegOption {
     if (this.arg === null) {
       return this.optionName;
     }
-    return `${this.optionName} ${this.arg.toString()}`;
+    return `${this.optionName} ${this._argString()}`;
+  }
+
+  /**
+   * Generate the string representation of the argument
+   * @returns {string} the argument string
+   *
+   * @private
+   */
+  _argString () {
+    // a lone filter node is a whole filter graph here, so needs filter graph escaping
+    if (this.arg instanceof FilterNode) {
+      return this.arg.toFilterGraphString();
+    }
+    return this.arg.toString();
   }
 
   /**
@@ -85,8 +153,91 @@ class FFmpegOption {
 
     return true;
   }
+
+  /**
+   * Get the canonical form of an option name, so that aliases are recognised as the same option
+   *
+   * Long and short names are unified (`codec:v` gives `c:v`), as are per-stream-type
+   * shorthands (`vcodec` gives `c:v`), but options for different streams stay
+   * different (`c` and `c:v` are not the same option).
+   *
+   * @param {string} name - the option name, optionally with a stream specifier and leading `-`
+   * @returns {string} - the canonical name
+   */
+  static canonicalName (name) {
+    const [option, ...specifier] = name.replace(/^-/, '').split(':');
+    const [base, streamType] = STREAM_TYPE_SHORTHANDS[option] || [OPTION_ALIASES[option] || option];
+    return [base].concat(streamType ? [streamType] : [], specifier).join(':');
+  }
+
+  /**
+   * Combine default options with the options given, leaving out the defaults they override
+   * @param {Array<FFmpegOption>} defaults - the default options
+   * @param {Array<FFmpegOption>} options - the options given
+   * @returns {Array<FFmpegOption>} - the defaults not given under any of their names, then the options given
+   */
+  static withDefaults (defaults, options) {
+    const names = options.map((o) => FFmpegOption.canonicalName(o.name));
+    return defaults.filter((d) => !names.includes(FFmpegOption.canonicalName(d.name))).concat(options);
+  }
 }
 
+/**
+ * Methods reading and changing the `options` array of the objects they are mixed into
+ * (`FFmpegInput` and `FFmpegOutput`), recognising option aliases
+ *
+ * @private
+ */
+const OPTION_ACCESSORS = {
+  /**
+   * Get the value of an option
+   * @param {string} name - the option name; aliases such as `codec:v` and `vcodec` for `c:v` match too
+   * @returns {any} - the option value (null for options without a value), or undefined if the option is not set
+   */
+  getOption (name) {
+    const option = this.options.find((o) => o.matches(name));
+    return option === undefined ? undefined : option.arg;
+  },
+
+  /**
+   * Check whether an option is set
+   * @param {string} name - the option name; aliases such as `codec:v` and `vcodec` for `c:v` match too
+   * @returns {boolean} - true if the option is set
+   */
+  hasOption (name) {
+    return this.options.some((o) => o.matches(name));
+  },
+
+  /**
+   * Set an option, replacing any value it has in place, or adding it at the end if it is not set
+   * @param {string} name - the option name; aliases such as `codec:v` and `vcodec` for `c:v` are replaced too
+   * @param {any} value - the option value (default: null, for options without a value)
+   * @returns {void}
+   */
+  setOption (name, value = null) {
+    const option = new FFmpegOption(name, value);
+    const index = this.options.findIndex((o) => o.matches(name));
+    if (index < 0) {
+      this.options.push(option);
+      return;
+    }
+    this.options = this.options.filter((o, i) => i <= index || !o.matches(name));
+    this.options[index] = option;
+  },
+
+  /**
+   * Remove an option
+   * @param {string} name - the option name; aliases such as `codec:v` and `vcodec` for `c:v` are removed too
+   * @returns {boolean} - true if the option was set
+   */
+  removeOption (name) {
+    const count = this.options.length;
+    this.options = this.options.filter((o) => !o.matches(name));
+    return this.options.length < count;
+  }
+};
+
 FFmpegOption.FFmpegFilterOptions = FILTER_OPTIONS;
+FFmpegOption.accessors = OPTION_ACCESSORS;
 
 module.exports = FFmpegOption;
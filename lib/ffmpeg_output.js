@@ -3,53 +3,86 @@
  */
 
 const config = require('./util/config')();
-const logger = config.logger;
 const util = require('util');
-const { createCommandString } = require('./util/command_string_creator')
+const { childLogger } = require('./util/logger');
+const { createCommandString, pushArguments } = require('./util/command_string_creator')
 const FFmpegStreamSpecifier = require('./ffmpeg_stream_specifier')
 const FFmpegOption = require('./ffmpeg_option')
+const { isWritableStream } = require('./util/streams');
 
 /** Class representing an FFmpeg output file */
 class FFmpegOutput {
   /**
    * Create an output for an FFmpeg command
-   * @param {string} url - the location of the output file
+   * @param {string|stream.Writable} url - the location of the output file, or a stream to pipe ffmpeg's output into
    * @param {Object} options - the options for the output
    * @property {Array<FFmpegStreamSpecifier>} streams - specifiers for the media streams mapped into this output
+   * @property {stream.Writable|undefined} stream - the stream ffmpeg's output is piped into, if any
    */
   constructor (url, options = new Map()) {
     this.type = 'FFmpegOutput'
     if (!url) {
       throw new Error('Invalid arguments: url parameter is required');
     }
-    this.url = url;
-    this.options = FFmpegOutput.validateOptions(options);
+    if (isWritableStream(url)) {
+      // stdout by default; FFmpegCommand moves it to another pipe if stdout is taken
+      this.stream = url;
+      this.url = 'pipe:1';
+    } else {
+      this.url = url;
+    }
+    this.options = FFmpegOption.withDefaults(this.constructor._defaultOptions(), this.constructor.validateOptions(options));
     this.streams = [];
   }
 
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
+  }
+
+  /**
+   * The logger of the output: a child of the configured logger, with the `outputUrl` as context
+   * @returns {Object} - the logger
+   */
+  get logger () {
+    return childLogger(this.constructor.config.logger, { outputUrl: this.url });
+  }
+
   /**
    * Generate the command array segment for this FFmpeg output
+   * @param {Array<FFmpegStreamSpecifier>} streams - (optional) the stream specifiers to map in place of the output's streams (default: the output's streams)
    * @returns {Array} the command array segment
    */
-  toCommandArray () {
-    // Note: FFmpeg options on outputs prepend the output filename
-    let cmd = [];
-    this.options.forEach((o) => {
-      cmd = cmd.concat(o.toCommandArray());
-    });
-    this.streams.forEach((s) => {
-      cmd = cmd.concat(['-map', `${s.toString()}`]);
-    });
-    cmd.push(`${this.url}`);
-    return cmd;
+  toCommandArray (streams = this.streams) {
+    return this._commandParts(streams).args;
   }
 
   /**
    * Generate the command string segment for this FFmpeg output
+   * @param {Object} options - (optional) the `shell` to quote the command string segment for: `'posix'` (default), `'cmd'` or `'powershell'`
    * @returns {string} the command string segment
    */
-  toCommandString () {
-    return createCommandString(undefined, this.toCommandArray());
+  toCommandString ({ shell } = {}) {
+    const { args, optionIndexes } = this._commandParts();
+    return createCommandString(undefined, args, { optionIndexes, shell });
+  }
+
+  /**
+   * Add the command array segment for this FFmpeg output to the parts of a command
+   * @param {Array<FFmpegStreamSpecifier>} streams - (optional) the stream specifiers to map in place of the output's streams (default: the output's streams)
+   * @param {Object} parts - (optional) the `args` and `optionIndexes` of the command so far (default: none)
+   * @returns {Object} the parts of the command, with `optionIndexes` giving the position of option names in `args`
+   *
+   * @private
+   */
+  _commandParts (streams = this.streams, parts = { args: [], optionIndexes: [] }) {
+    // Note: FFmpeg options on outputs prepend the output filename
+    this.options.forEach((o) => pushArguments(parts, o.toCommandArray(), true));
+    streams.forEach((s) => pushArguments(parts, ['-map', s.toMapArgument()], true));
+    return pushArguments(parts, [`${this.url}`], false);
   }
 
   /**
@@ -102,7 +135,7 @@ class FFmpegOutput {
    * @returns {void}
    */
   addOptions (options) {
-    const optObjects = FFmpegOutput.validateOptions(options);
+    const optObjects = this.constructor.validateOptions(options);
     this.options = this.options.concat(optObjects);
   }
 
@@ -112,7 +145,7 @@ class FFmpegOutput {
    * @returns {Array<FFmpegOption>} array of validated FFmpegOption objects
    */
   static validateOptions (options) {
-    logger.debug(`Validating options: ${JSON.stringify(options)}`);
+    this.config.logger.debug(`Validating options: ${JSON.stringify(options)}`);
     let opts = options;
     if (!(opts instanceof Map)) {
       opts = new Map(Object.entries(options));
@@ -121,6 +154,20 @@ class FFmpegOutput {
       .map(([name, arg]) => new FFmpegOption(name, arg));
     return (optObjects);
   }
+
+  /**
+   * Get the default output options of the class, from the `default_options` config option
+   * @returns {Array<FFmpegOption>} - the default options
+   *
+   * @private
+   */
+  static _defaultOptions () {
+    const defaults = this.config.default_options || {};
+    return this.validateOptions(defaults.output || {});
+  }
 }
 
+// getOption, hasOption, setOption and removeOption, shared with FFmpegInput
+Object.assign(FFmpegOutput.prototype, FFmpegOption.accessors);
+
 module.exports = FFmpegOutput;
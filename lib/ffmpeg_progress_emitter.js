@@ -5,6 +5,14 @@
  */
 
 const { Writable } = require('stream');
+const { parseTime } = require('./util/time');
+
+/**
+ * Weight of the latest ffmpeg speed value in the smoothed speed
+ *
+ * @private
+ */
+const SPEED_SMOOTHING = 0.3;
 
 /**
  * A class that implements a progress event emitter for FFmpegCommand executions
@@ -17,6 +25,8 @@ class FFmpegProgressEmitter extends Writable {
    * Can maybe remove the constructor here for simplicity
    *
    * @param {Object} options - options for the Writable stream
+   *
+   * @property {number|undefined} expectedDuration - the expected duration of the output in seconds, used to estimate `percent` and `etaSeconds`
    */
   constructor (options) {
     super(options);
@@ -24,6 +34,8 @@ class FFmpegProgressEmitter extends Writable {
     this.logBuffer = [];
     this.progressData = {};
     this.partialProgressData = {};
+    this.expectedDuration = undefined;
+    this._smoothedSpeed = undefined;
   }
 
   /**
@@ -76,6 +88,7 @@ class FFmpegProgressEmitter extends Writable {
     * @param {Function} callback - callback to call when processing complete
     *
     * @fires FFmpegProgressEmitter#update
+    * @fires FFmpegProgressEmitter#log
     *
     * @returns {void}
     *
@@ -93,6 +106,14 @@ class FFmpegProgressEmitter extends Writable {
         text: chunkString,
         time: this.lastMediaTime()
       });
+      /**
+        * log event
+        *
+        * @event FFmpegProgressEmitter#log
+        * @type {string}
+        * @description a line of ffmpeg's log, other than progress output
+        */
+      this.emit('log', chunkString);
     }
     callback();
   }
@@ -107,7 +128,7 @@ class FFmpegProgressEmitter extends Writable {
     const numRegExp = /^\-?\d+(?:\.\d+)?$/;
     let [progressKey, progressValue] = p.split('=');
     if (progressKey == 'progress') {
-      this._emitUpdateEvent();
+      this._emitUpdateEvent(progressValue.trim() === 'end');
     } else {
       progressValue = progressValue.trim();
       if (numRegExp.test(progressValue)) {
@@ -119,12 +140,12 @@ class FFmpegProgressEmitter extends Writable {
 
   /**
    * Emit an 'update' event with progress data
-   * @param {Object} progressData - the data to be sent in the progress event
+   * @param {boolean} finished - whether this is ffmpeg's final progress update (`progress=end`)
    * @returns {void}
    * @emits FFmpegProgressEmitter#update
    * @private
    */
-  _emitUpdateEvent () {
+  _emitUpdateEvent (finished = false) {
     // fix ffmpeg bug because we care
     if (
       this.partialProgressData.out_time_ms && this.partialProgressData.out_time_us &&
@@ -134,15 +155,62 @@ class FFmpegProgressEmitter extends Writable {
     }
     this.progressData = { ...this.partialProgressData };
     this.partialProgressData = {};
+    this._addEstimates(this.progressData, finished);
     /**
       * update event
       *
       * @event FFmpegProgressEmitter#update
       * @type {Object}
       * @property {any} * - all properties included in the progressData object
+      * @property {number|undefined} smoothedSpeed - ffmpeg's processing speed (media seconds per second), smoothed over updates
+      * @property {number|undefined} percent - how far along the output is, from 0 to 100, if `expectedDuration` is set
+      * @property {number|undefined} etaSeconds - the estimated time remaining in seconds, if `expectedDuration` is set
       */
     this.emit('update', this.progressData);
   }
+
+  /**
+   * Add the smoothed speed, percentage and ETA estimates to progress data
+   * @param {Object} data - the progress data to add estimates to
+   * @param {boolean} finished - whether this is ffmpeg's final progress update
+   * @returns {void}
+   * @private
+   */
+  _addEstimates (data, finished) {
+    const speed = parseFloat(data.speed);
+    if (speed > 0) {
+      this._smoothedSpeed = this._smoothedSpeed === undefined ?
+        speed :
+        SPEED_SMOOTHING * speed + (1 - SPEED_SMOOTHING) * this._smoothedSpeed;
+    }
+    if (this._smoothedSpeed !== undefined) {
+      data.smoothedSpeed = this._smoothedSpeed;
+    }
+    const duration = this.expectedDuration;
+    const mediaSeconds = finished ? duration : FFmpegProgressEmitter._mediaSeconds(data);
+    if (!(duration > 0) || mediaSeconds === undefined) {
+      return;
+    }
+    data.percent = Math.min(Math.max(mediaSeconds / duration, 0), 1) * 100;
+    if (finished) {
+      data.etaSeconds = 0;
+    } else if (this._smoothedSpeed !== undefined) {
+      data.etaSeconds = Math.max(duration - mediaSeconds, 0) / this._smoothedSpeed;
+    }
+  }
+
+  /**
+   * Get the media time of progress data in seconds
+   * @param {Object} data - the progress data
+   * @returns {number|undefined} - the media time, if known
+   * @private
+   */
+  static _mediaSeconds (data) {
+    if (typeof data.out_time_us === 'number') {
+      return data.out_time_us / 1e6;
+    }
+    return parseTime(data.out_time);
+  }
 }
 
 module.exports = FFmpegProgressEmitter;
@@ -6,6 +6,27 @@
 
 const { inspect } = require('util')
 
+/**
+ * Stream types in stream specifiers: video, video other than attached pictures, audio, subtitle, data and attachment
+ *
+ * @private
+ */
+const STREAM_TYPES = ['v', 'V', 'a', 's', 'd', 't'];
+
+/**
+ * Parts of a stream specifier which cannot be followed by another part
+ *
+ * @private
+ */
+const FINAL_PARTS = ['stream index', 'stream id', 'metadata tag', 'usability check', 'unknown part'];
+
+/**
+ * Parts of a stream specifier which can only be given once
+ *
+ * @private
+ */
+const SINGLE_PARTS = ['stream type', 'program', 'disposition'];
+
 /**
  * Class representing an FFmpeg stream specifier
  * @private
@@ -13,20 +34,25 @@ const { inspect } = require('util')
 class FFmpegStreamSpecifier {
   /**
    * Create an FFmpegStreamSpecifier object
-   * @param {FFmpegInput|FilterChain} entity - the entity on which the stream specifier is applied
-   * @param {string|number} specifier - the stream specifier string or stream index
+   * @param {FFmpegInput|FilterChain|null} entity - the entity on which the stream specifier is applied, or null for a literal specifier (e.g. a filter pad label such as `[out]`)
+   * @param {string|number} specifier - the stream specifier string or stream index (default: the whole input)
    *
-   * @property {FFmpegInput|FilterChain} entity - the entity on which the stream specifier is applied
+   * @property {FFmpegInput|FilterChain|null} entity - the entity on which the stream specifier is applied
    * @property {string} specifier - the stream specifier string
-   * @property {string} entityType - the entity's type (either 'FFmpegInput' or 'FilterChain')
+   * @property {string} entityType - the entity's type (either 'FFmpegInput', 'FilterChain' or 'Literal')
+   * @property {string|undefined} label - (optional) a link label for a FilterChain output pad, used instead of the generated one
+   * @property {boolean} isExcluded - whether the streams are excluded from an output (`-map -0:s`), see {@link FFmpegStreamSpecifier#exclude}
+   * @property {boolean} isOptional - whether the streams may be missing (`-map 0:a?`), see {@link FFmpegStreamSpecifier#optional}
    *
    * @private
    */
-  constructor (entity, specifier) {
+  constructor (entity, specifier = '') {
     this.type = 'FFmpegStreamSpecifier'
     this.entity = entity;
     this.specifier = specifier.toString();
-    this.entityType = entity.type
+    this.entityType = entity === null ? 'Literal' : entity.type
+    this.isExcluded = false;
+    this.isOptional = false;
     if (this.entityType === undefined) {
       throw new Error(`Invalid entity type for entity ${inspect(entity)}: must be either FFmpegInput or FilterChain`);
     }
@@ -43,13 +69,280 @@ class FFmpegStreamSpecifier {
    */
   toString () {
     if (this.entityType === 'FFmpegInput') {
-      return `${this.entity.inputLabel}:${this.specifier}`;
+      return this.specifier === '' ? this.entity.inputLabel : `${this.entity.inputLabel}:${this.specifier}`;
     }
     if (this.entityType === 'FilterChain') {
-      return `[${this.entity.getOutputPad(this.specifier)}]`;
+      return `[${this.label || this.entity.getOutputPad(this.specifier)}]`;
     }
     return this.specifier;
   }
+
+  /**
+   * Generate the argument of the `-map` option mapping these streams to an output,
+   * with a leading `-` for excluded streams and a trailing `?` for optional ones
+   * @returns {string} the `-map` argument
+   */
+  toMapArgument () {
+    return `${this.isExcluded ? '-' : ''}${this.toString()}${this.isOptional ? '?' : ''}`;
+  }
+
+  /**
+   * Get the stream type this specifier selects, if any
+   * @returns {string|undefined} - the stream type (`v`, `V`, `a`, `s`, `d` or `t`), or undefined
+   */
+  get streamType () {
+    if (this.entityType !== 'FFmpegInput') {
+      return undefined;
+    }
+    const part = parseSpecifier(this.specifier).find((p) => p.kind === 'stream type');
+    return part === undefined ? undefined : part.value;
+  }
+
+  /**
+   * Select the streams of a type, and optionally the stream with an index among them
+   *
+   * Builder methods such as this one add to the specifier and return it, so that they can be
+   * chained, e.g. `input.streamSpecifier().program(1).audio(0).optional()`. They throw if the
+   * combination is invalid, e.g. two stream types, or anything following a stream index.
+   *
+   * @param {string} streamType - the stream type: `v` (video), `V` (video other than attached pictures), `a` (audio), `s` (subtitle), `d` (data) or `t` (attachment)
+   * @param {number} index - (optional) the index of the stream among the streams of that type
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  ofType (streamType, index = undefined) {
+    if (!STREAM_TYPES.includes(streamType)) {
+      throw new Error(`Invalid stream type ${inspect(streamType)}: must be one of ${STREAM_TYPES.join(', ')}`);
+    }
+    this._append('stream type', streamType);
+    return index === undefined ? this : this.index(index);
+  }
+
+  /**
+   * Select the video streams, and optionally the video stream with an index among them (see {@link FFmpegStreamSpecifier#ofType})
+   * @param {number} index - (optional) the index of the video stream
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  video (index = undefined) {
+    return this.ofType('v', index);
+  }
+
+  /**
+   * Select the audio streams, and optionally the audio stream with an index among them (see {@link FFmpegStreamSpecifier#ofType})
+   * @param {number} index - (optional) the index of the audio stream
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  audio (index = undefined) {
+    return this.ofType('a', index);
+  }
+
+  /**
+   * Select the subtitle streams, and optionally the subtitle stream with an index among them (see {@link FFmpegStreamSpecifier#ofType})
+   * @param {number} index - (optional) the index of the subtitle stream
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  subtitle (index = undefined) {
+    return this.ofType('s', index);
+  }
+
+  /**
+   * Select the data streams, and optionally the data stream with an index among them (see {@link FFmpegStreamSpecifier#ofType})
+   * @param {number} index - (optional) the index of the data stream
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  data (index = undefined) {
+    return this.ofType('d', index);
+  }
+
+  /**
+   * Select the attachment streams, and optionally the attachment stream with an index among them (see {@link FFmpegStreamSpecifier#ofType})
+   * @param {number} index - (optional) the index of the attachment stream
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  attachment (index = undefined) {
+    return this.ofType('t', index);
+  }
+
+  /**
+   * Select the stream with an index among the streams selected so far (e.g. `0:a:1` for the second audio stream)
+   * @param {number} index - the stream index
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  index (index) {
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error(`Invalid stream index ${inspect(index)}: must be a non-negative integer`);
+    }
+    return this._append('stream index', index.toString());
+  }
+
+  /**
+   * Select the streams of a program (`p:program_id`)
+   * @param {number} programId - the program id
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  program (programId) {
+    if (!Number.isInteger(programId) || programId < 0) {
+      throw new Error(`Invalid program id ${inspect(programId)}: must be a non-negative integer`);
+    }
+    return this._append('program', `p:${programId}`);
+  }
+
+  /**
+   * Select the stream with a format-specific stream id, such as a PID in MPEG-TS (`#stream_id`)
+   * @param {number|string} streamId - the stream id (e.g. `0x101`)
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  streamId (streamId) {
+    if (!/^(0x[0-9a-fA-F]+|\d+)$/.test(String(streamId))) {
+      throw new Error(`Invalid stream id ${inspect(streamId)}: must be a number`);
+    }
+    return this._append('stream id', `#${streamId}`);
+  }
+
+  /**
+   * Select the streams with a metadata tag, or with a metadata tag of a given value (`m:key[:value]`)
+   * @param {string} key - the metadata key (e.g. `language`)
+   * @param {string} value - (optional) the metadata value (e.g. `eng`)
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  metadata (key, value = undefined) {
+    if (typeof key !== 'string' || key === '' || key.includes(':')) {
+      throw new Error(`Invalid metadata key ${inspect(key)}: must be a non-empty string without ':'`);
+    }
+    return this._append('metadata tag', value === undefined ? `m:${key}` : `m:${key}:${value}`);
+  }
+
+  /**
+   * Select the streams with a usable configuration, i.e. with a codec defined and essential information such as video dimensions or audio sample rate present (`u`)
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  usable () {
+    return this._append('usability check', 'u');
+  }
+
+  /**
+   * Select the streams with all the given dispositions (`disp:default+forced`, ffmpeg 6.1 and later)
+   * @param {...string} dispositions - the dispositions (e.g. `default`, `forced`, `attached_pic`)
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  disposition (...dispositions) {
+    if (dispositions.length === 0 || dispositions.some((d) => !/^\w+$/.test(d))) {
+      throw new Error(`Invalid dispositions ${inspect(dispositions)}: must be one or more disposition names`);
+    }
+    return this._append('disposition', `disp:${dispositions.join('+')}`);
+  }
+
+  /**
+   * Exclude the streams from the output they are mapped to, e.g. `-map 0 -map -0:s` for all streams of the input but its subtitles
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  exclude () {
+    this._checkMapModifier('excluded');
+    this.isExcluded = true;
+    return this;
+  }
+
+  /**
+   * Let the streams be missing, rather than failing when the input has none of them (e.g. `-map 0:a?`)
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   * @throws {Error}
+   */
+  optional () {
+    this._checkMapModifier('optional');
+    this.isOptional = true;
+    return this;
+  }
+
+  /**
+   * Add a part to the specifier, checking that it can follow the parts already in it
+   *
+   * @param {string} kind - the kind of part (e.g. `'stream type'` or `'stream index'`)
+   * @param {string} text - the part as written in the specifier
+   *
+   * @returns {FFmpegStreamSpecifier} - this stream specifier
+   *
+   * @throws {Error}
+   *
+   * @private
+   */
+  _append (kind, text) {
+    if (this.entityType !== 'FFmpegInput') {
+      throw new Error(`Invalid stream specifier: cannot add a ${kind} to ${this.toString()}, only to the streams of an input`);
+    }
+    const parts = parseSpecifier(this.specifier);
+    const last = parts[parts.length - 1];
+    if (last && FINAL_PARTS.includes(last.kind)) {
+      throw new Error(`Invalid stream specifier: cannot add a ${kind} after the ${last.kind} in ${this.toString()}`);
+    }
+    if (SINGLE_PARTS.includes(kind) && parts.some((p) => p.kind === kind)) {
+      throw new Error(`Invalid stream specifier: ${this.toString()} already has a ${kind}`);
+    }
+    this.specifier = this.specifier === '' ? text : `${this.specifier}:${text}`;
+    return this;
+  }
+
+  /**
+   * Check that the streams can be excluded or made optional
+   *
+   * @param {string} modifier - `'excluded'` or `'optional'`
+   *
+   * @returns {void}
+   *
+   * @throws {Error}
+   *
+   * @private
+   */
+  _checkMapModifier (modifier) {
+    if (this.entityType !== 'FFmpegInput') {
+      throw new Error(`Invalid stream specifier: only the streams of an input can be ${modifier}, not ${this.toString()}`);
+    }
+    if ((modifier === 'excluded' && this.isOptional) || (modifier === 'optional' && this.isExcluded)) {
+      throw new Error(`Invalid stream specifier: ${this.toString()} cannot be both excluded and optional`);
+    }
+  }
+}
+
+/**
+ * Split a stream specifier into its parts, following ffmpeg's stream specifier syntax
+ * @param {string} specifier - the stream specifier, without the input index
+ * @returns {Array<Object>} - the parts, with their `kind` and `value`
+ * @private
+ */
+function parseSpecifier (specifier) {
+  const patterns = [
+    ['stream index', /^(\d+)$/],
+    ['stream type', /^([vVasdt])(?::|$)/],
+    ['program', /^p:(\d+)(?::|$)/],
+    ['disposition', /^disp:([\w+]+)(?::|$)/],
+    ['stream id', /^(?:#|i:)(\w+)$/],
+    ['metadata tag', /^m:(.+)$/],
+    ['usability check', /^(u)$/]
+  ];
+  const parts = [];
+  let rest = specifier;
+  while (rest !== '') {
+    const found = patterns.find(([, pattern]) => pattern.test(rest));
+    if (!found) {
+      // written by hand in a form this parser does not know
+      return parts.concat([{ kind: 'unknown part', value: rest }]);
+    }
+    const match = found[1].exec(rest);
+    parts.push({ kind: found[0], value: match[1] });
+    rest = rest.slice(match[0].length);
+  }
+  return parts;
 }
 
 module.exports = FFmpegStreamSpecifier;
@@ -0,0 +1,233 @@
+/**
+ * @fileOverview lib/ffprobe.js - Defines and exports the FFprobe class
+ */
+
+const cp = require('child_process');
+const config = require('./util/config')();
+const FFmpegError = require('./ffmpeg_error');
+const { createCommandString, pushArguments } = require('./util/command_string_creator');
+
+/**
+ * Keys of ffprobe's output holding durations or timestamps in seconds
+ *
+ * @private
+ */
+const DURATION_KEYS = ['duration', 'start_time', 'end_time'];
+
+/**
+ * Keys of ffprobe's output holding rationals (`num/den` or `num:den`)
+ *
+ * @private
+ */
+const RATIONAL_KEYS = [
+  'r_frame_rate',
+  'avg_frame_rate',
+  'time_base',
+  'codec_time_base',
+  'sample_aspect_ratio',
+  'display_aspect_ratio'
+];
+
+/**
+ * Keys of ffprobe's output holding numbers as strings
+ *
+ * @private
+ */
+const NUMBER_KEYS = [
+  'size',
+  'bit_rate',
+  'max_bit_rate',
+  'nb_frames',
+  'nb_read_frames',
+  'nb_read_packets',
+  'sample_rate',
+  'bits_per_raw_sample'
+];
+
+/**
+ * Class representing an FFprobe inspection of a media file (`ffprobe ...`)
+ */
+class FFprobe {
+  /**
+   * Create an FFprobe object
+   * @param {string|FFmpegInput} input - the address of the media file to inspect, or an input object (not piped from a stream or made from a filter object)
+   *
+   * @property {string} url - the address of the media file to inspect
+   * @property {string|undefined} format - the input format (`-f`), if set on the input object
+   */
+  constructor (input) {
+    this.type = 'FFprobe';
+    if (!input) {
+      throw new Error('Invalid arguments: input parameter is required');
+    }
+    if (typeof input === 'string') {
+      this.url = input;
+    } else if (input.type === 'FFmpegInput') {
+      // ffprobe is spawned without stdin, and filter objects are only known to ffmpeg's filter graph
+      if (input.stream || /^pipe:/.test(input.url)) {
+        throw new Error('Invalid arguments: cannot probe an FFmpegInput piped from a stream');
+      }
+      if (input.filterObject) {
+        throw new Error('Invalid arguments: cannot probe an FFmpegInput made from a filter object');
+      }
+      this.url = input.url;
+      // other input options (-ss, -re, ...) are ffmpeg-only, so only the format is carried over
+      const formatOption = input.options.find((o) => o.name === 'f');
+      if (formatOption) {
+        this.format = formatOption.arg.toString();
+      }
+    } else {
+      throw new Error('Invalid arguments: input must be a url string or an FFmpegInput object');
+    }
+  }
+
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
+  }
+
+  /**
+   * Generate the command representation of the ffprobe command
+   *
+   * @returns {Object} - an object containing keys 'command', 'args' and 'optionIndexes' (the positions of option names in 'args')
+   */
+  toCommand () {
+    const parts = { args: [], optionIndexes: [] };
+    [
+      ['-v', 'error'],
+      ['-print_format', 'json'],
+      ['-show_format'],
+      ['-show_streams'],
+      ['-show_chapters']
+    ].forEach((option) => pushArguments(parts, option, true));
+    if (this.format !== undefined) {
+      pushArguments(parts, ['-f', this.format], true);
+    }
+    pushArguments(parts, [this.url], false);
+    return { command: this.constructor.config.ffprobe_bin, args: parts.args, optionIndexes: parts.optionIndexes };
+  }
+
+  /**
+   * Generate the string representation of the ffprobe command
+   *
+   * @param {Object} options - (optional) the `shell` to quote the command string for: `'posix'` (default), `'cmd'` (batch files) or `'powershell'`
+   * @returns {string} - the command string to be executed
+   */
+  toString ({ shell } = {}) {
+    const cmd = this.toCommand();
+    return createCommandString(cmd.command, cmd.args, { optionIndexes: cmd.optionIndexes, shell });
+  }
+
+  /**
+   * Run ffprobe and return a promise for the parsed result
+   *
+   * @returns {Promise<Object>} - a promise resolving with the `format`, `streams` and `chapters` of the media file (see {@link FFprobe.parseOutput})
+   *
+   * @throws {FFmpegError}
+   */
+  probe () {
+    const cmd = this.toCommand();
+    return new Promise((resolve, reject) => {
+      cp.execFile(cmd.command, cmd.args, (err, stdout) => {
+        if (err) {
+          return reject(new FFmpegError({
+            message: err.message,
+            code: err.code,
+            signal: err.signal,
+            killed: err.killed,
+            cmd: this.toString()
+          }));
+        }
+        try {
+          resolve(FFprobe.parseOutput(stdout));
+        } catch (parseErr) {
+          reject(new FFmpegError({
+            message: `Unable to parse ffprobe output: ${parseErr.message}`,
+            cmd: this.toString()
+          }));
+        }
+      });
+    });
+  }
+
+  /**
+   * Inspect a media file
+   * @param {string|FFmpegInput} input - the address of the media file to inspect, or an input object (not piped from a stream or made from a filter object)
+   *
+   * @returns {Promise<Object>} - a promise resolving with the parsed result (see {@link FFprobe#probe})
+   *
+   * @throws {FFmpegError}
+   */
+  static probe (input) {
+    return new this(input).probe();
+  }
+
+  /**
+   * Parse the JSON output of ffprobe
+   *
+   * Durations and timestamps are converted to seconds, rationals such as `r_frame_rate`
+   * to `{ num, den, value }` objects, numeric strings such as `bit_rate` to numbers, and
+   * `'N/A'` values to `null`. Tags are left untouched.
+   *
+   * @param {string} output - the JSON output of ffprobe
+   *
+   * @returns {Object} - the `format`, `streams` and `chapters` of the media file
+   */
+  static parseOutput (output) {
+    const data = JSON.parse(output);
+    return {
+      format: FFprobe._parseSection(data.format || {}),
+      streams: (data.streams || []).map((s) => FFprobe._parseSection(s)),
+      chapters: (data.chapters || []).map((c) => FFprobe._parseSection(c))
+    };
+  }
+
+  /**
+   * Parse a rational string (`num/den` or `num:den`)
+   * @param {string} value - the rational string
+   *
+   * @returns {Object|null} - the rational's `num`, `den` and decimal `value` (`null` if `den` is 0), or null if not a rational
+   */
+  static parseRational (value) {
+    const match = /^(-?\d+)[/:](-?\d+)$/.exec(value);
+    if (!match) {
+      return null;
+    }
+    const num = parseInt(match[1], 10);
+    const den = parseInt(match[2], 10);
+    return { num: num, den: den, value: den === 0 ? null : num / den };
+  }
+
+  /**
+   * Parse the values of one section (format, stream or chapter) of ffprobe's output
+   * @param {Object} section - the section data
+   *
+   * @returns {Object} - the parsed section data
+   *
+   * @private
+   */
+  static _parseSection (section) {
+    const result = {};
+    for (let key of Object.keys(section)) {
+      const value = section[key];
+      if (value === 'N/A') {
+        result[key] = null;
+      } else if (typeof value !== 'string') {
+        result[key] = value;
+      } else if (RATIONAL_KEYS.includes(key)) {
+        result[key] = FFprobe.parseRational(value);
+      } else if (DURATION_KEYS.includes(key) || NUMBER_KEYS.includes(key)) {
+        const number = Number(value);
+        result[key] = Number.isNaN(number) ? null : number;
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = FFprobe;
@@ -4,6 +4,8 @@
 
 const FilterNode = require('./filter_node')
 const FFmpegStreamSpecifier = require('./ffmpeg_stream_specifier')
+const { inspect } = require('util');
+const config = require('./util/config')();
 
 /**
  * Class representing an FFmpeg filter chain
@@ -85,6 +87,9 @@ class FilterChain {
     if (inputs.some((i) => (!(i instanceof FFmpegStreamSpecifier)))) {
       throw new Error('Invalid inputs specified: all inputs in Array must be FFmpegStreamSpecifier objects');
     }
+    if (inputs.some((i) => i.isExcluded || i.isOptional)) {
+      throw new Error('Invalid inputs specified: excluded and optional streams can only be mapped to outputs');
+    }
     return inputs;
   }
 
@@ -106,16 +111,84 @@ class FilterChain {
 
   /**
    * Get an output stream specifier on this filter chain
-   * @param {number|string|undefined} specifier - (optional) index/type of the output pad (default: first pad)
+   *
+   * Output pads are addressed by index, or by a link label of your choosing, which
+   * is used in place of the generated pad name. Requesting the same index or label
+   * again returns the same stream specifier. A label cannot be used by two chains of
+   * the same filter graph.
+   *
+   * @param {number|string|undefined} specifier - (optional) index or label of the output pad (default: the first pad not requested yet)
    * @returns {FFmpegStreamSpecifier} - the stream specifier
+   * @throws {Error}
    */
-  streamSpecifier () {
-    const streamSpecifier = new FFmpegStreamSpecifier(this, this.streamSpecifiers.length);
+  streamSpecifier (specifier) {
+    let index = specifier, label;
+    if (typeof specifier === 'string') {
+      if (specifier === '' || /[[\]]/.test(specifier)) {
+        throw new Error(`Invalid output pad label ${inspect(specifier)}: labels must be non-empty and cannot contain brackets`);
+      }
+      const labelled = this.streamSpecifiers.find((s) => s.label === specifier);
+      if (labelled) {
+        return labelled;
+      }
+      if (this.filterGraph) {
+        this.filterGraph.checkOutputLabel(specifier, this);
+      }
+      [index, label] = [undefined, specifier];
+    }
+    if (index === undefined) {
+      index = 0;
+      while (this._outputPadSpecifier(index)) {
+        index++;
+      }
+    }
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error(`Invalid output pad ${inspect(specifier)}: must be a non-negative integer index or a string label`);
+    }
+    const padCount = this.outputNode.outputPadCount();
+    if (padCount !== undefined && index >= padCount) {
+      throw new Error(`Invalid output pad ${inspect(specifier)}: filter ${this.outputNode.filterName} has ${padCount} output pads`);
+    }
+    const existing = this._outputPadSpecifier(index);
+    if (existing) {
+      return existing;
+    }
+    const streamSpecifier = new FFmpegStreamSpecifier(this, index);
+    streamSpecifier.label = label;
     this.streamSpecifiers.push(streamSpecifier);
 
     return streamSpecifier;
   }
 
+  /**
+   * Check that every output pad of the chain's last filter is used, up to the
+   * number of pads it produces (for filters such as `split`) or the highest pad requested
+   * @returns {Array<string>} - the problems found, if any
+   */
+  checkOutputPads () {
+    const padCount = this.outputNode.outputPadCount();
+    const requested = this.streamSpecifiers.map((s) => parseInt(s.specifier, 10));
+    const count = padCount === undefined ? Math.max(0, ...requested.map((i) => i + 1)) : padCount;
+    const problems = [];
+    for (let i = 0; i < count; i++) {
+      if (!requested.includes(i)) {
+        problems.push(`output pad ${i} of filter "${this.outputNode.filterName}" is not used`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Find the stream specifier requested for an output pad
+   * @param {number} index - the output pad index
+   * @returns {FFmpegStreamSpecifier|undefined} - the stream specifier, if requested
+   *
+   * @private
+   */
+  _outputPadSpecifier (index) {
+    return this.streamSpecifiers.find((s) => s.specifier === index.toString());
+  }
+
   /**
    * Get an output pad label on this filter chain
    * @param {string} specifier - the index from the requesting FFmpegStreamSpecifier
@@ -138,23 +211,52 @@ class FilterChain {
     return this.filterGraph.chainPosition(this);
   }
 
+  /**
+   * Validate the filters of the chain, and the pads linking them, against a filter registry
+   *
+   * Without a registry, only checks that all output pads are used (see {@link FilterChain#checkOutputPads}).
+   *
+   * @param {FilterRegistry} registry - (optional) the filters known to ffmpeg (see {@link FilterRegistry.load})
+   * @returns {FilterChain} - the filter chain, if valid
+   * @throws {Error}
+   */
+  validate (registry) {
+    const problems = registry ? registry.checkChain(this) : this.checkOutputPads();
+    if (problems.length > 0) {
+      throw new Error(`Invalid filter chain ${this.toString()}: ${problems.join('; ')}`);
+    }
+    return this;
+  }
+
   /**
    * Generate a string representation of the filter chain
+   * @param {Array<FFmpegStreamSpecifier>} inputs - (optional) the input stream specifiers to use in place of the chain's inputs (default: the chain's inputs)
    * @returns {string} - the filter chain string
    */
-  toString () {
-    let inputs = this.inputs.map((i) => {
+  toString (inputs = this.inputs) {
+    const inputLabels = inputs.map((i) => {
       const str = i.toString();
       if (str.startsWith('[') && str.endsWith(']')) {
         return str;
       }
       return `[${str}]`;
     }).join('');
-    let filters = this.nodes.map((f) => f.toString()).join(',');
-    let outputs = this.streamSpecifiers.map(
-      (specifier) => specifier.toString()
-    ).join('');
-    return `${inputs}${filters}${outputs}`;
+    let filters = this.nodes.map((f) => f.toFilterGraphString()).join(',');
+    // output pads are labelled in order, so unrequested pads before the last requested one get generated labels
+    const padCount = Math.max(0, ...this.streamSpecifiers.map((s) => parseInt(s.specifier, 10) + 1));
+    let outputs = Array.from({ length: padCount }, (_, i) => {
+      const specifier = this._outputPadSpecifier(i);
+      return specifier ? specifier.toString() : `[${this.getOutputPad(i)}]`;
+    }).join('');
+    return `${inputLabels}${filters}${outputs}`;
+  }
+
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
   }
 
   /**
@@ -165,7 +267,7 @@ class FilterChain {
    */
   static wrap (filterNode) {
     if (filterNode instanceof FilterNode) {
-      return new FilterChain([filterNode]);
+      return new this([filterNode]);
     }
     return filterNode;
   }
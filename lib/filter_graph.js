@@ -6,6 +6,10 @@
 
 const FilterChain = require('./filter_chain');
 const FilterNode = require('./filter_node');
+const FFmpegStreamSpecifier = require('./ffmpeg_stream_specifier');
+const { inspect } = require('util');
+const { diagram, toDot, toMermaid } = require('./util/graph_diagram');
+const config = require('./util/config')();
 
 /** Class representing an FFmpeg filter graph
  */
@@ -19,6 +23,24 @@ class FilterGraph {
     this.chains = [];
   }
 
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
+  }
+
+  /**
+   * The classes of the filter chains and filter nodes created by the class, sharing its configuration
+   * @returns {Object} - the `FilterChain` and `FilterNode` classes
+   *
+   * @private
+   */
+  static get _classes () {
+    return { FilterChain, FilterNode };
+  }
+
   /**
    * Adds a filter chain to the filter graph
    * @param {FilterChain} chain - the filter chain to be added
@@ -29,10 +51,28 @@ class FilterGraph {
     if (!(chain instanceof FilterChain)) {
       throw new Error('Invalid parameter chain: must be instance of FilterChain');
     }
+    chain.streamSpecifiers
+      .filter((s) => s.label !== undefined)
+      .forEach((s) => this.checkOutputLabel(s.label, chain));
     this.chains.push(chain);
     chain.filterGraph = this;
   }
 
+  /**
+   * Check that an output pad label is not used by another chain of the graph,
+   * as ffmpeg only allows each link label to be produced once
+   * @param {string} label - the output pad label
+   * @param {FilterChain} chain - the filter chain the label is for
+   * @returns {void}
+   * @throws {Error} if another chain of the graph uses the label
+   */
+  checkOutputLabel (label, chain) {
+    const other = this.chains.find((c) => c !== chain && c.streamSpecifiers.some((s) => s.label === label));
+    if (other) {
+      throw new Error(`Invalid output pad label ${inspect(label)}: already used by chain ${this.chainPosition(other)} of the filter graph`);
+    }
+  }
+
   /**
    * Returns the position of the chain in the graph
    * @param {FilterChain} chain - the filter chain to look for
@@ -53,6 +93,86 @@ class FilterGraph {
     return s;
   }
 
+  /**
+   * Draw the filter graph as a Graphviz DOT digraph
+   *
+   * Each filter is a node labelled with its arguments, and links between chains are
+   * labelled with the same pad labels as the filter graph string. Input streams and
+   * unused output pads are drawn as nodes of their own.
+   *
+   * @returns {string} the DOT source
+   */
+  toDot () {
+    return toDot(diagram(this.chains));
+  }
+
+  /**
+   * Draw the filter graph as a Mermaid flowchart (see {@link FilterGraph#toDot})
+   * @returns {string} the Mermaid source
+   */
+  toMermaid () {
+    return toMermaid(diagram(this.chains));
+  }
+
+  /**
+   * Parse a filter graph string into a FilterGraph object
+   *
+   * Chains are separated by `;`, the filters in a chain by `,` and filter arguments
+   * by `:`, with `\\` and `'...'` protecting special characters at both the filter
+   * graph and filter option levels. Whitespace around filter names, argument keys
+   * and unquoted values is ignored, as ffmpeg does. Argument values are unescaped
+   * into plain values, which {@link FilterNode} escapes again in `toString()`. Link
+   * labels may appear before the first and after the last filter of a chain: a label produced by one chain and consumed by another links them,
+   * a label such as `[0:v]` refers to a stream of the given inputs, and any other
+   * label is kept as a literal stream specifier.
+   *
+   * @param {string} str - the filter graph string (e.g. the argument of `-filter_complex`)
+   * @param {Array<FFmpegInput>} inputs - (optional) the inputs that input stream labels refer to (default: [])
+   * @returns {FilterGraph} - the filter graph
+   * @throws {Error} if the string is not a valid filter graph
+   * @static
+   */
+  static parse (str, inputs = []) {
+    const graph = new this();
+    const outputLabels = new Map();
+    const inputLabels = new Map();
+    for (let chainStr of splitUnescaped(str, ';')) {
+      if (chainStr.trim() === '') { continue; }
+      const filters = splitUnescaped(chainStr, ',').map((filterStr) => parseFilter(filterStr, this._classes.FilterNode));
+      filters.forEach((filter, i) => {
+        if ((i > 0 && filter.inputs.length > 0) || (i < filters.length - 1 && filter.outputs.length > 0)) {
+          throw new Error(`Invalid filter graph: link labels are only supported at the start and end of a filter chain, in "${chainStr.trim()}"`);
+        }
+      });
+      const chain = new this._classes.FilterChain(filters.map((f) => f.node));
+      graph.addFilterChain(chain);
+      inputLabels.set(chain, filters[0].inputs);
+      for (let label of filters[filters.length - 1].outputs) {
+        if (outputLabels.has(label)) {
+          throw new Error(`Invalid filter graph: output label [${label}] is used more than once`);
+        }
+        const specifier = chain.streamSpecifier(label);
+        outputLabels.set(label, specifier);
+      }
+    }
+    if (graph.chains.length === 0) {
+      throw new Error('Invalid filter graph: no filters found');
+    }
+    for (let [chain, labels] of inputLabels) {
+      chain.addInputs(labels.map((label) => {
+        if (outputLabels.has(label)) {
+          return outputLabels.get(label);
+        }
+        const match = /^(\d+)(?::(.*))?$/.exec(label);
+        if (match && inputs[parseInt(match[1], 10)]) {
+          return inputs[parseInt(match[1], 10)].streamSpecifier(match[2]);
+        }
+        return new FFmpegStreamSpecifier(null, `[${label}]`);
+      }));
+    }
+    return graph;
+  }
+
   /**
    * Wraps FilterChain objects in a FilterGraph
    * @param {FilterChain|FilterGraph|any} filterChain - the FilterChain to wrap
@@ -64,12 +184,207 @@ class FilterGraph {
       return filterChain;
     } else if (filterChain instanceof FilterChain ||
       filterChain instanceof FilterNode) {
-      const fg = new FilterGraph();
-      fg.addFilterChain(FilterChain.wrap(filterChain));
+      const fg = new this();
+      fg.addFilterChain(this._classes.FilterChain.wrap(filterChain));
       return fg;
     }
     return filterChain;
   }
 }
 
+/**
+ * Find the first occurrence of a character not escaped with `\\` nor quoted with `'`
+ * @param {string} str - the string to search
+ * @param {string} char - the character to find
+ * @returns {number} - the index of the character, or -1 if not found
+ * @throws {Error} if a quote is not closed
+ * @private
+ */
+function indexOfUnescaped (str, char) {
+  let quoted = false;
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === '\\' && !quoted) {
+      i += 1;
+    } else if (str[i] === '\'') {
+      quoted = !quoted;
+    } else if (str[i] === char && !quoted) {
+      return i;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Invalid filter graph: unterminated quote in "${str}"`);
+  }
+  return -1;
+}
+
+/**
+ * Split a string on a character not escaped with `\\` nor quoted with `'`, keeping escapes and quotes
+ * @param {string} str - the string to split
+ * @param {string} separator - the separator character
+ * @returns {Array<string>} - the parts of the string
+ * @private
+ */
+function splitUnescaped (str, separator) {
+  const parts = [];
+  let rest = str;
+  let index = indexOfUnescaped(rest, separator);
+  while (index >= 0) {
+    parts.push(rest.slice(0, index));
+    rest = rest.slice(index + 1);
+    index = indexOfUnescaped(rest, separator);
+  }
+  parts.push(rest);
+  return parts;
+}
+
+/**
+ * Split filter arguments on their `:` separators, keeping escapes and quotes
+ *
+ * Arguments are unescaped twice by ffmpeg, first as part of the filter graph and
+ * then as filter options, so a separator is a `:` left unescaped by both levels.
+ *
+ * @param {string} str - the filter arguments, as written in the filter graph
+ * @returns {Array<string>} - the arguments, as written in the filter graph
+ * @private
+ */
+function splitArguments (str) {
+  // filter graph level: keep the position of each unescaped character in the string
+  const chars = [];
+  let quoted = false;
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === '\\' && !quoted) {
+      i += 1;
+      chars.push([str[i], i]);
+    } else if (str[i] === '\'') {
+      quoted = !quoted;
+    } else {
+      chars.push([str[i], i]);
+    }
+  }
+  // filter option level
+  const parts = [];
+  let start = 0;
+  quoted = false;
+  for (let j = 0; j < chars.length; j++) {
+    const [c, index] = chars[j];
+    if (c === '\\' && !quoted) {
+      j += 1;
+    } else if (c === '\'') {
+      quoted = !quoted;
+    } else if (c === ':' && !quoted) {
+      parts.push(str.slice(start, index));
+      start = index + 1;
+    }
+  }
+  parts.push(str.slice(start));
+  return parts;
+}
+
+/**
+ * Remove one level of ffmpeg's filter escaping (`\\` and `'...'`)
+ * @param {string} str - the escaped string
+ * @returns {string} - the unescaped string
+ * @private
+ */
+function unescape (str) {
+  let result = '';
+  let quoted = false;
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === '\\' && !quoted) {
+      i += 1;
+      result += str[i] || '';
+    } else if (str[i] === '\'') {
+      quoted = !quoted;
+    } else {
+      result += str[i];
+    }
+  }
+  return result;
+}
+
+/**
+ * Remove the whitespace around a string, keeping escaped trailing whitespace
+ * @param {string} str - the escaped string
+ * @returns {string} - the string without leading and unescaped trailing whitespace
+ * @private
+ */
+function trimUnescaped (str) {
+  const trimmed = str.trim();
+  if (/\\*$/.exec(trimmed)[0].length % 2 === 0) {
+    return trimmed;
+  }
+  const start = str.indexOf(trimmed);
+  return str.slice(start, start + trimmed.length + 1);
+}
+
+/**
+ * Parse a filter argument value as written in a filter graph
+ * @param {string} str - the value, as written in the filter graph
+ * @returns {string} - the unescaped value
+ * @private
+ */
+function parseArgumentValue (str) {
+  return unescape(unescape(trimUnescaped(str)));
+}
+
+/**
+ * Read the link labels at the start of a string
+ * @param {string} str - the string, starting with zero or more `[label]`s
+ * @returns {Array} - the labels, and the rest of the string
+ * @private
+ */
+function readLabels (str) {
+  const labels = [];
+  let rest = trimUnescaped(str);
+  while (rest.startsWith('[')) {
+    const end = rest.indexOf(']');
+    if (end < 0) {
+      throw new Error(`Invalid filter graph: unterminated link label in "${str.trim()}"`);
+    }
+    labels.push(rest.slice(1, end).trim());
+    rest = trimUnescaped(rest.slice(end + 1));
+  }
+  return [labels, rest];
+}
+
+/**
+ * Parse a filter with its link labels (`[in]name=arg1:key=value[out]`)
+ * @param {string} str - the filter string
+ * @param {Function} FilterNodeClass - the class of the node to create (default: FilterNode)
+ * @returns {Object} - the `inputs` and `outputs` labels and the FilterNode `node`
+ * @private
+ */
+function parseFilter (str, FilterNodeClass = FilterNode) {
+  const [inputs, rest] = readLabels(str);
+  const labelsIndex = indexOfUnescaped(rest, '[');
+  const spec = trimUnescaped(labelsIndex < 0 ? rest : rest.slice(0, labelsIndex));
+  const [outputs, trailing] = labelsIndex < 0 ? [[], ''] : readLabels(rest.slice(labelsIndex));
+  if (trailing !== '') {
+    throw new Error(`Invalid filter graph: unexpected "${trailing}" after link labels in "${str.trim()}"`);
+  }
+  const nameEnd = spec.indexOf('=');
+  const name = (nameEnd < 0 ? spec : spec.slice(0, nameEnd)).trim();
+  if (!/^[\w@-]+$/.test(name)) {
+    throw new Error(`Invalid filter graph: invalid filter name "${name}" in "${str.trim()}"`);
+  }
+  const args = [];
+  const kvargs = {};
+  if (nameEnd >= 0) {
+    for (let arg of splitArguments(spec.slice(nameEnd + 1))) {
+      const kv = /^\s*([A-Za-z_][\w-]*)\s*=([\s\S]*)$/.exec(arg);
+      if (kv) {
+        kvargs[kv[1]] = parseArgumentValue(kv[2]);
+      } else if (Object.keys(kvargs).length > 0) {
+        throw new Error(`Invalid filter graph: positional argument "${arg}" after named arguments in "${str.trim()}"`);
+      } else {
+        args.push(parseArgumentValue(arg));
+      }
+    }
+  }
+  if (Object.keys(kvargs).length > 0) {
+    args.push(kvargs);
+  }
+  return { inputs: inputs, outputs: outputs, node: new FilterNodeClass(name, args) };
+}
+
 module.exports = FilterGraph;
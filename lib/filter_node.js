@@ -6,7 +6,84 @@ const crypto = require('crypto');
 const util = require('util');
 
 const config = require('./util/config')();
-const logger = config.logger;
+
+/**
+ * Characters with a special meaning in filter option values
+ *
+ * @private
+ */
+const OPTION_SPECIAL_CHARS = ['\\', '\'', ':'];
+
+/**
+ * Characters with a special meaning in filter graph descriptions
+ *
+ * @private
+ */
+const FILTER_GRAPH_SPECIAL_CHARS = ['\\', '\'', '[', ']', ',', ';'];
+
+/**
+ * Number of channels of ffmpeg's standard channel layouts
+ *
+ * @private
+ */
+const CHANNEL_LAYOUTS = {
+  'mono': 1, 'stereo': 2, 'downmix': 2, '2.1': 3, '3.0': 3, '3.0(back)': 3,
+  '4.0': 4, 'quad': 4, 'quad(side)': 4, '3.1': 4, '5.0': 5, '5.0(side)': 5, '4.1': 5,
+  '5.1': 6, '5.1(side)': 6, '6.0': 6, '6.0(front)': 6, 'hexagonal': 6,
+  '6.1': 7, '6.1(back)': 7, '6.1(front)': 7, '7.0': 7, '7.0(front)': 7,
+  '7.1': 8, '7.1(wide)': 8, '7.1(wide-side)': 8, 'octagonal': 8
+};
+
+/**
+ * Output pad counts of filters with a number of outputs set by their arguments,
+ * given a function looking up an argument by position and name
+ *
+ * @private
+ */
+const FAN_OUT_FILTERS = {
+  split: (arg) => parseInt(arg(0, 'outputs', 2), 10),
+  asplit: (arg) => parseInt(arg(0, 'outputs', 2), 10),
+  channelsplit: (arg) => {
+    const channels = arg(1, 'channels', 'all').toString();
+    if (channels !== 'all') {
+      return channels.split('+').length;
+    }
+    const layout = arg(0, 'channel_layout', 'stereo').toString();
+    return /^[A-Z]+(\+[A-Z]+)*$/.test(layout) ? layout.split('+').length : CHANNEL_LAYOUTS[layout];
+  },
+  segment: (arg) => {
+    const points = arg(0, 'timestamps', undefined) || arg(1, 'frames', undefined);
+    return points === undefined ? undefined : countItems(points) + 1;
+  },
+  asegment: (arg) => {
+    const points = arg(0, 'timestamps', undefined) || arg(1, 'samples', undefined);
+    return points === undefined ? undefined : countItems(points) + 1;
+  }
+};
+
+/**
+ * Class representing a filter argument value written to the filter graph as is
+ *
+ * @private
+ */
+class RawFilterArgument {
+  /**
+   * Create a raw filter argument value
+   * @param {string|number} value - the value, already escaped for the filter graph
+   */
+  constructor (value) {
+    this.type = 'RawFilterArgument';
+    this.value = value.toString();
+  }
+
+  /**
+   * Return the value as is
+   * @returns {string} - the value
+   */
+  toString () {
+    return this.value;
+  }
+}
 
 /** Class representing a single node in an FFmpeg filter graph */
 class FilterNode {
@@ -26,10 +103,36 @@ class FilterNode {
 
   /**
    * Generate the argument string defining this FFmpeg filter node
+   *
+   * Argument values are escaped as filter option values (`\\`, `'` and `:`), except
+   * those wrapped with {@link FilterNode.raw}.
+   *
    * @returns {string} the filter argument string
    */
   toString () {
-    return (this.filterName + this._processFilterArguments());
+    return (this.filterName + this._processFilterArguments(false));
+  }
+
+  /**
+   * Generate the argument string defining this FFmpeg filter node within a filter graph
+   *
+   * Argument values are escaped as filter option values, then for the filter graph
+   * (`\\`, `'`, `[`, `]`, `,` and `;`), except those wrapped with {@link FilterNode.raw}.
+   *
+   * @returns {string} the filter argument string
+   */
+  toFilterGraphString () {
+    return (this.filterName + this._processFilterArguments(true));
+  }
+
+  /**
+   * Get the number of output pads of the filter, for filters whose outputs are set
+   * by their arguments (`split`, `asplit`, `channelsplit`, `segment` and `asegment`)
+   * @returns {number|undefined} - the number of output pads, or undefined if not known
+   */
+  outputPadCount () {
+    const count = FAN_OUT_FILTERS[this.filterName.split('@')[0]];
+    return count ? count((position, name, defaultValue) => this._getArgument(position, name, defaultValue)) : undefined;
   }
 
   /**
@@ -41,6 +144,28 @@ class FilterNode {
     return `${this.filterName}_${specifier}`;
   }
 
+  /**
+   * Generate the JSON representation of the filter node (see {@link FilterNode.fromJSON})
+   * @returns {Object} - the `filterName` and `args` of the node
+   */
+  toJSON () {
+    return { filterName: this.filterName, args: this.args };
+  }
+
+  /**
+   * Validate the filter name and argument names against a filter registry
+   * @param {FilterRegistry} registry - the filters known to ffmpeg (see {@link FilterRegistry.load})
+   * @returns {FilterNode} - the filter node, if valid
+   * @throws {Error}
+   */
+  validate (registry) {
+    const problems = registry.checkNode(this);
+    if (problems.length > 0) {
+      throw new Error(`Invalid filter ${this.filterName}: ${problems.join('; ')}`);
+    }
+    return this;
+  }
+
   /**
    * Validate the options object used to create a filter node
    * @param {string} filterName - the filterName for the filter
@@ -58,32 +183,55 @@ class FilterNode {
     }
   }
 
+  /**
+   * Look up an argument given either by position or by name
+   * @param {number} position - the position of the argument when given without a name
+   * @param {string} name - the name of the argument
+   * @param {any} defaultValue - the value if the argument is not given
+   *
+   * @returns {any} - the argument value
+   *
+   * @private
+   */
+  _getArgument (position, name, defaultValue) {
+    const args = Array.isArray(this.args) ? this.args : [this.args];
+    const isNamed = (arg) => typeof arg === 'object' && !Array.isArray(arg) && !(arg instanceof RawFilterArgument);
+    const named = args.find((arg) => isNamed(arg) && Object.prototype.hasOwnProperty.call(arg, name));
+    if (named) {
+      return named[name];
+    }
+    const positional = args.filter((arg) => !isNamed(arg))[position];
+    return positional === undefined ? defaultValue : positional;
+  }
+
   /**
    * Generate the FFmpeg-formatted arguments for the filter node
+   * @param {boolean} forFilterGraph - also escape the values for a filter graph
    *
    * @returns {string} - the FFmpeg-formatted arguments string
    *
    * @private
    */
-  _processFilterArguments () {
+  _processFilterArguments (forFilterGraph) {
     const args = this.args;
     if (!args) { return (''); }
+    const handle = (value) => FilterNode._handleArrayArguments(value, forFilterGraph);
     let argterms = [], kvargs = [];
     if (Array.isArray(args)) {
       for (let arg of args) {
         switch (typeof arg) {
         case 'object':
-          if (Array.isArray(arg)) {
-            argterms.push(FilterNode._handleArrayArguments(arg));
+          if (Array.isArray(arg) || arg instanceof RawFilterArgument) {
+            argterms.push(handle(arg));
           } else {
             for (let key of Object.getOwnPropertyNames(arg)) {
-              kvargs.push(`${key}=${FilterNode._handleArrayArguments(arg[key])}`);
+              kvargs.push(`${key}=${handle(arg[key])}`);
             }
           }
           break;
         case 'string':
         case 'number':
-          argterms.push(arg);
+          argterms.push(handle(arg));
           break;
         default:
           throw new Error(`Invalid argument ${util.inspect(arg)} of FilterNode ${util.inspect(this)}. Filter arguments should be either a string or an object with keys 'name' and 'value', or in rare cases, an Array.`);
@@ -91,7 +239,7 @@ class FilterNode {
       }
     } else {
       for (let key of Object.getOwnPropertyNames(args)) {
-        kvargs.push(`${key}=${FilterNode._handleArrayArguments(args[key])}`);
+        kvargs.push(`${key}=${handle(args[key])}`);
       }
     }
     const argsString = argterms.concat(kvargs).join(':');
@@ -99,17 +247,110 @@ class FilterNode {
   }
 
   /**
-   * Process Array-valued arguments to a filter
-   * @param {Object} arg - the Array-valued argument data
+   * Process Array-valued arguments to a filter, escaping each value
+   * @param {Object} arg - the argument data
+   * @param {boolean} forFilterGraph - also escape the values for a filter graph
    *
-   * @returns {string} - a the arguments sub-string for the Array-valued argument value
+   * @returns {string} - a the arguments sub-string for the argument value
    *
    * @private
    */
-  static _handleArrayArguments (arg) {
-    if (typeof arg === 'object' && Array.isArray(arg)) { return arg.join('|'); }
-    return arg;
+  static _handleArrayArguments (arg, forFilterGraph = false) {
+    if (typeof arg === 'object' && Array.isArray(arg)) {
+      return arg.map((a) => FilterNode._handleArrayArguments(a, forFilterGraph)).join('|');
+    }
+    if (arg instanceof RawFilterArgument) {
+      return arg.value;
+    }
+    const value = FilterNode.escapeOptionValue(arg);
+    return forFilterGraph ? FilterNode.escapeFilterGraph(value) : value;
+  }
+
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
+  }
+
+  /**
+   * Create a filter node from its JSON representation (see {@link FilterNode#toJSON})
+   * @param {Object} json - the `filterName` and `args` of the node
+   *
+   * @returns {FilterNode} - the filter node
+   */
+  static fromJSON (json) {
+    const revive = (arg) => {
+      if (Array.isArray(arg)) {
+        return arg.map(revive);
+      }
+      if (arg !== null && typeof arg === 'object') {
+        if (arg.type === 'RawFilterArgument') {
+          return FilterNode.raw(arg.value);
+        }
+        return Object.keys(arg).reduce((obj, key) => Object.assign(obj, { [key]: revive(arg[key]) }), {});
+      }
+      return arg;
+    };
+    return new this(json.filterName, revive(json.args));
   }
+
+  /**
+   * Mark a filter argument value as already escaped, so that it is written to the filter graph as is
+   * @param {string|number} value - the escaped value
+   *
+   * @returns {Object} - the value, to use in place of a string in the filter arguments
+   */
+  static raw (value) {
+    return new RawFilterArgument(value);
+  }
+
+  /**
+   * Escape a filter option value (first level of ffmpeg's filter escaping)
+   * @param {string|number} value - the value
+   *
+   * @returns {string} - the escaped value
+   */
+  static escapeOptionValue (value) {
+    return escape(value.toString(), OPTION_SPECIAL_CHARS);
+  }
+
+  /**
+   * Escape a filter description for use in a filter graph (second level of ffmpeg's filter escaping)
+   * @param {string} str - the filter description, or part of it
+   *
+   * @returns {string} - the escaped string
+   */
+  static escapeFilterGraph (str) {
+    return escape(str, FILTER_GRAPH_SPECIAL_CHARS);
+  }
+}
+
+/**
+ * Escape special characters, and whitespace that ffmpeg would trim, with `\\`
+ * @param {string} str - the string to escape
+ * @param {Array<string>} specialChars - the characters to escape
+ * @returns {string} - the escaped string
+ * @private
+ */
+function escape (str, specialChars) {
+  const leading = /^\s*/.exec(str)[0].length;
+  const trailing = str.length - /\s*$/.exec(str).index;
+  return Array.from(str).map((c, i) => {
+    const trimmed = i < leading || i >= str.length - trailing;
+    return specialChars.includes(c) || trimmed ? `\\${c}` : c;
+  }).join('');
+}
+
+/**
+ * Count the items of a `|`-separated (or Array) argument value
+ * @param {string|Array} value - the argument value
+ * @returns {number} - the number of items
+ * @private
+ */
+function countItems (value) {
+  return (Array.isArray(value) ? value : value.toString().split('|')).length;
 }
 
 module.exports = FilterNode;
@@ -0,0 +1,342 @@
+/**
+ * @fileOverview lib/filter_registry.js - Defines and exports the FilterRegistry class
+ */
+
+const config = require('./util/config')();
+const runFFmpeg = require('./util/run_ffmpeg');
+const { didYouMean } = require('./util/suggest');
+
+/**
+ * Pad types in `ffmpeg -filters` output
+ *
+ * @private
+ */
+const PAD_TYPES = { V: 'video', A: 'audio' };
+
+/**
+ * Registries loaded from ffmpeg, keyed by class (the library's, or one bound by `getFessonia()`) then by ffmpeg binary
+ *
+ * @private
+ */
+const caches = new WeakMap();
+
+/**
+ * Class representing the catalogue of filters known to an ffmpeg binary
+ *
+ * Each filter is described by its `name`, `description`, `timelineSupport`,
+ * `sliceThreading` and `commandSupport` flags, its `inputs` and `outputs` pads
+ * (an Array of `'video'` or `'audio'` pad types, or `'dynamic'`), and, once
+ * loaded with {@link FilterRegistry#loadDetails}, its `options`.
+ */
+class FilterRegistry {
+  /**
+   * Create a FilterRegistry object
+   * @param {Object} filters - the filter descriptions, keyed by filter name (default: {})
+   * @param {string} ffmpegBin - the ffmpeg binary the filters come from (default: the configured `ffmpeg_bin`)
+   *
+   * @property {Object} filters - the filter descriptions, keyed by filter name
+   * @property {string} ffmpegBin - the ffmpeg binary the filters come from
+   */
+  constructor (filters = {}, ffmpegBin = this.constructor.config.ffmpeg_bin) {
+    this.type = 'FilterRegistry';
+    this.filters = filters;
+    this.ffmpegBin = ffmpegBin;
+  }
+
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
+  }
+
+  /**
+   * Get the description of a filter
+   * @param {string} filterName - the filter name, optionally with an `@id` suffix
+   * @returns {Object|undefined} - the filter description, or undefined for an unknown filter
+   */
+  get (filterName) {
+    const name = filterName.split('@')[0];
+    return Object.prototype.hasOwnProperty.call(this.filters, name) ? this.filters[name] : undefined;
+  }
+
+  /**
+   * Check whether a filter is known
+   * @param {string} filterName - the filter name, optionally with an `@id` suffix
+   * @returns {boolean} - true if the filter is known
+   */
+  has (filterName) {
+    return this.get(filterName) !== undefined;
+  }
+
+  /**
+   * Load the pads and options of filters with `ffmpeg -h filter=NAME`
+   * @param {Array<string>} filterNames - the filters to describe (default: all known filters)
+   * @returns {Promise<FilterRegistry>} - a promise resolving with the registry once all filters are described
+   * @throws {FFmpegError}
+   */
+  loadDetails (filterNames = Object.keys(this.filters)) {
+    // one ffmpeg run per filter, one after the other to avoid spawning hundreds at once
+    return filterNames.reduce((previous, name) => previous
+      .then(() => runFFmpeg(this.ffmpegBin, ['-hide_banner', '-h', `filter=${name}`]))
+      .then((output) => {
+        this.filters[name] = Object.assign({}, this.filters[name], FilterRegistry.parseFilterHelp(output));
+      }), Promise.resolve())
+      .then(() => this);
+  }
+
+  /**
+   * Check a filter node against its filter's description
+   *
+   * Checks that the filter exists, that its named arguments are options of the
+   * filter and that it has no more positional arguments than the filter has options
+   * (counting each option once, whatever its number of names).
+   * Options are only checked for filters described with {@link FilterRegistry#loadDetails}.
+   *
+   * @param {FilterNode} node - the filter node
+   * @returns {Array<string>} - the problems found, if any
+   */
+  checkNode (node) {
+    const info = this.get(node.filterName);
+    if (!info) {
+      return [`unknown filter "${node.filterName}"${didYouMean(node.filterName, Object.keys(this.filters))}`];
+    }
+    if (!info.options) {
+      return [];
+    }
+    const problems = [];
+    const optionNames = Object.keys(info.options).concat(info.timelineSupport ? ['enable'] : []);
+    const { positional, named } = splitArguments(node.args);
+    for (let key of named) {
+      if (!optionNames.includes(key)) {
+        problems.push(`unknown option "${key}" for filter "${info.name}"${didYouMean(key, optionNames)}`);
+      }
+    }
+    const optionCount = countOptions(info.options);
+    if (positional > optionCount) {
+      problems.push(`filter "${info.name}" takes at most ${optionCount} arguments, got ${positional}`);
+    }
+    return problems;
+  }
+
+  /**
+   * Check a filter chain: its nodes, the counts and types of the pads linking them,
+   * and its output pads (see {@link FilterChain#checkOutputPads})
+   * @param {FilterChain} chain - the filter chain
+   * @returns {Array<string>} - the problems found, if any
+   */
+  checkChain (chain) {
+    const problems = [];
+    chain.nodes.forEach((node) => { problems.push(...this.checkNode(node)); });
+    const pads = chain.nodes.map((node) => this.get(node.filterName));
+    if (pads.includes(undefined)) {
+      return problems;
+    }
+    for (let i = 0; i < chain.nodes.length - 1; i++) {
+      const [from, to] = [pads[i], pads[i + 1]];
+      if (from.outputs !== 'dynamic' && from.outputs.length !== 1) {
+        problems.push(`filter "${from.name}" has ${from.outputs.length} outputs, so it cannot be followed by "${to.name}" in a chain`);
+      } else if (to.inputs !== 'dynamic' && to.inputs.length === 0) {
+        problems.push(`source filter "${to.name}" cannot follow "${from.name}" in a chain`);
+      } else if (from.outputs !== 'dynamic' && to.inputs !== 'dynamic' && from.outputs[0] !== to.inputs[0]) {
+        problems.push(`filter "${from.name}" outputs ${from.outputs[0]}, but "${to.name}" expects ${to.inputs[0]}`);
+      }
+    }
+    const first = pads[0];
+    if (first.inputs !== 'dynamic') {
+      if (chain.inputs.length > first.inputs.length) {
+        problems.push(`filter "${first.name}" has ${first.inputs.length} inputs, but the chain has ${chain.inputs.length}`);
+      }
+      chain.inputs.forEach((input, i) => {
+        const streamType = this._streamType(input);
+        if (streamType && first.inputs[i] && streamType !== first.inputs[i]) {
+          problems.push(`input ${i} of filter "${first.name}" expects ${first.inputs[i]}, but is given ${streamType} (${input.toString()})`);
+        }
+      });
+    }
+    const last = pads[pads.length - 1];
+    if (last.outputs !== 'dynamic' && chain.streamSpecifiers.length > last.outputs.length) {
+      problems.push(`filter "${last.name}" has ${last.outputs.length} outputs, but ${chain.streamSpecifiers.length} are used`);
+    }
+    return problems.concat(chain.checkOutputPads());
+  }
+
+  /**
+   * Generate the JSON snapshot of the registry, for use offline with {@link FilterRegistry.fromJSON}
+   * @returns {Object} - the filter descriptions, keyed by filter name
+   */
+  toJSON () {
+    return this.filters;
+  }
+
+  /**
+   * Find the media type of a stream, if it can be known
+   * @param {FFmpegStreamSpecifier} specifier - the stream specifier
+   * @returns {string|undefined} - `'video'`, `'audio'` or undefined if unknown
+   *
+   * @private
+   */
+  _streamType (specifier) {
+    if (specifier.entityType === 'FFmpegInput') {
+      return PAD_TYPES[(specifier.streamType || '').toUpperCase()];
+    }
+    if (specifier.entityType === 'FilterChain') {
+      const info = this.get(specifier.entity.outputNode.filterName);
+      return info && info.outputs !== 'dynamic' ? info.outputs[parseInt(specifier.specifier, 10)] : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Load the filters known to an ffmpeg binary with `ffmpeg -filters`
+   *
+   * Registries are cached per binary, so ffmpeg only runs once for each.
+   *
+   * @param {string} ffmpegBin - the ffmpeg binary (default: the configured `ffmpeg_bin`)
+   * @returns {Promise<FilterRegistry>} - a promise resolving with the registry
+   * @throws {FFmpegError}
+   */
+  static load (ffmpegBin = this.config.ffmpeg_bin) {
+    if (!caches.has(this)) {
+      caches.set(this, new Map());
+    }
+    const cache = caches.get(this);
+    if (!cache.has(ffmpegBin)) {
+      const registry = runFFmpeg(ffmpegBin, ['-hide_banner', '-filters'])
+        .then((output) => new this(this.parseFilterList(output), ffmpegBin));
+      // do not cache failures, so that a later call can retry
+      registry.catch(() => cache.delete(ffmpegBin));
+      cache.set(ffmpegBin, registry);
+    }
+    return cache.get(ffmpegBin);
+  }
+
+  /**
+   * Create a registry from a JSON snapshot (see {@link FilterRegistry#toJSON})
+   * @param {string|Object} json - the JSON snapshot, as a string or parsed
+   * @returns {FilterRegistry} - the registry
+   */
+  static fromJSON (json) {
+    return new this(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+
+  /**
+   * Parse the output of `ffmpeg -filters`
+   * @param {string} output - the output of `ffmpeg -filters`
+   * @returns {Object} - the filter descriptions, keyed by filter name
+   */
+  static parseFilterList (output) {
+    const filters = {};
+    const pattern = /^\s*([T.])([S.])([C.])\s+(\w+)\s+([VAN|]+)->([VAN|]+)\s+(.*)$/;
+    for (let line of output.toString().split('\n')) {
+      const match = pattern.exec(line);
+      if (match) {
+        const [, t, s, c, name, inputs, outputs, description] = match;
+        filters[name] = {
+          name: name,
+          description: description.trim(),
+          timelineSupport: t === 'T',
+          sliceThreading: s === 'S',
+          commandSupport: c === 'C',
+          inputs: parsePads(inputs),
+          outputs: parsePads(outputs)
+        };
+      }
+    }
+    return filters;
+  }
+
+  /**
+   * Parse the output of `ffmpeg -h filter=NAME`
+   * @param {string} output - the output of `ffmpeg -h filter=NAME`
+   * @returns {Object} - the filter's `inputs` and `outputs` pads, `options` (with their `type`, `description` and named `values`) and `timelineSupport`
+   */
+  static parseFilterHelp (output) {
+    const result = { inputs: [], outputs: [], options: {} };
+    let section, option;
+    for (let line of output.toString().split('\n')) {
+      let match;
+      if (/^\s+Inputs:$/.test(line)) {
+        section = 'inputs';
+      } else if (/^\s+Outputs:$/.test(line)) {
+        section = 'outputs';
+      } else if (/ AVOptions:$/.test(line)) {
+        section = 'options';
+      } else if (/support for timeline/.test(line)) {
+        result.timelineSupport = true;
+      } else if (section === 'inputs' || section === 'outputs') {
+        if ((match = /^\s+#\d+: \S+ \((\w+)\)$/.exec(line))) {
+          result[section].push(match[1]);
+        } else if (/^\s+dynamic/.test(line)) {
+          result[section] = 'dynamic';
+        }
+      } else if (section === 'options') {
+        if ((match = /^ {2}(\S+)\s+<([^>]+)>\s+\S+\s*(.*)$/.exec(line))) {
+          // options shared by several AVOption classes are listed once per class
+          option = result.options[match[1]] || { type: match[2], description: match[3].trim() };
+          result.options[match[1]] = option;
+        } else if (option && (match = /^ {3,}(\S+)/.exec(line))) {
+          option.values = option.values || [];
+          if (!option.values.includes(match[1])) {
+            option.values.push(match[1]);
+          }
+        }
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Parse the pads of a filter in `ffmpeg -filters` output
+ * @param {string} pads - the pads (e.g. `VV`, `N` or `|`)
+ * @returns {Array<string>|string} - the pad types, or `'dynamic'`
+ * @private
+ */
+function parsePads (pads) {
+  if (pads === 'N') {
+    return 'dynamic';
+  }
+  if (pads === '|') {
+    return [];
+  }
+  return pads.split('').map((p) => PAD_TYPES[p]);
+}
+
+/**
+ * Count the positional arguments and list the named arguments of a filter node
+ * @param {Array|Object} args - the filter node's arguments
+ * @returns {Object} - the `positional` argument count and `named` argument names
+ * @private
+ */
+function splitArguments (args) {
+  const named = [];
+  let positional = 0;
+  const isNamed = (arg) => typeof arg === 'object' && !Array.isArray(arg) && arg.type !== 'RawFilterArgument';
+  for (let arg of Array.isArray(args) ? args : [args]) {
+    if (arg && isNamed(arg)) {
+      named.push(...Object.getOwnPropertyNames(arg));
+    } else if (arg !== undefined && arg !== null) {
+      positional += 1;
+    }
+  }
+  return { positional: positional, named: named };
+}
+
+/**
+ * Count the distinct options of a filter
+ *
+ * ffmpeg lists each name of an option (`w` and `width`) as an option of its own,
+ * right after the other names, with the same type and description.
+ *
+ * @param {Object} options - the filter's options, by name, in the order ffmpeg lists them
+ * @returns {number} - the number of options, not counting their other names
+ * @private
+ */
+function countOptions (options) {
+  const isSame = (a, b) => a.type === b.type && a.description === b.description;
+  return Object.values(options).filter((option, i, all) => i === 0 || !isSame(option, all[i - 1])).length;
+}
+
+module.exports = FilterRegistry;
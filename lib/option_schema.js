@@ -0,0 +1,440 @@
+/**
+ * @fileOverview lib/option_schema.js - Defines and exports the OptionSchema class
+ */
+
+const config = require('./util/config')();
+const runFFmpeg = require('./util/run_ffmpeg');
+const { didYouMean } = require('./util/suggest');
+
+/**
+ * Where the options of each section of `ffmpeg -h full` can be used, for its main (non-AVOption) options
+ *
+ * @private
+ */
+const MAIN_SECTIONS = [
+  [/^Print help/, ['global']],
+  [/global options/i, ['global']],
+  [/^(Advanced )?(Per-file main|per-file|Video|Audio|Subtitle) options:$/i, ['input', 'output']]
+];
+
+/**
+ * Per-file main options which only apply to inputs (ffmpeg's help does not say)
+ *
+ * @private
+ */
+const INPUT_OPTIONS = [
+  'accurate_seek', 'autorotate', 'canvas_size', 'discard', 'dump_attachment', 'find_stream_info',
+  'fix_sub_duration', 'guess_layout_max', 'hwaccel', 'hwaccel_device', 'hwaccel_output_format',
+  'isync', 're', 'reinit_filter', 'seek_timestamp', 'sseof', 'stream_loop', 'thread_queue_size',
+  'itsoffset', 'itsscale'
+];
+
+/**
+ * Per-file main options which only apply to outputs (ffmpeg's help does not say)
+ *
+ * @private
+ */
+const OUTPUT_OPTIONS = [
+  'absf', 'af', 'aframes', 'apad', 'apre', 'aq', 'aspect', 'attach', 'b', 'ab', 'bits_per_raw_sample',
+  'bsf', 'chroma_intra_matrix', 'copyinkf', 'copypriorss', 'dframes', 'disposition', 'enc_time_base',
+  'filter', 'filter_script', 'force_fps', 'force_key_frames', 'fpre', 'frames', 'fs', 'inter_matrix',
+  'intra_matrix', 'map', 'map_channel', 'map_chapters', 'map_metadata', 'max_muxing_queue_size',
+  'metadata', 'muxdelay', 'muxpreload', 'pass', 'passlogfile', 'pre', 'profile', 'program', 'q',
+  'qscale', 'rc_override', 'shortest', 'spre', 'streamid', 'target', 'time_base', 'timecode',
+  'timestamp', 'vbsf', 'vf', 'vframes', 'vpre'
+];
+
+/**
+ * Main options taking a value, though ffmpeg's help does not name it
+ *
+ * @private
+ */
+const UNNAMED_VALUE_OPTIONS = [
+  'adrift_threshold', 'apad', 'async', 'bits_per_raw_sample', 'chroma_intra_matrix', 'copypriorss',
+  'discard', 'disposition', 'dts_delta_threshold', 'dts_error_threshold', 'filter_complex_script',
+  'filter_complex_threads', 'filter_hw_device', 'filter_threads', 'force_key_frames',
+  'frame_drop_threshold', 'guess_layout_max', 'hwaccel_output_format', 'max_muxing_queue_size',
+  'reinit_filter', 'seek_timestamp', 'thread_queue_size', 'top', 'videotoolbox_pixfmt',
+  'vstats_version', 'vsync'
+];
+
+/**
+ * Main options taking no value, though ffmpeg's help names one
+ *
+ * @private
+ */
+const VALUELESS_OPTIONS = ['hide_banner', 'xerror'];
+
+/**
+ * AVOption types whose values are numbers (or named constants)
+ *
+ * @private
+ */
+const NUMERIC_TYPES = ['int', 'int64', 'uint64', 'float', 'double', 'boolean'];
+
+/**
+ * Words accepted by ffmpeg for boolean AVOptions
+ *
+ * @private
+ */
+const BOOLEAN_WORDS = ['true', 'false', 'y', 'yes', 'n', 'no', 'on', 'off', 'enable', 'disable', 'auto'];
+
+/**
+ * Schemas loaded from ffmpeg, keyed by class (the library's, or one bound by `getFessonia()`) then by ffmpeg binary
+ *
+ * @private
+ */
+const caches = new WeakMap();
+
+/**
+ * The schema bundled with the library, once loaded
+ *
+ * @private
+ */
+let bundledSchema;
+
+/**
+ * Class representing the command line options known to an ffmpeg binary
+ *
+ * Each option has one or more definitions, as options such as `-preset` are defined
+ * by several codecs or formats. A definition has the `sections` of `ffmpeg -h full`
+ * it comes from (e.g. `'Per-file main options'` or `'libx264'`), the `places` it can
+ * be used (`'global'`, `'input'` and/or `'output'`), whether it `takesValue`, its
+ * `description`, and for AVOptions its `type`, `min` and `max` values and named `values`.
+ */
+class OptionSchema {
+  /**
+   * Create an OptionSchema object
+   * @param {Object} options - the option definitions, keyed by option name (default: {})
+   * @param {string} ffmpegBin - the ffmpeg binary the options come from (default: the configured `ffmpeg_bin`)
+   *
+   * @property {Object} options - the option definitions, keyed by option name
+   * @property {string} ffmpegBin - the ffmpeg binary the options come from
+   */
+  constructor (options = {}, ffmpegBin = this.constructor.config.ffmpeg_bin) {
+    this.type = 'OptionSchema';
+    this.options = options;
+    this.ffmpegBin = ffmpegBin;
+  }
+
+  /**
+   * The configuration of the class: the process-wide config, or the config given to `getFessonia()`
+   * @returns {Object} - the config object
+   */
+  static get config () {
+    return config;
+  }
+
+  /**
+   * Get the definitions of an option
+   *
+   * Boolean main options given with a `no` prefix (e.g. `-nostdin`) give the definitions of the option.
+   *
+   * @param {string} optionName - the option name, optionally with a stream specifier and leading `-`
+   * @returns {Array<Object>|undefined} - the option definitions, or undefined for an unknown option
+   */
+  get (optionName) {
+    const name = optionName.replace(/^-/, '').split(':')[0];
+    if (Object.prototype.hasOwnProperty.call(this.options, name)) {
+      return this.options[name];
+    }
+    const negated = name.startsWith('no') ? this.options[name.slice(2)] : undefined;
+    if (negated && negated.some((definition) => definition.type === undefined && !definition.takesValue)) {
+      return negated;
+    }
+    return undefined;
+  }
+
+  /**
+   * Get the definition of a main (non-AVOption) option
+   *
+   * ffmpeg looks up main options before AVOptions, so this definition tells whether
+   * an option is global and whether it takes a value, e.g. for `-stats`, which is
+   * both a global main option and an AVOption of some encoders.
+   *
+   * @param {string} optionName - the option name, optionally with a stream specifier and leading `-`
+   * @returns {Object|undefined} - the main option definition, or undefined for AVOptions and unknown options
+   */
+  mainDefinition (optionName) {
+    return (this.get(optionName) || []).find((definition) => definition.type === undefined);
+  }
+
+  /**
+   * Check whether an option is known
+   * @param {string} optionName - the option name, optionally with a stream specifier and leading `-`
+   * @returns {boolean} - true if the option is known
+   */
+  has (optionName) {
+    return this.get(optionName) !== undefined;
+  }
+
+  /**
+   * Check an option against its definitions
+   *
+   * Checks that the option exists, that it can be used where it is given, that options
+   * taking no value are given none (and others are given one), and that values of
+   * numeric and flags AVOptions are in range or among the option's named values.
+   * The option is valid if any of its definitions accepts it. Option values which are
+   * expressions or filter objects are not checked. AVOptions given as global options
+   * are accepted, as ffmpeg passes them on to the first input.
+   *
+   * @param {FFmpegOption} option - the option
+   * @param {string} place - where the option is given: `'global'`, `'input'` or `'output'`
+   * @returns {Array<string>} - the problems found, if any
+   */
+  checkOption (option, place) {
+    const definitions = this.get(option.name);
+    if (!definitions) {
+      const name = option.name.split(':')[0];
+      return [`unknown option "-${option.name}"${didYouMean(name, Object.keys(this.options))}`];
+    }
+    const usable = definitions.filter((d) => d.places.includes(place) || (place === 'global' && d.type !== undefined));
+    if (usable.length === 0) {
+      const places = definitions.reduce((all, d) => all.concat(d.places.filter((p) => !all.includes(p))), []);
+      return [`option "-${option.name}" cannot be used ${placeName(place)} (it is ${placeNames(places)} option)`];
+    }
+    if (option.arg === null && usable.every((d) => d.takesValue)) {
+      return [`option "-${option.name}" requires a value`];
+    }
+    if (option.arg !== null && usable.every((d) => !d.takesValue)) {
+      return [`option "-${option.name}" does not take a value, but is given "${option.arg}"`];
+    }
+    if (option.arg === null || !['string', 'number'].includes(typeof option.arg)) {
+      return [];
+    }
+    const value = option.arg.toString();
+    const problems = usable.filter((d) => d.takesValue).map((d) => checkValue(d, value));
+    if (problems.includes(undefined)) {
+      return [];
+    }
+    return [`invalid value "${value}" for option "-${option.name}" (${problems[0]})`];
+  }
+
+  /**
+   * Generate the JSON snapshot of the schema, for use offline with {@link OptionSchema.fromJSON}
+   * @returns {Object} - the option definitions, keyed by option name
+   */
+  toJSON () {
+    return this.options;
+  }
+
+  /**
+   * Load the options known to an ffmpeg binary with `ffmpeg -h full`
+   *
+   * Schemas are cached per binary, so ffmpeg only runs once for each.
+   *
+   * @param {string} ffmpegBin - the ffmpeg binary (default: the configured `ffmpeg_bin`)
+   * @returns {Promise<OptionSchema>} - a promise resolving with the schema
+   * @throws {FFmpegError}
+   */
+  static load (ffmpegBin = this.config.ffmpeg_bin) {
+    if (!caches.has(this)) {
+      caches.set(this, new Map());
+    }
+    const cache = caches.get(this);
+    if (!cache.has(ffmpegBin)) {
+      const schema = runFFmpeg(ffmpegBin, ['-hide_banner', '-h', 'full'])
+        .then((output) => new this(this.parseHelp(output), ffmpegBin));
+      // do not cache failures, so that a later call can retry
+      schema.catch(() => cache.delete(ffmpegBin));
+      cache.set(ffmpegBin, schema);
+    }
+    return cache.get(ffmpegBin);
+  }
+
+  /**
+   * Get the schema bundled with the library, built from the `ffmpeg -h full` output of a
+   * typical ffmpeg 4 build, for use without running ffmpeg
+   * @returns {OptionSchema} - the bundled schema
+   */
+  static bundled () {
+    if (!bundledSchema) {
+      bundledSchema = OptionSchema.fromJSON(require('./data/ffmpeg-options.json'));
+    }
+    return bundledSchema;
+  }
+
+  /**
+   * Create a schema from a JSON snapshot (see {@link OptionSchema#toJSON})
+   * @param {string|Object} json - the JSON snapshot, as a string or parsed
+   * @returns {OptionSchema} - the schema
+   */
+  static fromJSON (json) {
+    return new this(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+
+  /**
+   * Parse the output of `ffmpeg -h full`
+   *
+   * Main options apply where their section says, with input- and output-only per-file
+   * options listed by hand. AVOptions apply to outputs when they are for encoding or
+   * muxing (`E` flag), to inputs when they are for decoding or demuxing (`D` flag),
+   * and to both when they are neither (e.g. scaler options). Filter and bitstream
+   * filter options, which are not command line options, are skipped.
+   *
+   * @param {string} output - the output of `ffmpeg -h full`
+   * @returns {Object} - the option definitions, keyed by option name
+   */
+  static parseHelp (output) {
+    const options = {};
+    const define = (name, definition) => {
+      options[name] = options[name] || [];
+      options[name].push(definition);
+      return definition;
+    };
+    let section, places, definition;
+    for (let line of output.toString().split('\n')) {
+      let match;
+      if ((match = /^(\S.*):$/.exec(line))) {
+        section = match[1].replace(/ AVOptions$/, '');
+        const main = MAIN_SECTIONS.find(([pattern]) => pattern.test(line));
+        places = main ? main[1] : undefined;
+        definition = undefined;
+      } else if (places && (match = /^-(\S+)(?: (.*?))?(?: {2,}(.*))?$/.exec(line))) {
+        const [, name, argument, description] = match;
+        const takesValue = argument ? !VALUELESS_OPTIONS.includes(name) : UNNAMED_VALUE_OPTIONS.includes(name);
+        const known = (options[name] || []).find((d) => d.type === undefined && d.takesValue === takesValue);
+        if (known) {
+          // some options are listed in several sections
+          known.places = known.places.concat(places.filter((p) => !known.places.includes(p)));
+          known.sections = known.sections.concat(known.sections.includes(section) ? [] : [section]);
+        } else {
+          define(name, {
+            sections: [section],
+            places: places.filter((p) => p === 'global' ||
+              !(p === 'input' ? OUTPUT_OPTIONS : INPUT_OPTIONS).includes(name)),
+            takesValue: takesValue,
+            description: (description || '').trim()
+          });
+        }
+      } else if (!places && (match = /^ {2}-(\S+)\s+<([^>]+)>\s+([A-Z.]{9})\s*(.*)$/.exec(line))) {
+        const [, name, type, flags, text] = match;
+        definition = undefined;
+        if (flags.charAt(2) !== 'F' && flags.charAt(8) !== 'B') {
+          const encoding = flags.charAt(0) === 'E';
+          const decoding = flags.charAt(1) === 'D';
+          definition = define(name, Object.assign({
+            sections: [section],
+            places: encoding || decoding ? (decoding ? ['input'] : []).concat(encoding ? ['output'] : []) : ['input', 'output'],
+            takesValue: true,
+            type: type
+          }, parseRange(text)));
+        }
+      } else if (definition && (match = /^ {5}(\S+)\s+[A-Z.]{9}/.exec(line))) {
+        definition.values = definition.values || [];
+        definition.values.push(match[1]);
+      }
+    }
+    // codecs and formats sharing an AVOption class list the same options, define them once
+    Object.keys(options).forEach((name) => {
+      options[name] = options[name].reduce((merged, d) => {
+        const key = JSON.stringify(Object.assign({}, d, { sections: undefined }));
+        const same = merged.find((m) => JSON.stringify(Object.assign({}, m, { sections: undefined })) === key);
+        if (same) {
+          same.sections.push(...d.sections);
+        } else {
+          merged.push(d);
+        }
+        return merged;
+      }, []);
+    });
+    return options;
+  }
+}
+
+/**
+ * Split the description of an AVOption from its range, e.g. `set bitrate (from 0 to INT_MAX) (default 0)`
+ * @param {string} text - the text following the AVOption flags
+ * @returns {Object} - the `description`, and the `min` and `max` values when they are numbers
+ * @private
+ */
+function parseRange (text) {
+  const result = { description: text.replace(/\s*\(from \S+ to \S+\)/, '').replace(/\s*\(default .*\)$/, '').trim() };
+  const match = /\(from (\S+) to (\S+)\)/.exec(text);
+  if (match) {
+    ['min', 'max'].forEach((key, i) => {
+      // skip bounds such as INT_MAX, which only mean the value is not limited
+      if (/^-?[\d.]+(e[-+]?\d+)?$/.test(match[i + 1])) {
+        result[key] = parseFloat(match[i + 1]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Check a value against an AVOption definition
+ * @param {Object} definition - the option definition
+ * @param {string} value - the value
+ * @returns {string|undefined} - the problem found, or undefined if the value is valid
+ * @private
+ */
+function checkValue (definition, value) {
+  const values = definition.values || [];
+  if (definition.type === 'flags') {
+    const unknown = value.split(/[+-]/).find((flag) => flag !== '' && !values.includes(flag) && isNaN(parseNumber(flag)));
+    return unknown === undefined ? undefined : `unknown flag "${unknown}"${didYouMean(unknown, values)}`;
+  }
+  if (!NUMERIC_TYPES.includes(definition.type)) {
+    return undefined;
+  }
+  const number = parseNumber(value);
+  let range = '';
+  if (definition.min !== undefined && definition.max !== undefined) {
+    range = ` from ${definition.min} to ${definition.max}`;
+  } else if (definition.min !== undefined) {
+    range = ` of at least ${definition.min}`;
+  } else if (definition.max !== undefined) {
+    range = ` of at most ${definition.max}`;
+  }
+  if (!isNaN(number)) {
+    const inRange = !(number < definition.min) && !(number > definition.max);
+    return inRange ? undefined : `expected a number${range}`;
+  }
+  if (values.includes(value) || (definition.type === 'boolean' && BOOLEAN_WORDS.includes(value.toLowerCase()))) {
+    return undefined;
+  }
+  if (/^[A-Za-z_]\w*$/.test(value)) {
+    return values.length > 0 ? `expected a number${range} or one of ${values.join(', ')}` : `expected a number${range}`;
+  }
+  // other values are expressions, which ffmpeg evaluates
+  return undefined;
+}
+
+/**
+ * Parse a number as ffmpeg does, with an optional SI or binary prefix and `B` (bytes) suffix
+ * @param {string} value - the value, e.g. `2.5M`, `64Ki` or `1e3`
+ * @returns {number} - the number, or NaN if the value is not a number
+ * @private
+ */
+function parseNumber (value) {
+  const match = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)(?:([kKMGTP])(i?))?(B?)$/.exec(value);
+  if (!match) {
+    return NaN;
+  }
+  const [, number, prefix, binary, bytes] = match;
+  const power = prefix ? 'kMGTP'.indexOf(prefix === 'K' ? 'k' : prefix) + 1 : 0;
+  return parseFloat(number) * Math.pow(binary ? 1024 : 1000, power) * (bytes ? 8 : 1);
+}
+
+/**
+ * Describe where an option is given, for messages
+ * @param {string} place - `'global'`, `'input'` or `'output'`
+ * @returns {string} - the description
+ * @private
+ */
+function placeName (place) {
+  return place === 'global' ? 'as a global option' : `on an ${place}`;
+}
+
+/**
+ * Describe where an option can be used, for messages
+ * @param {Array<string>} places - the places the option can be used
+ * @returns {string} - the description, with its article (e.g. `an input or output`)
+ * @private
+ */
+function placeNames (places) {
+  return `${places[0] === 'global' ? 'a' : 'an'} ${places.join(' or ')}`;
+}
+
+module.exports = OptionSchema;
@@ -0,0 +1,241 @@
+/**
+ * @fileOverview lib/util/command_script.js - Defines and exports a utility module
+ *                                            writing commands as bash scripts or Makefiles
+ */
+
+const { createCommandString } = require('./command_string_creator');
+
+/**
+ * Outputs (and inputs) which are not files
+ *
+ * @private
+ */
+const NOT_FILE_PATTERN = /^(-|\/dev\/null|NUL|[A-Za-z][\w+.-]+:.*)$/;
+
+/**
+ * Write commands as a standalone bash script
+ *
+ * The script runs the commands in order with `set -euo pipefail`, each with the
+ * arguments of its `toCommand()`, after comments describing its inputs and outputs.
+ * Filter graphs longer than `filterScriptThreshold` characters are written to a
+ * temporary file by the script and passed with the `filterScriptOption`.
+ *
+ * @param {Array<FFmpegCommand>} commands - the commands
+ * @param {Object} options - (optional) the `filterScriptThreshold` (default: none, filter graphs are always passed inline)
+ *                           and the `filterScriptOption` passing the file (default: `'filter_complex_script'`)
+ * @returns {string} - the bash script
+ */
+function bashScript (commands, { filterScriptThreshold, filterScriptOption = 'filter_complex_script' } = {}) {
+  const lines = ['#!/usr/bin/env bash', '# Generated by fessonia', 'set -euo pipefail'];
+  let usesFilterDir = false;
+  const sections = commands.map((cmd, c) => {
+    const command = cmd.toCommand();
+    const { args, optionIndexes } = command;
+    const graphIndex = args.findIndex((arg, i) => arg === '-filter_complex' && optionIndexes.includes(i));
+    const section = ['', `# Command ${c + 1} of ${commands.length}`].concat(describe(cmd, command));
+    if (graphIndex < 0 || typeof filterScriptThreshold !== 'number' || args[graphIndex + 1].length <= filterScriptThreshold) {
+      return section.concat(commandLines(cmd, command));
+    }
+    usesFilterDir = true;
+    const file = `"$filter_dir/filter_complex_${c + 1}.txt"`;
+    const graph = args[graphIndex + 1];
+    let delimiter = 'FILTER_GRAPH';
+    while (graph.split('\n').includes(delimiter)) {
+      delimiter = `${delimiter}_`;
+    }
+    return section.concat(
+      [`cat > ${file} <<'${delimiter}'`, graph, delimiter],
+      commandLines(cmd, command, (arg, i) => {
+        if (i === graphIndex) { return `-${filterScriptOption}`; }
+        return i === graphIndex + 1 ? file : undefined;
+      })
+    );
+  });
+  if (usesFilterDir) {
+    lines.push('', 'filter_dir="$(mktemp -d)"', 'trap \'rm -rf "$filter_dir"\' EXIT');
+  }
+  return lines.concat(...sections).join('\n') + '\n';
+}
+
+/**
+ * Write commands as a Makefile, with a rule making the outputs of each command
+ *
+ * The target of each rule is the first file output of its command (other file
+ * outputs depend on it), or a `.stepN.done` stamp file for commands without file
+ * outputs, such as the first pass of a two-pass encoding to `/dev/null`. Each rule
+ * depends on the targets of the commands making its inputs and, for the later
+ * passes of a multi-pass encoding (`-pass`), on the target of the previous pass
+ * using the same `-passlogfile`. The `all` target makes all of them.
+ *
+ * @param {Array<FFmpegCommand>} commands - the commands
+ * @returns {string} - the Makefile
+ */
+function makefile (commands) {
+  const targets = commands.map((cmd, c) => {
+    const files = cmd.outputs().map((output) => output.url).filter(isFile);
+    return files.length > 0 ? files[0] : `.step${c + 1}.done`;
+  });
+  const rules = commands.map((cmd, c) => {
+    const earlier = commands.slice(0, c);
+    const prerequisites = [];
+    cmd.inputs().forEach((input) => {
+      const maker = earlier.findIndex((other) => other.outputs().some((output) => output.url === input.url));
+      if (maker >= 0) { prerequisites.push(targets[maker]); }
+    });
+    cmd.outputs().forEach((output) => {
+      const previous = previousPass(earlier, output);
+      if (previous >= 0) { prerequisites.push(targets[previous]); }
+    });
+    const target = targets[c];
+    const command = cmd.toCommand();
+    const recipe = commandLines(cmd, command).map((line) => `\t${line.replace(/\$/g, '$$$$')}`);
+    if (target.startsWith('.step')) {
+      recipe.push('\ttouch $@');
+    }
+    const otherFiles = cmd.outputs().map((output) => output.url).filter(isFile).slice(1);
+    return [''].concat(
+      describe(cmd, command),
+      [[`${makeWord(target)}:`].concat(Array.from(new Set(prerequisites)).map(makeWord)).join(' ')],
+      recipe,
+      otherFiles.map((file) => `${makeWord(file)}: ${makeWord(target)} ;`)
+    );
+  });
+  return [
+    '# Generated by fessonia',
+    'SHELL := /bin/bash',
+    '.SHELLFLAGS := -euo pipefail -c',
+    '',
+    '.PHONY: all',
+    `all: ${targets.map(makeWord).join(' ')}`
+  ].concat(...rules).join('\n') + '\n';
+}
+
+/**
+ * Describe the inputs and outputs of a command in comment lines
+ *
+ * The streams mapped to each output are read from the arguments of the command, so
+ * that they include the pads of the `split` filters added for pads used more than once.
+ *
+ * @param {FFmpegCommand} cmd - the command
+ * @param {Object} command - the result of the command's `toCommand()`
+ * @returns {Array<string>} - the comment lines, with an `@input` or `@output` tag for each
+ * @private
+ */
+function describe (cmd, { args, optionIndexes }) {
+  const segments = outputSegments(cmd, args);
+  const maps = (o) => {
+    const [start, end] = segments[o];
+    return args.slice(start, end).filter((arg, i) => i > 0 && args[start + i - 1] === '-map' && optionIndexes.includes(start + i - 1));
+  };
+  const options = (entity) => entity.options.map((o) => o.toCommandString()).join(' ');
+  const details = (parts) => {
+    const used = parts.filter((part) => part !== '');
+    return used.length > 0 ? ` - ${used.join(', ')}` : '';
+  };
+  return cmd.inputs().map((input, i) => commentLine(`@input {${i}} ${input.url}${details([
+    input.stream ? 'piped from a Node stream' : '',
+    options(input) ? `with ${options(input)}` : ''
+  ])}`)).concat(cmd.outputs().map((output, o) => commentLine(`@output {${o}} ${output.url}${details([
+    output.stream ? 'piped into a Node stream' : '',
+    options(output) ? `with ${options(output)}` : '',
+    maps(o).length > 0 ? `mapping ${maps(o).join(' ')}` : ''
+  ])}`)));
+}
+
+/**
+ * Turn text into a comment line
+ * @param {string} text - the text
+ * @returns {string} - the comment line, with line breaks in the text replaced by spaces
+ * @private
+ */
+function commentLine (text) {
+  return `# ${text.replace(/[\r\n]+/g, ' ')}`;
+}
+
+/**
+ * Find the arguments of each output of a command
+ * @param {FFmpegCommand} cmd - the command
+ * @param {Array<string>} args - the arguments of the command
+ * @returns {Array<Array<number>>} - the start and end positions of the arguments of each output
+ * @private
+ */
+function outputSegments (cmd, args) {
+  // the outputs come last, each ending with its url
+  const segments = [];
+  cmd.outputs().reduceRight((end, output) => {
+    const start = end - output.toCommandArray().length;
+    segments.unshift([start, end]);
+    return start;
+  }, args.length);
+  return segments;
+}
+
+/**
+ * Write a command on several lines, one per option and one per output url
+ * @param {FFmpegCommand} cmd - the command
+ * @param {Object} command - the result of the command's `toCommand()`
+ * @param {Function} replace - (optional) returns the shell word to write in place of an argument and its position, if any
+ * @returns {Array<string>} - the lines, continued with `\`
+ * @private
+ */
+function commandLines (cmd, { command, args, optionIndexes }, replace = () => undefined) {
+  const urlIndexes = outputSegments(cmd, args).map(([, end]) => end - 1);
+  const lines = [createCommandString(command, [])];
+  args.forEach((arg, i) => {
+    const word = replace(arg, i) || createCommandString(undefined, [arg], { optionIndexes: optionIndexes.includes(i) ? [0] : [] });
+    if (optionIndexes.includes(i) || urlIndexes.includes(i)) {
+      lines.push(`  ${word}`);
+    } else {
+      lines[lines.length - 1] += ` ${word}`;
+    }
+  });
+  return lines.map((line, i) => i < lines.length - 1 ? `${line} \\` : line);
+}
+
+/**
+ * Find the command running the previous pass of a multi-pass encoding
+ * @param {Array<FFmpegCommand>} commands - the commands before the output's command
+ * @param {FFmpegOutput} output - the output
+ * @returns {number} - the position of the latest command with an output for the previous pass, or -1
+ * @private
+ */
+function previousPass (commands, output) {
+  const pass = Number(output.getOption('pass'));
+  if (!(pass > 1)) {
+    return -1;
+  }
+  const logFile = output.getOption('passlogfile');
+  for (let c = commands.length - 1; c >= 0; c -= 1) {
+    const found = commands[c].outputs().some((other) => Number(other.getOption('pass')) === pass - 1 &&
+      other.getOption('passlogfile') === logFile);
+    if (found) {
+      return c;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check whether an input or output url is a file
+ * @param {string} url - the url
+ * @returns {boolean} - false for pipes, `/dev/null` and urls with a protocol
+ * @private
+ */
+function isFile (url) {
+  return typeof url === 'string' && !NOT_FILE_PATTERN.test(url);
+}
+
+/**
+ * Escape a file name for use as a Makefile target or prerequisite
+ * @param {string} file - the file name
+ * @returns {string} - the file name with spaces, `#`, `:` and `\` escaped, and `$` doubled
+ * @private
+ */
+function makeWord (file) {
+  return file.replace(/[\s#:\\]/g, '\\$&').replace(/\$/g, '$$$$');
+}
+
+module.exports = {
+  bashScript,
+  makefile
+};
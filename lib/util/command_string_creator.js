@@ -4,21 +4,163 @@
  */
 
 
+/**
+ * Shells whose quoting is supported, with the pattern of the words they take unquoted
+ *
+ * cmd.exe quoting is meant for batch files, where `%` is written `%%`.
+ *
+ * @private
+ */
+const SAFE_WORDS = {
+  posix: /^[\w@%+=:,./-]+$/,
+  cmd: /^[\w@+=:,./\\-]+$/,
+  powershell: /^[\w.\/\\-]+$/
+};
+
+/**
+ * Create the error for a shell whose quoting is not supported
+ * @param {string} shell - the shell
+ * @returns {Error} - the error
+ * @private
+ */
+function invalidShellError (shell) {
+  return new Error(`Invalid shell "${shell}": expected one of ${Object.keys(SAFE_WORDS).join(', ')}`);
+}
+
+/**
+ * Quote a command argument for a shell
+ *
+ * POSIX arguments are single-quoted, with `'` written `'\''`. PowerShell
+ * arguments are single-quoted, with single quotes doubled. cmd.exe arguments are
+ * double-quoted as Windows programs split their command line (`"` written `\"`,
+ * and backslashes before a `"` doubled), then the characters cmd.exe would
+ * interpret are escaped with `^`, so that no quoting state is left to cmd.exe.
+ *
+ * @param {string} arg - the argument
+ * @param {string} shell - (optional) `'posix'` (default), `'cmd'` or `'powershell'`
+ * @returns {string} - the quoted argument
+ * @throws {Error} if the shell is not supported
+ */
+function quoteArgument (arg, shell = 'posix') {
+  const str = `${arg}`;
+  switch (shell) {
+  case 'posix':
+    return `'${str.replace(/'/g, '\'\\\'\'')}'`;
+  case 'powershell':
+    return `'${str.replace(/['\u2018\u2019\u201a\u201b]/g, (c) => c + c)}'`;
+  case 'cmd': {
+    const quoted = `"${str.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, '$1$1')}"`;
+    return quoted.replace(/%/g, '%%').replace(/[()!^"<>&|]/g, '^$&');
+  }
+  default:
+    throw invalidShellError(shell);
+  }
+}
+
 /**
  * Create a command string from a command and arguments array
+ *
+ * Option names, found at the `optionIndexes` positions of the arguments (as given
+ * by `toCommand()`), are left unquoted where the shell allows it, and all other
+ * arguments are quoted, so that the command string can be pasted into the shell.
+ *
  * @param {string} command - the command name
  * @param {Array<string>} args - the array of command arguments
+ * @param {Object} options - (optional) the `optionIndexes` of the option names in `args` (default: none), and
+ *                           the `shell` to quote the command string for: `'posix'` (default), `'cmd'` or `'powershell'`
  * @returns {string} - the command string
+ * @throws {Error} if the shell is not supported
  */
-function createCommandString (command, args) {
-  const optionPattern = /-[a-z]/;
+function createCommandString (command, args, { optionIndexes = [], shell = 'posix' } = {}) {
+  if (!SAFE_WORDS[shell]) {
+    throw invalidShellError(shell);
+  }
+  const optionNames = new Set(optionIndexes);
+  const word = (str) => SAFE_WORDS[shell].test(str) ? str : quoteArgument(str, shell);
   const argsString = args
-    .map((elt) => optionPattern.test(elt) ? elt : `"${elt.replace(/\"/g, '\\"')}"`)
+    .map((elt, i) => optionNames.has(i) ? word(elt) : quoteArgument(elt, shell))
     .join(' ');
-  const cmd = typeof command === 'string' ? `${command} ` : '';
-  return (`${cmd}${argsString}`);
+  if (typeof command !== 'string') {
+    return argsString;
+  }
+  // PowerShell runs a quoted command with the call operator
+  const cmd = shell === 'powershell' && !SAFE_WORDS.powershell.test(command) ? `& ${word(command)}` : word(command);
+  return args.length > 0 ? `${cmd} ${argsString}` : cmd;
+}
+
+/**
+ * Add arguments to the parts of a command, keeping track of the position of option names
+ * @param {Object} parts - the `args` and `optionIndexes` of the command so far, added to in place
+ * @param {Array<string>} args - the arguments to add
+ * @param {boolean} isOption - whether the first argument is an option name
+ * @returns {Object} - the parts of the command
+ */
+function pushArguments (parts, args, isOption) {
+  if (isOption) {
+    parts.optionIndexes.push(parts.args.length);
+  }
+  parts.args.push(...args);
+  return parts;
+}
+
+/**
+ * Split a shell command string into its command and arguments
+ *
+ * Follows POSIX shell word splitting: single quotes are literal, double quotes
+ * allow `\` to escape `"`, `\`, `$` and backticks, an unquoted `\` escapes any
+ * character, and `\` at the end of a line continues it. Variables and globs are
+ * not expanded.
+ *
+ * @param {string} str - the command string
+ * @returns {Array<string>} - the words of the command string
+ * @throws {Error} if a quote is not closed
+ */
+function splitCommandString (str) {
+  const words = [];
+  let word = null;
+  let i = 0;
+  const append = (chars) => { word = (word || '') + chars; };
+  while (i < str.length) {
+    const c = str[i];
+    if (/\s/.test(c)) {
+      if (word !== null) { words.push(word); }
+      word = null;
+      i += 1;
+    } else if (c === '\\') {
+      if (str[i + 1] !== '\n') { append(str[i + 1] || ''); }
+      i += 2;
+    } else if (c === '\'') {
+      const end = str.indexOf('\'', i + 1);
+      if (end < 0) { throw new Error(`Unterminated single quote in command string at position ${i}`); }
+      append(str.slice(i + 1, end));
+      i = end + 1;
+    } else if (c === '"') {
+      let j = i + 1;
+      let chars = '';
+      while (j < str.length && str[j] !== '"') {
+        if (str[j] === '\\' && '"\\$`\n'.includes(str[j + 1])) {
+          chars += str[j + 1] === '\n' ? '' : str[j + 1];
+          j += 2;
+        } else {
+          chars += str[j];
+          j += 1;
+        }
+      }
+      if (j >= str.length) { throw new Error(`Unterminated double quote in command string at position ${i}`); }
+      append(chars);
+      i = j + 1;
+    } else {
+      append(c);
+      i += 1;
+    }
+  }
+  if (word !== null) { words.push(word); }
+  return words;
 }
 
 module.exports = {
-  createCommandString
+  createCommandString,
+  pushArguments,
+  quoteArgument,
+  splitCommandString
 };
@@ -6,31 +6,31 @@ const DEFAULTS = {
   ffprobe_bin: 'ffprobe',
   debug: debugFlag,
   log_warnings: logWarningsFlag,
+  option_checks: 'off',
+  option_schema: undefined,
+  filter_script_threshold: 16384,
+  filter_script_option: 'filter_complex_script',
+  default_options: { global: {}, input: {}, output: {} },
   logger: require('./logger')({
     debugFlag: debugFlag,
     warnFlag: logWarningsFlag
   })
 };
 
-const _configData = global[CONFIG_KEY] || DEFAULTS;
+/**
+ * Copy the default options of a config, so that configs do not share them
+ * @param {Object} defaultOptions - the `global`, `input` and `output` default options
+ * @returns {Object} - a copy of the default options and of each of their maps
+ * @private
+ */
+function copyDefaultOptions (defaultOptions) {
+  return Object.keys(defaultOptions).reduce((copy, key) => {
+    copy[key] = Object.assign({}, defaultOptions[key]);
+    return copy;
+  }, {});
+}
 
-const updateConfigWithOptions = function (options) {
-  Object.keys(options).forEach((key) => {
-    _configData[key] = options[key];
-    if (!this.hasOwnProperty(key)) {
-      Object.defineProperty(this, key, {
-        get: () => _configData[key]
-      });
-    }
-  });
-  Object.keys(DEFAULTS).forEach((key) => {
-    if (!this.hasOwnProperty(key)) {
-      Object.defineProperty(this, key, {
-        get: () => _configData[key]
-      });
-    }
-  });
-};
+const _configData = global[CONFIG_KEY] || Object.assign({}, DEFAULTS, { default_options: copyDefaultOptions(DEFAULTS.default_options) });
 
 /**
  * Get the config object, optionally updated with new options
@@ -38,6 +38,15 @@ const updateConfigWithOptions = function (options) {
  * Options understood by this configuration object include:
  * * `ffmpeg_bin` - the location of your `ffmpeg` binary
  * * `ffprobe_bin` - the location of your `ffprobe` binary
+ * * `logger` - the logger, with `debug`, `info`, `warn` and `error` methods (and `child`, to add context to messages)
+ * * `option_checks` - check options before running commands: `'off'`, `'warn'` or `'error'`
+ * * `option_schema` - the {@link OptionSchema} to check options against (default: the bundled schema)
+ * * `filter_script_threshold` - the length (in characters) above which a filter graph is passed to ffmpeg in a temporary file (default: 16384; `null` to always inline it)
+ * * `filter_script_option` - the option passing that file: `'filter_complex_script'` (default) or `'/filter_complex'` (ffmpeg 7.0 and later)
+ * * `default_options` - the `global`, `input` and `output` options added to every command, input and output unless given
+ * 
+ * This is the configuration shared by the whole process. See {@link createConfig}
+ * for a configuration of its own.
  * 
  * @function
  * @param {Object} options - (optional) options object (default: {})
@@ -45,20 +54,39 @@ const updateConfigWithOptions = function (options) {
  * @returns {Object} - singleton object with config data
  */
 function getConfig (options = {}) {
-  if (options !== {}) {
+  if (Object.keys(options).length > 0) {
     const util = require('util');
     try {
-      const opts = options;
-      updateConfigWithOptions(opts);
+      Object.keys(options).forEach((key) => {
+        _configData[key] = options[key];
+      });
       global[CONFIG_KEY] = _configData;
-      DEFAULTS.logger.debug(`Created config object: ${util.inspect(global[CONFIG_KEY])}`);
+      DEFAULTS.logger.debug(`Updated config object: ${util.inspect(global[CONFIG_KEY])}`);
     } catch (e) {
       if (process.env.LOG_WARNINGS) {
         DEFAULTS.logger.warn(`Invalid attempt to update frozen configuration. Using current config: ${util.inspect(global[CONFIG_KEY])}`);
       }
     }
   }
+  global[CONFIG_KEY] = _configData;
   return global[CONFIG_KEY];
 };
 
+/**
+ * Create a config object of its own, from the default config updated with new options
+ * 
+ * Changes to the process-wide config (see {@link getConfig}) do not apply to it.
+ * 
+ * @function
+ * @param {Object} options - (optional) options object (default: {})
+ * 
+ * @returns {Object} - a new object with config data
+ */
+function createConfig (options = {}) {
+  const config = Object.assign({}, DEFAULTS, options);
+  config.default_options = copyDefaultOptions(config.default_options || {});
+  return config;
+}
+
 module.exports = getConfig;
+module.exports.createConfig = createConfig;
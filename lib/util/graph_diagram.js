@@ -0,0 +1,160 @@
+/**
+ * @fileOverview lib/util/graph_diagram.js - Defines and exports a utility module
+ *                                           drawing filter graphs as Graphviz DOT or Mermaid diagrams
+ */
+
+/**
+ * Graphviz attributes of each kind of diagram node
+ *
+ * @private
+ */
+const DOT_SHAPES = {
+  input: 'shape=ellipse',
+  stream: 'shape=ellipse',
+  filter: 'shape=box',
+  pad: 'shape=plaintext',
+  output: 'shape=ellipse, peripheries=2'
+};
+
+/**
+ * Mermaid brackets of each kind of diagram node
+ *
+ * @private
+ */
+const MERMAID_SHAPES = {
+  input: ['([', '])'],
+  stream: ['([', '])'],
+  filter: ['[', ']'],
+  pad: ['>', ']'],
+  output: ['[(', ')]']
+};
+
+/**
+ * Build the nodes and edges of a diagram of filter chains, with the inputs and outputs of a command if given
+ *
+ * Filters are linked within their chain, and stream specifiers link inputs, filter
+ * chains and outputs, labelled as in the command (e.g. `0:v` or `[chain0_scale_0]`).
+ * Without inputs, each input stream is drawn on its own. Filter chain output pads
+ * that are not used within the diagram, and link labels that do not refer to a
+ * chain of the diagram, are drawn as pads.
+ *
+ * @param {Array<FilterChain>} chains - the filter chains
+ * @param {Array<FFmpegInput>} inputs - (optional) the inputs of the command
+ * @param {Array<FFmpegOutput>} outputs - (optional) the outputs of the command
+ * @param {Map<FilterChain|FFmpegOutput,Array<FFmpegStreamSpecifier>>} streams - (optional) the streams to draw in place of the inputs of chains and the streams of outputs, such as those given by the `split` chains of a command
+ * @returns {Object} - the `nodes` (with `id`, `label` and `kind`) and `edges` (with `from`, `to` and `label`) of the diagram
+ */
+function diagram (chains, inputs = undefined, outputs = [], streams = new Map()) {
+  const nodes = new Map();
+  const edges = [];
+  const used = new Set();
+  const labelIds = new Map();
+  const addNode = (id, label, kind) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, label, kind });
+    }
+    return id;
+  };
+  // labels such as [a-b] and [a_b] give the same identifier, so later ones get an index
+  const addLabelNode = (label, kind) => {
+    const key = `${kind} ${label}`;
+    if (!labelIds.has(key)) {
+      const base = `${kind}_${identifier(label)}`;
+      let id = base;
+      for (let i = 1; nodes.has(id); i++) {
+        id = `${base}_${i}`;
+      }
+      labelIds.set(key, addNode(id, label, kind));
+    }
+    return labelIds.get(key);
+  };
+  const lastNodeId = (chain) => `chain${chains.indexOf(chain)}_${chain.nodes.length - 1}`;
+  const source = (specifier) => {
+    const str = specifier.toString();
+    if (specifier.entityType === 'FFmpegInput' && inputs && inputs.includes(specifier.entity)) {
+      return `input${inputs.indexOf(specifier.entity)}`;
+    }
+    if (specifier.entityType === 'FFmpegInput') {
+      return addLabelNode(str, 'stream');
+    }
+    if (specifier.entityType === 'FilterChain' && chains.includes(specifier.entity)) {
+      used.add(specifier);
+      return lastNodeId(specifier.entity);
+    }
+    return addLabelNode(str, 'pad');
+  };
+
+  (inputs || []).forEach((input, i) => addNode(`input${i}`, `${input.inputLabel}: ${input.url}`, 'input'));
+  chains.forEach((chain, c) => {
+    chain.nodes.forEach((node, n) => {
+      addNode(`chain${c}_${n}`, node.toString(), 'filter');
+      if (n > 0) {
+        edges.push({ from: `chain${c}_${n - 1}`, to: `chain${c}_${n}`, label: '' });
+      }
+    });
+  });
+  chains.forEach((chain, c) => {
+    (streams.get(chain) || chain.inputs).forEach((specifier) => {
+      edges.push({ from: source(specifier), to: `chain${c}_0`, label: specifier.toString() });
+    });
+  });
+  outputs.forEach((output, o) => {
+    addNode(`output${o}`, output.url, 'output');
+    (streams.get(output) || output.streams).forEach((specifier) => {
+      edges.push({ from: source(specifier), to: `output${o}`, label: specifier.toString() });
+    });
+  });
+  chains.forEach((chain) => {
+    chain.streamSpecifiers.filter((specifier) => !used.has(specifier)).forEach((specifier) => {
+      const str = specifier.toString();
+      edges.push({ from: lastNodeId(chain), to: addLabelNode(str, 'pad'), label: '' });
+    });
+  });
+  return { nodes: Array.from(nodes.values()), edges };
+}
+
+/**
+ * Render a diagram as a Graphviz DOT digraph
+ * @param {Object} graph - the diagram, as built by {@link diagram}
+ * @returns {string} - the DOT source
+ */
+function toDot ({ nodes, edges }) {
+  const quote = (str) => `"${str.replace(/["\\]/g, (c) => `\\${c}`)}"`;
+  return [
+    'digraph filtergraph {',
+    '  rankdir=LR;',
+    ...nodes.map(({ id, label, kind }) => `  ${id} [label=${quote(label)}, ${DOT_SHAPES[kind]}];`),
+    ...edges.map(({ from, to, label }) => `  ${from} -> ${to}${label ? ` [label=${quote(label)}]` : ''};`),
+    '}'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Render a diagram as a Mermaid flowchart
+ * @param {Object} graph - the diagram, as built by {@link diagram}
+ * @returns {string} - the Mermaid source
+ */
+function toMermaid ({ nodes, edges }) {
+  const quote = (str) => `"${str.replace(/"/g, '#quot;')}"`;
+  return [
+    'flowchart LR',
+    ...nodes.map(({ id, label, kind }) => `  ${id}${MERMAID_SHAPES[kind][0]}${quote(label)}${MERMAID_SHAPES[kind][1]}`),
+    ...edges.map(({ from, to, label }) => `  ${from} -->${label ? `|${quote(label)}|` : ''} ${to}`)
+  ].join('\n') + '\n';
+}
+
+/**
+ * Turn a label into a diagram node identifier
+ * @param {string} str - the label
+ * @returns {string} - the identifier, made of letters, digits and underscores
+ * @private
+ */
+function identifier (str) {
+  return str.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+module.exports = {
+  diagram,
+  toDot,
+  toMermaid
+};
@@ -1,4 +1,59 @@
-module.exports = (flags) => {
+/**
+ * @fileOverview lib/util/logger.js - Defines and exports the default console logger
+ *                                    and utilities passing messages to any logger
+ */
+
+/**
+ * The levels used by the library, in the order of their severity
+ *
+ * @private
+ */
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * The logger levels of ffmpeg's log levels, as printed with `-loglevel level+...`
+ * (ffmpeg's `info` lines describe the run rather than report problems, so they are debug messages)
+ *
+ * @private
+ */
+const FFMPEG_LEVELS = {
+  panic: 'error',
+  fatal: 'error',
+  error: 'error',
+  warning: 'warn',
+  info: 'debug',
+  verbose: 'debug',
+  debug: 'debug',
+  trace: 'debug'
+};
+
+/**
+ * ffmpeg log lines printed with their level, after the context of the message if any (e.g. `[h264 @ 0x55d0c0] [warning] ...`)
+ *
+ * @private
+ */
+const FFMPEG_LEVEL_PATTERN = /^(?:\[[^\]]*\] )*\[(panic|fatal|error|warning|info|verbose|debug|trace)\] /;
+
+/**
+ * ffmpeg log lines reporting errors, for logs printed without levels
+ *
+ * @private
+ */
+const FFMPEG_ERROR_PATTERN = /\b(error|invalid|failed|could not|cannot|unable to|no such file)\b/i;
+
+/**
+ * ffmpeg log lines reporting warnings, for logs printed without levels
+ *
+ * @private
+ */
+const FFMPEG_WARNING_PATTERN = /\b(warning|deprecated|past duration|non-monotonous|discarding)\b/i;
+
+/**
+ * Create the default logger, writing to the console
+ * @param {Object} flags - the `debugFlag` enabling `debug`, `trace` and `info` messages, and the `warnFlag` enabling `warn` and `error` messages
+ * @returns {Object} - the logger
+ */
+const createLogger = (flags) => {
   if (!flags.hasOwnProperty('debugFlag')) { flags.debugFlag = false; }
   if (!flags.hasOwnProperty('warnFlag')) { flags.warnFlag = false; }
 
@@ -11,8 +66,8 @@ module.exports = (flags) => {
       /* eslint-enable no-console */
     };
   };
-  
-  ['debug', 'trace'].forEach((method) => {
+
+  ['debug', 'trace', 'info'].forEach((method) => {
     logger[method] = createGuardedLogger(method, 'debugFlag')
   });
   ['warn', 'error'].forEach((method) => {
@@ -21,3 +76,96 @@ module.exports = (flags) => {
 
   return logger;
 };
+
+/**
+ * Format a context value for the start of a message, quoting strings with whitespace
+ * @param {any} value - the context value
+ * @returns {string} - the formatted value
+ * @private
+ */
+const formatContextValue = (value) => {
+  const str = String(value);
+  return /\s/.test(str) ? JSON.stringify(str) : str;
+};
+
+/**
+ * Create a logger adding context to the messages of a logger
+ *
+ * Loggers with a `child` method (pino, bunyan, winston) are asked for a child logger
+ * with the context as its bindings. Messages to other loggers start with the context,
+ * as in `[commandId=1 outputUrl=/some/file.mp4] message`. Levels missing from the
+ * logger are ignored.
+ *
+ * @param {Object} logger - the logger, with `debug`, `info`, `warn` and `error` methods
+ * @param {Object} context - the context, such as the `commandId`, `inputUrl` or `outputUrl`
+ * @returns {Object} - the child logger, with `debug`, `info`, `warn`, `error` and `child` methods
+ */
+const childLogger = (logger, context) => {
+  if (typeof logger.child === 'function') {
+    return logger.child(context);
+  }
+  const child = {
+    child: (moreContext) => childLogger(logger, Object.assign({}, context, moreContext))
+  };
+  const prefix = `[${Object.keys(context).map((key) => `${key}=${formatContextValue(context[key])}`).join(' ')}]`;
+  LEVELS.forEach((level) => {
+    child[level] = (message, ...args) => {
+      if (typeof logger[level] !== 'function') {
+        return;
+      }
+      if (typeof message === 'string') {
+        logger[level](`${prefix} ${message}`, ...args);
+      } else {
+        logger[level](prefix, message, ...args);
+      }
+    };
+  });
+  return child;
+};
+
+/**
+ * Classify a line of ffmpeg's log by level
+ *
+ * The level printed by ffmpeg with `-loglevel level+...` is used when there is one,
+ * otherwise lines reporting errors or warnings are recognised from their text.
+ * Other lines are debug messages.
+ *
+ * @param {string} line - the log line
+ * @returns {string} - the level: `'debug'`, `'warn'` or `'error'`
+ */
+const ffmpegLogLevel = (line) => {
+  const match = line.match(FFMPEG_LEVEL_PATTERN);
+  if (match) {
+    return FFMPEG_LEVELS[match[1]];
+  }
+  if (FFMPEG_ERROR_PATTERN.test(line)) {
+    return 'error';
+  }
+  return FFMPEG_WARNING_PATTERN.test(line) ? 'warn' : 'debug';
+};
+
+/**
+ * Pass ffmpeg's log to a logger, line by line at the level of each line
+ *
+ * Lines ending with a carriage return (the statistics ffmpeg keeps rewriting) and
+ * blank lines are left out.
+ *
+ * @param {Object} logger - the logger
+ * @param {string} text - one or more lines of ffmpeg's log
+ * @returns {void}
+ */
+const logFFmpegOutput = (logger, text) => {
+  text.split(/(?<=[\r\n])/).forEach((line) => {
+    if (/\r$/.test(line) || line.trim() === '') {
+      return;
+    }
+    const message = line.replace(/\n$/, '');
+    const level = ffmpegLogLevel(message);
+    if (typeof logger[level] === 'function') { logger[level](message); }
+  });
+};
+
+module.exports = createLogger;
+module.exports.childLogger = childLogger;
+module.exports.ffmpegLogLevel = ffmpegLogLevel;
+module.exports.logFFmpegOutput = logFFmpegOutput;
@@ -0,0 +1,78 @@
+/**
+ * @fileOverview lib/util/media_type.js - Defines and exports a utility module
+ *                                        guessing the media type of a stream
+ */
+
+/**
+ * Filters taking audio and producing video
+ *
+ * @private
+ */
+const AUDIO_TO_VIDEO_FILTERS = [
+  'abitscope', 'adrawgraph', 'agraphmonitor', 'ahistogram', 'aphasemeter', 'avectorscope',
+  'showcqt', 'showcwt', 'showfreqs', 'showspatial', 'showspectrum', 'showspectrumpic',
+  'showvolume', 'showwaves', 'showwavespic'
+];
+
+/**
+ * Audio filters whose name does not start with `a`
+ *
+ * @private
+ */
+const AUDIO_FILTERS = [
+  'bandpass', 'bandreject', 'bass', 'biquad', 'channelmap', 'channelsplit', 'chorus',
+  'compand', 'compensationdelay', 'crossfeed', 'crystalizer', 'dcshift', 'deesser',
+  'dynaudnorm', 'earwax', 'ebur128', 'equalizer', 'extrastereo', 'firequalizer', 'flanger',
+  'flite', 'haas', 'headphone', 'highpass', 'highshelf', 'hilbert', 'join', 'loudnorm',
+  'lowpass', 'lowshelf', 'mcompand', 'pan', 'replaygain', 'rubberband', 'sidechaincompress',
+  'sidechaingate', 'silencedetect', 'silenceremove', 'sinc', 'sine', 'speechnorm',
+  'stereotools', 'stereowiden', 'superequalizer', 'surround', 'treble', 'tremolo',
+  'vibrato', 'volume', 'volumedetect'
+];
+
+/**
+ * Video filters whose name starts with `a`
+ *
+ * @private
+ */
+const VIDEO_A_FILTERS = [
+  'addroi', 'alphaextract', 'alphamerge', 'allrgb', 'allyuv', 'amplify', 'ass',
+  'atadenoise', 'avgblur'
+];
+
+/**
+ * Guess the media type of a stream from its stream specifier
+ *
+ * For input streams, the type comes from the specifier (`v` or `a`). For filter
+ * chain outputs, it comes from the last filter of the chain when it is known to
+ * change the media type, then from the chain's first input, then from the name
+ * of the last filter (audio filters mostly start with `a`).
+ *
+ * @param {FFmpegStreamSpecifier} specifier - the stream specifier
+ * @returns {string|undefined} - `'video'`, `'audio'`, or undefined if unknown
+ */
+function guessMediaType (specifier) {
+  if (specifier.entityType === 'FFmpegInput') {
+    return { v: 'video', V: 'video', a: 'audio' }[specifier.streamType];
+  }
+  if (specifier.entityType !== 'FilterChain') {
+    return undefined;
+  }
+  const chain = specifier.entity;
+  const filterName = chain.outputNode.filterName.split('@')[0];
+  if (AUDIO_TO_VIDEO_FILTERS.includes(filterName)) {
+    return 'video';
+  }
+  const inputType = chain.inputs.length > 0 ? guessMediaType(chain.inputs[0]) : undefined;
+  if (inputType !== undefined) {
+    return inputType;
+  }
+  if (AUDIO_FILTERS.includes(filterName) || (filterName.startsWith('a') && !VIDEO_A_FILTERS.includes(filterName))) {
+    return 'audio';
+  }
+  return 'video';
+}
+
+module.exports = {
+  guessMediaType
+};
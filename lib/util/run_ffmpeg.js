@@ -0,0 +1,27 @@
+/**
+ * @fileOverview lib/util/run_ffmpeg.js - Defines and exports a utility function
+ *                                        running ffmpeg for information about its build
+ */
+
+const cp = require('child_process');
+const FFmpegError = require('../ffmpeg_error');
+
+/**
+ * Run ffmpeg and return a promise for its output
+ * @param {string} ffmpegBin - the ffmpeg binary
+ * @param {Array<string>} args - the arguments
+ * @returns {Promise<string>} - a promise resolving with the `stdout` output of ffmpeg
+ * @throws {FFmpegError}
+ */
+function runFFmpeg (ffmpegBin, args) {
+  return new Promise((resolve, reject) => {
+    cp.execFile(ffmpegBin, args, { maxBuffer: 16 * 1024 * 1024 }, (err, stdout) => {
+      if (err) {
+        return reject(new FFmpegError(err));
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+module.exports = runFFmpeg;
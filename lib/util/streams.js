@@ -0,0 +1,50 @@
+/**
+ * @fileOverview lib/util/streams.js - Defines and exports a utility module
+ *                                     handling node streams used as ffmpeg inputs and outputs
+ */
+
+/**
+ * Check whether a value is a readable node stream
+ * @param {any} value - the value to check
+ * @returns {boolean} - true if the value can be piped from
+ */
+function isReadableStream (value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.pipe === 'function' && typeof value.read === 'function';
+}
+
+/**
+ * Check whether a value is a writable node stream
+ * @param {any} value - the value to check
+ * @returns {boolean} - true if the value can be piped into
+ */
+function isWritableStream (value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.write === 'function' && typeof value.end === 'function';
+}
+
+/**
+ * Get the file descriptor a `pipe:` url refers to
+ *
+ * As in ffmpeg, `pipe:` and `-` refer to stdin for inputs and stdout for outputs.
+ *
+ * @param {string} url - the url
+ * @param {number} defaultFd - the file descriptor of `pipe:` and `-`
+ * @returns {number|undefined} - the file descriptor, or undefined if the url is not a pipe
+ */
+function pipeFd (url, defaultFd) {
+  if (typeof url !== 'string') {
+    return undefined;
+  }
+  if (url === '-' || url === 'pipe:') {
+    return defaultFd;
+  }
+  const match = /^pipe:(\d+)$/.exec(url);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+module.exports = {
+  isReadableStream,
+  isWritableStream,
+  pipeFd
+};
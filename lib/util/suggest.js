@@ -0,0 +1,65 @@
+/**
+ * @fileOverview lib/util/suggest.js - Defines and exports a utility module
+ *                                     suggesting the closest match for a misspelt name
+ */
+
+/**
+ * Compute the edit distance between two strings, counting insertions, deletions,
+ * substitutions and transpositions of adjacent characters (optimal string alignment)
+ * @param {string} a - the first string
+ * @param {string} b - the second string
+ * @returns {number} - the number of single-character edits turning one string into the other
+ */
+function editDistance (a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Find the candidate closest to a name, if it is close enough to be a likely typo
+ * @param {string} name - the misspelt name
+ * @param {Iterable<string>} candidates - the valid names
+ * @returns {string|undefined} - the closest candidate, or undefined if none is close
+ */
+function closest (name, candidates) {
+  // allow roughly one typo per three characters
+  const maxDistance = Math.max(1, Math.floor(name.length / 3));
+  let best, bestDistance = Infinity;
+  for (let candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= maxDistance ? best : undefined;
+}
+
+/**
+ * Generate a " (did you mean ...?)" hint for an unknown name
+ * @param {string} name - the unknown name
+ * @param {Iterable<string>} candidates - the valid names
+ * @returns {string} - the hint, or an empty string if there is no close candidate
+ */
+function didYouMean (name, candidates) {
+  const suggestion = closest(name, candidates);
+  return suggestion === undefined ? '' : ` (did you mean "${suggestion}"?)`;
+}
+
+module.exports = {
+  editDistance,
+  closest,
+  didYouMean
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileOverview lib/util/time.js - Defines and exports a utility module
+ *                                  handling ffmpeg time duration values
+ */
+
+/**
+ * Parse an ffmpeg time duration into seconds
+ *
+ * Understands both forms of ffmpeg's time duration syntax: `[-][HH:]MM:SS[.m...]`
+ * and `[-]S+[.m...][s|ms|us]`. Numbers are taken to be seconds.
+ *
+ * @param {string|number} value - the time duration
+ * @returns {number|undefined} - the duration in seconds, or undefined if it cannot be parsed
+ */
+function parseTime (value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : undefined;
+  }
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const str = value.trim();
+  let match = /^(-)?(?:(\d+):)?(\d+):(\d+(?:\.\d*)?)$/.exec(str);
+  if (match) {
+    const [, sign, hours = '0', minutes, seconds] = match;
+    const result = parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+    return sign ? -result : result;
+  }
+  match = /^(-?\d+(?:\.\d*)?)(s|ms|us)?$/.exec(str);
+  if (match) {
+    const [, number, unit = 's'] = match;
+    return parseFloat(number) / { s: 1, ms: 1e3, us: 1e6 }[unit];
+  }
+  return undefined;
+}
+
+module.exports = {
+  parseTime
+};
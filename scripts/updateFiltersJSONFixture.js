@@ -1,7 +1,14 @@
 const path = require('path');
 const fs = require('fs')
 
-const FilterNode = require(path.resolve(__dirname, '../lib/filter_node'))
-const filters = FilterNode._getValidFilterInfoFromFFmpeg()
+const FilterRegistry = require(path.resolve(__dirname, '../lib/filter_registry'))
 
-fs.writeFileSync('./test/fixtures/ffmpeg-filters.json', JSON.stringify(filters, null, 2), {})
+FilterRegistry.load()
+  .then((registry) => registry.loadDetails())
+  .then((registry) => {
+    fs.writeFileSync('./test/fixtures/ffmpeg-filters.json', JSON.stringify(registry, null, 2), {})
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,22 @@
+const path = require('path');
+const fs = require('fs')
+
+const OptionSchema = require(path.resolve(__dirname, '../lib/option_schema'))
+
+// usage: node scripts/updateOptionSchemaJSON.js [path/to/ffmpeg-help-full.out]
+// without a file, the configured ffmpeg binary is run with `-h full`
+const helpFile = process.argv[2];
+const schema = helpFile
+  ? Promise.resolve(new OptionSchema(OptionSchema.parseHelp(fs.readFileSync(helpFile, 'utf8'))))
+  : OptionSchema.load();
+
+schema
+  .then((loaded) => {
+    // one option per line, to keep diffs of the bundled schema readable
+    const lines = Object.keys(loaded.options).map((name) => `${JSON.stringify(name)}:${JSON.stringify(loaded.options[name])}`);
+    fs.writeFileSync('./lib/data/ffmpeg-options.json', `{\n${lines.join(',\n')}\n}\n`, {})
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
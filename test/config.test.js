@@ -0,0 +1,164 @@
+const chai = require('chai'),
+  expect = chai.expect,
+  sinon = require('sinon'),
+  childProcess = require('child_process'),
+  testHelpers = require('./helpers');
+
+const getFessonia = require('../index');
+const getConfig = require('../lib/util/config');
+const FFmpegCommand = require('../lib/ffmpeg_command');
+const FFmpegInput = require('../lib/ffmpeg_input');
+const FFprobe = require('../lib/ffprobe');
+const FilterRegistry = require('../lib/filter_registry');
+const fs = require('fs');
+
+describe('config', function () {
+  let processConfig;
+  beforeEach(() => {
+    processConfig = Object.assign({}, getConfig());
+  });
+  afterEach(() => {
+    getConfig(processConfig);
+  });
+
+  describe('getConfig()', function () {
+    it('returns the same process-wide config object, updated with the options given', function () {
+      const config = getConfig({ ffmpeg_bin: '/some/ffmpeg' });
+      expect(getConfig()).to.equal(config);
+      expect(config.ffmpeg_bin).to.eql('/some/ffmpeg');
+      expect(FFmpegCommand.config).to.equal(config);
+    });
+    it('does not define globals', function () {
+      getConfig({ ffmpeg_bin: '/some/ffmpeg' });
+      expect(global).not.to.have.property('ffmpeg_bin');
+      expect(global).not.to.have.property('logger');
+    });
+  });
+  describe('createConfig()', function () {
+    it('creates a config object of its own from the defaults', function () {
+      getConfig({ ffprobe_bin: '/some/ffprobe' });
+      const config = getConfig.createConfig({ ffmpeg_bin: '/other/ffmpeg' });
+      expect(config).not.to.equal(getConfig());
+      expect(config.ffmpeg_bin).to.eql('/other/ffmpeg');
+      expect(config.ffprobe_bin).to.eql('ffprobe');
+      expect(config.logger).to.equal(getConfig().logger);
+    });
+    it('does not share the default options between config objects', function () {
+      const defaultOptions = { input: { re: null } };
+      const config = getConfig.createConfig({ default_options: defaultOptions });
+      const other = getConfig.createConfig();
+      config.default_options.input.f = 'lavfi';
+      other.default_options.output.y = null;
+      expect(defaultOptions).to.eql({ input: { re: null } });
+      expect(getConfig.createConfig({ default_options: defaultOptions }).default_options).to.eql({ input: { re: null } });
+      expect(getConfig.createConfig().default_options).to.eql({ global: {}, input: {}, output: {} });
+      expect(getConfig().default_options).to.eql({ global: {}, input: {}, output: {} });
+    });
+  });
+  describe('getFessonia()', function () {
+    it('returns the classes using the process-wide config without options', function () {
+      const { FFmpegCommand: Command, FFmpegInput: Input } = getFessonia();
+      expect(Command).to.equal(FFmpegCommand);
+      expect(Input).to.equal(FFmpegInput);
+    });
+    it('returns classes bound to their own config with options', function () {
+      const staticBuild = getFessonia({ ffmpeg_bin: '/opt/static/ffmpeg', ffprobe_bin: '/opt/static/ffprobe' });
+      const systemBuild = getFessonia({ ffmpeg_bin: '/usr/bin/ffmpeg' });
+      const cmd = new staticBuild.FFmpegCommand();
+      cmd.addOutput(new staticBuild.FFmpegOutput('/some/file.mp4'));
+      expect(cmd).to.be.instanceof(FFmpegCommand);
+      expect(cmd.toCommand().command).to.eql('/opt/static/ffmpeg');
+      expect(systemBuild.FFmpegCommand.parse('ffmpeg -i in.mov out.mp4').toCommand().command).to.eql('/usr/bin/ffmpeg');
+      expect(new staticBuild.FFprobe('/some/file.mp4').toCommand().command).to.eql('/opt/static/ffprobe');
+      expect(new systemBuild.FFprobe('/some/file.mp4').toCommand().command).to.eql('ffprobe');
+      expect(new systemBuild.OptionSchema().ffmpegBin).to.eql('/usr/bin/ffmpeg');
+      expect(new systemBuild.FilterRegistry().ffmpegBin).to.eql('/usr/bin/ffmpeg');
+    });
+    it('leaves the process-wide config unchanged', function () {
+      const before = Object.assign({}, getConfig());
+      const { FFmpegCommand: Command } = getFessonia({ ffmpeg_bin: '/opt/static/ffmpeg', option_checks: 'error' });
+      expect(Command.config.ffmpeg_bin).to.eql('/opt/static/ffmpeg');
+      expect(getConfig()).to.eql(before);
+      expect(FFmpegCommand.config.ffmpeg_bin).to.eql(before.ffmpeg_bin);
+    });
+    it('loads filter registries and option schemas as instances of its classes', function () {
+      const staticBuild = getFessonia({ ffmpeg_bin: '/opt/static/ffmpeg' });
+      sinon.stub(childProcess, 'execFile').yields(null, fs.readFileSync(`${__dirname}/fixtures/ffmpeg-filters.out`, 'utf8'), '');
+      return FilterRegistry.load('/opt/static/ffmpeg').then((base) => {
+        return staticBuild.FilterRegistry.load().then((registry) => {
+          expect(registry).to.be.instanceof(staticBuild.FilterRegistry);
+          expect(registry).not.to.equal(base);
+          expect(registry.ffmpegBin).to.eql('/opt/static/ffmpeg');
+          expect(childProcess.execFile.alwaysCalledWith('/opt/static/ffmpeg')).to.be.true;
+          expect(staticBuild.FilterRegistry.fromJSON(registry.toJSON())).to.be.instanceof(staticBuild.FilterRegistry);
+          expect(staticBuild.OptionSchema.fromJSON({})).to.be.instanceof(staticBuild.OptionSchema);
+          expect(staticBuild.OptionSchema.fromJSON({}).ffmpegBin).to.eql('/opt/static/ffmpeg');
+        });
+      });
+    });
+    it('runs each command with the ffmpeg binary of its instance', function () {
+      const staticBuild = getFessonia({ ffmpeg_bin: '/opt/static/ffmpeg' });
+      const systemBuild = getFessonia({ ffmpeg_bin: '/usr/bin/ffmpeg' });
+      sinon.stub(childProcess, 'spawn').callsFake(() => testHelpers.createTestProcess());
+      staticBuild.FFmpegCommand.parse('ffmpeg -i in.mov out.mp4').spawn(false);
+      systemBuild.FFmpegCommand.parse('ffmpeg -i in.mov out.mp4').spawn(false);
+      expect(childProcess.spawn.firstCall.args[0]).to.eql('/opt/static/ffmpeg');
+      expect(childProcess.spawn.secondCall.args[0]).to.eql('/usr/bin/ffmpeg');
+    });
+    it('uses the logger and option checks of its instance', function () {
+      const logger = { debug: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+      const checked = getFessonia({ logger: logger, option_checks: 'warn' });
+      sinon.stub(childProcess, 'spawn').callsFake(() => testHelpers.createTestProcess());
+      checked.FFmpegCommand.parse('ffmpeg -re -i in.mov out.mp4').spawn(false);
+      expect(logger.warn.calledWithMatch(/\] Invalid option/)).to.be.false;
+      checked.FFmpegCommand.parse('ffmpeg -re -i in.mov -re out.mp4').spawn(false);
+      expect(logger.warn.calledWithMatch(/\] Invalid option: output out\.mp4: option "-re" cannot be used on an output/)).to.be.true;
+      expect(logger.debug.called).to.be.true;
+      const unchecked = getFessonia({ ffmpeg_bin: 'ffmpeg' });
+      unchecked.FFmpegCommand.parse('ffmpeg -re -i in.mov -re out.mp4').spawn(false);
+      expect(logger.warn.withArgs(sinon.match(/\] Invalid option/)).callCount).to.eql(1);
+    });
+    it('adds the default options of its instance unless given', function () {
+      const { FFmpegCommand: Command, FFmpegInput: Input, FFmpegOutput: Output } = getFessonia({
+        default_options: { global: { hide_banner: null, loglevel: 'error' }, input: { re: null }, output: { vcodec: 'libx264' } }
+      });
+      const cmd = new Command({ loglevel: 'warning', y: null });
+      cmd.addInput(new Input('in.mov'));
+      cmd.addOutput(new Output('out.mp4', { 'c:v': 'libx265' }));
+      cmd.addOutput(new Output('out.webm'));
+      expect(cmd.toString()).to.eql('ffmpeg -hide_banner -loglevel \'warning\' -y -re -i \'in.mov\' -c:v \'libx265\' \'out.mp4\' -vcodec \'libx264\' \'out.webm\'');
+      expect(Command.fromJSON(cmd.toJSON()).toString()).to.eql(cmd.toString());
+      expect(new FFmpegCommand().options).to.eql(new Map());
+    });
+    it('does not add the default options of its instance to parsed commands', function () {
+      const { FFmpegCommand: Command } = getFessonia({
+        default_options: { global: { hide_banner: null }, input: { re: null }, output: { vcodec: 'libx264' } }
+      });
+      const commandLine = 'ffmpeg -y -i \'in.mov\' -c:v \'libx265\' \'out.mp4\'';
+      expect(Command.parse(commandLine).toString()).to.eql(commandLine);
+      expect(Command.fromJSON(FFmpegCommand.parse(commandLine).toJSON()).toString()).to.eql(commandLine);
+    });
+    it('creates filter graphs, chains and nodes of its instance', function () {
+      const instance = getFessonia({ ffmpeg_bin: '/opt/static/ffmpeg' });
+      const graph = instance.FilterGraph.parse('[0:v]scale=640:-1,split[a][b]');
+      expect(graph).to.be.instanceof(instance.FilterGraph);
+      expect(graph.chains[0]).to.be.instanceof(instance.FilterChain);
+      expect(graph.chains[0].nodes[0]).to.be.instanceof(instance.FilterNode);
+      expect(instance.FilterGraph.wrap(new instance.FilterNode('null')).chains[0]).to.be.instanceof(instance.FilterChain);
+      const cmd = instance.FFmpegCommand.parse('ffmpeg -i in.mov -filter_complex [0:v]hflip[out] -map [out] out.mp4');
+      expect(cmd.filterGraph).to.be.instanceof(instance.FilterGraph);
+      expect(cmd.filterGraph.chains[0].nodes[0]).to.be.instanceof(instance.FilterNode);
+      expect(instance.FilterNode.config.ffmpeg_bin).to.eql('/opt/static/ffmpeg');
+    });
+    it('probes inputs with the ffprobe binary of its instance', function () {
+      const probe = sinon.stub(FFprobe.prototype, 'probe').callsFake(function () {
+        return Promise.resolve({ format: { duration: this.toCommand().command === '/opt/static/ffprobe' ? 10 : 20 }, streams: [], chapters: [] });
+      });
+      const staticBuild = getFessonia({ ffprobe_bin: '/opt/static/ffprobe' });
+      return staticBuild.FFmpegCommand.parse('ffmpeg -i in.mov out.mp4').probeExpectedDuration().then((duration) => {
+        expect(probe.calledOnce).to.be.true;
+        expect(duration).to.eql(10);
+      });
+    });
+  });
+});
@@ -1,7 +1,7 @@
 const chai = require('chai'),
   expect = chai.expect;
 
-const { createCommandString } = require('../lib/util/command_string_creator');
+const { createCommandString, quoteArgument, splitCommandString } = require('../lib/util/command_string_creator');
 
 describe('command_string_creator', function () {
   describe('createCommandString', function () {
@@ -15,17 +15,66 @@ describe('command_string_creator', function () {
       expect(createCommandString(cmd, args)).to.be.a('string');
     });
     it('should return a string of properly quoted args', () => {
-      const expected = '-abc -def "ghi" -jk "-12" -lmn "0"';
-      expect(createCommandString(null, args)).to.eql(expected);
+      const expected = '-abc -def \'ghi\' -jk \'-12\' -lmn \'0\'';
+      expect(createCommandString(null, args, { optionIndexes: [0, 1, 3, 5] })).to.eql(expected);
     });
     it('should start with the command if present', () => {
-      const expected = 'some_command -abc -def "ghi" -jk "-12" -lmn "0"';
-      expect(createCommandString(cmd, args)).to.eql(expected);
+      const expected = 'some_command -abc -def \'ghi\' -jk \'-12\' -lmn \'0\'';
+      expect(createCommandString(cmd, args, { optionIndexes: [0, 1, 3, 5] })).to.eql(expected);
+    });
+    it('should quote every argument that is not an option name', () => {
+      const expected = '-i \'/tmp/my-video.mp4\' \'/tmp/out-file.mp4\'';
+      expect(createCommandString(undefined, ['-i', '/tmp/my-video.mp4', '/tmp/out-file.mp4'], { optionIndexes: [0] })).to.eql(expected);
+      expect(createCommandString(undefined, ['-i'])).to.eql('\'-i\'');
     });
     it('should escape quotes within arguments as needed', () => {
-      const argsWithQuotes = ['-some', '-arg', 'with "quotes" inside the value'];
-      const expected = '-some -arg "with \\"quotes\\" inside the value"';
-      expect(createCommandString(undefined, argsWithQuotes)).to.eql(expected);
+      const argsWithQuotes = ['-some', '-arg', 'with "quotes" and \'it\'s\' inside the value'];
+      const expected = '-some -arg \'with "quotes" and \'\\\'\'it\'\\\'\'s\'\\\'\' inside the value\'';
+      expect(createCommandString(undefined, argsWithQuotes, { optionIndexes: [0, 1] })).to.eql(expected);
+    });
+    it('should leave shell syntax in arguments to the argument', () => {
+      const argsWithShellSyntax = ['-vf', 'drawtext=text=$HOME `id` \\n; rm -rf *', 'out $(1).mp4'];
+      const str = createCommandString('ffmpeg', argsWithShellSyntax, { optionIndexes: [0] });
+      expect(splitCommandString(str)).to.eql(['ffmpeg'].concat(argsWithShellSyntax));
+    });
+    it('should quote option names and commands only when needed', () => {
+      expect(createCommandString('/opt/my ffmpeg/ffmpeg', ['-metadata:s:a:0', 'x', '-bad name'], { optionIndexes: [0, 2] }))
+        .to.eql('\'/opt/my ffmpeg/ffmpeg\' -metadata:s:a:0 \'x\' \'-bad name\'');
+    });
+    it('should quote for PowerShell', () => {
+      expect(createCommandString('C:\\Program Files\\ffmpeg.exe', ['-c:v', 'libx264', 'it\'s $x.mp4'], { optionIndexes: [0], shell: 'powershell' }))
+        .to.eql('& \'C:\\Program Files\\ffmpeg.exe\' \'-c:v\' \'libx264\' \'it\'\'s $x.mp4\'');
+    });
+    it('should quote for cmd.exe batch files', () => {
+      expect(createCommandString('C:\\ffmpeg\\ffmpeg.exe', ['-i', 'a "b" & 100%.mp4', 'C:\\out dir\\'], { optionIndexes: [0], shell: 'cmd' }))
+        .to.eql('C:\\ffmpeg\\ffmpeg.exe -i ^"a \\^"b\\^" ^& 100%%.mp4^" ^"C:\\out dir\\\\^"');
+    });
+    it('should throw on unknown shells', () => {
+      expect(() => createCommandString('ffmpeg', [], { shell: 'fish' })).to.throw(/Invalid shell "fish"/);
+      expect(() => quoteArgument('x', 'fish')).to.throw(/Invalid shell "fish"/);
+    });
+  });
+  describe('quoteArgument', function () {
+    it('single-quotes for POSIX shells by default', () => {
+      expect(quoteArgument('it\'s')).to.eql('\'it\'\\\'\'s\'');
+      expect(quoteArgument(12)).to.eql('\'12\'');
+      expect(quoteArgument('')).to.eql('\'\'');
+    });
+  });
+  describe('splitCommandString', function () {
+    it('splits on unquoted whitespace', () => {
+      expect(splitCommandString('  ffmpeg -i   in.mov\tout.mp4 ')).to.eql(['ffmpeg', '-i', 'in.mov', 'out.mp4']);
+    });
+    it('handles single quotes, double quotes and backslashes', () => {
+      expect(splitCommandString('-vf \'drawtext=text=it"s\' "a \\"b\\" \\$c \\d" e\\ f \'\''))
+        .to.eql(['-vf', 'drawtext=text=it"s', 'a "b" $c \\d', 'e f', '']);
+    });
+    it('joins continued lines', () => {
+      expect(splitCommandString('ffmpeg -i in.mov \\\n  out.mp4')).to.eql(['ffmpeg', '-i', 'in.mov', 'out.mp4']);
+    });
+    it('throws on unterminated quotes', () => {
+      expect(() => splitCommandString('-i "in.mov')).to.throw(/Unterminated double quote/);
+      expect(() => splitCommandString('-i \'in.mov')).to.throw(/Unterminated single quote/);
     });
   });
 });
@@ -5,6 +5,7 @@ const chai = require('chai'),
   events = require('events'),
   stream = require('stream'),
   childProcess = require('child_process'),
+  fs = require('fs'),
   testHelpers = require('./helpers');
 
 chai.use(chaiAsPromised);
@@ -15,7 +16,10 @@ const FFmpegOutput = require('../lib/ffmpeg_output');
 const FilterNode = require('../lib/filter_node');
 const FilterChain = require('../lib/filter_chain');
 const FFmpegError = require('../lib/ffmpeg_error');
-const config = require('../lib/util/config')();
+const FFprobe = require('../lib/ffprobe');
+const getConfig = require('../lib/util/config');
+const config = getConfig();
+const { splitCommandString } = require('../lib/util/command_string_creator');
 
 describe('FFmpegCommand', function () {
   it('creates an FFmpegCommand object', function () {
@@ -27,6 +31,32 @@ describe('FFmpegCommand', function () {
     expect(new FFmpegCommand(new Map()).options).to.eql(new Map());
     expect(new FFmpegCommand({}).options).to.eql(new Map());
   });
+  describe('option editing', function () {
+    let cmd;
+    beforeEach(() => {
+      cmd = new FFmpegCommand(new Map([['y', null], ['lavfi', 'nullsrc'], ['loglevel', 'error']]));
+    });
+
+    it('gets and checks global options by name or alias', function () {
+      expect(cmd.getOption('filter_complex')).to.eql('nullsrc');
+      expect(cmd.getOption('y')).to.be.null;
+      expect(cmd.getOption('n')).to.be.undefined;
+      expect(cmd.hasOption('y')).to.be.true;
+      expect(cmd.hasOption('n')).to.be.false;
+    });
+    it('sets global options in place, or at the end', function () {
+      const options = cmd.options;
+      cmd.setOption('filter_complex', 'testsrc');
+      cmd.setOption('hide_banner');
+      expect(cmd.options).to.equal(options);
+      expect(Array.from(cmd.options)).to.eql([['y', null], ['filter_complex', 'testsrc'], ['loglevel', 'error'], ['hide_banner', null]]);
+    });
+    it('removes global options', function () {
+      expect(cmd.removeOption('filter_complex')).to.be.true;
+      expect(cmd.removeOption('filter_complex')).to.be.false;
+      expect(Array.from(cmd.options.keys())).to.eql(['y', 'loglevel']);
+    });
+  });
   describe('addInput', function () {
     it('allows adding inputs on and retrieving inputs from the object', function () {
       const fc = new FFmpegCommand();
@@ -63,6 +93,357 @@ describe('FFmpegCommand', function () {
       expect(cmd.filterGraph.toString()).to.eql(fc.toString());
     });
   })
+  describe('validate()', function () {
+    let cmd, input;
+    const codes = (problems) => problems.map((p) => p.code);
+    beforeEach(() => {
+      cmd = new FFmpegCommand();
+      input = new FFmpegInput('in.mov');
+      cmd.addInput(input);
+    });
+
+    it('finds no problems in a valid command', function () {
+      const scale = new FilterChain([new FilterNode('scale', [640, 360])]);
+      scale.addInput(input.streamSpecifier('v'));
+      cmd.addFilterChain(scale);
+      const output = new FFmpegOutput('out.mp4');
+      output.addStreams([scale.streamSpecifier(), input.streamSpecifier('a')]);
+      cmd.addOutput(output);
+      expect(cmd.validate()).to.eql([]);
+      expect(new FFmpegCommand().validate()).to.eql([]);
+    });
+    it('flags filter output pads that are neither used nor mapped', function () {
+      const split = new FilterChain([new FilterNode('split')]);
+      split.addInput(input.streamSpecifier('v'));
+      const used = split.streamSpecifier();
+      const unused = split.streamSpecifier('unused');
+      cmd.addFilterChain(split);
+      const output = new FFmpegOutput('out.mp4');
+      output.addStream(used);
+      cmd.addOutput(output);
+      const problems = cmd.validate();
+      expect(problems).to.eql([{
+        code: 'unused-output-pad',
+        message: 'output pad [unused] of filter chain 0 (split) is neither used by a filter chain nor mapped to an output',
+        entity: split
+      }]);
+      expect(unused.toString()).to.eql('[unused]');
+    });
+    it('flags fan-out pads that are not requested', function () {
+      const split = new FilterChain([new FilterNode('split', [3])]);
+      cmd.addFilterChain(split);
+      cmd.addOutput(new FFmpegOutput('out.mp4'));
+      cmd.outputs()[0].addStreams([split.streamSpecifier(0), split.streamSpecifier(2)]);
+      expect(cmd.validate().map((p) => p.message)).to.eql(['output pad 1 of filter "split" is not used in filter chain 0 (split)']);
+    });
+    it('flags streams of inputs and filter chains not added to the command', function () {
+      const other = new FFmpegInput('other.mov');
+      const orphan = new FilterChain([new FilterNode('hflip')]);
+      const chain = new FilterChain([new FilterNode('hstack')]);
+      chain.addInputs([other.streamSpecifier('v'), orphan.streamSpecifier()]);
+      cmd.addFilterChain(chain);
+      const problems = cmd.validate();
+      expect(codes(problems)).to.eql(['missing-input', 'missing-filter-chain']);
+      expect(problems[0].entity).to.equal(chain);
+      expect(problems[0].message).to.eql('stream undefined:v used by filter chain 0 (hstack) refers to input other.mov, which is not added to the command');
+    });
+    it('flags streams belonging to another command', function () {
+      const otherCmd = new FFmpegCommand();
+      const other = new FFmpegInput('other.mov');
+      otherCmd.addInput(other);
+      const otherChain = new FilterChain([new FilterNode('hflip')]);
+      otherCmd.addFilterChain(otherChain);
+      const output = new FFmpegOutput('out.mp4');
+      output.addStreams([other.streamSpecifier('v'), otherChain.streamSpecifier()]);
+      cmd.addOutput(output);
+      const problems = cmd.validate();
+      expect(codes(problems)).to.eql(['foreign-stream', 'foreign-stream']);
+      expect(problems[0].entity).to.equal(output);
+      expect(problems[0].message).to.eql('stream 0:v used by output out.mp4 belongs to an input of another command');
+    });
+    it('flags cycles between chains', function () {
+      const first = new FilterChain([new FilterNode('overlay')]);
+      const second = new FilterChain([new FilterNode('hflip')]);
+      const third = new FilterChain([new FilterNode('vflip')]);
+      first.addInputs([input.streamSpecifier('v'), third.streamSpecifier()]);
+      second.addInput(first.streamSpecifier());
+      third.addInput(second.streamSpecifier());
+      [first, second, third].forEach((chain) => cmd.addFilterChain(chain));
+      const problems = cmd.validate();
+      expect(codes(problems)).to.eql(['cycle']);
+      expect(problems[0].message).to.eql('filter chain 0 (overlay) -> filter chain 1 (hflip) -> filter chain 2 (vflip) -> filter chain 0 (overlay) form a cycle');
+    });
+    it('flags outputs without streams when other outputs are mapped', function () {
+      const mapped = new FFmpegOutput('mapped.mp4');
+      mapped.addStream(input.streamSpecifier('v'));
+      const unmapped = new FFmpegOutput('unmapped.mp4');
+      cmd.addOutput(mapped);
+      cmd.addOutput(unmapped);
+      expect(cmd.validate()).to.eql([{
+        code: 'unmapped-output',
+        message: 'output unmapped.mp4 has no streams, while other outputs use -map',
+        entity: unmapped
+      }]);
+    });
+  });
+  describe('toJSON() and fromJSON()', function () {
+    const roundTrip = (cmd) => FFmpegCommand.fromJSON(JSON.stringify(cmd));
+
+    it('round-trips options, inputs, the filter graph and outputs', function () {
+      const cmd = FFmpegCommand.parse('ffmpeg -y -ss 10 -i in.mov -i logo.png ' +
+        '-filter_complex "[0:v]scale=640:360,split[a][b];[a][1:v]overlay=10:10[out];[b]drawtext=text=\'a\\,b\'" ' +
+        '-map [out] -map 0:a -c:v libx264 out.mp4 -map [out] preview.mp4');
+      cmd.expectedDuration = 90;
+      const copy = roundTrip(cmd);
+      expect(copy.toString()).to.eql(cmd.toString());
+      expect(copy.options).to.eql(cmd.options);
+      expect(copy.expectedDuration).to.eql(90);
+      expect(copy.inputs()[0].toCommandArray()).to.eql(['-ss', '10', '-i', 'in.mov']);
+    });
+    it('keeps stream specifiers shared between chains and outputs shared', function () {
+      const cmd = new FFmpegCommand();
+      const input = new FFmpegInput('in.mov');
+      cmd.addInput(input);
+      const scale = new FilterChain([new FilterNode('scale', [640, 360])]);
+      scale.addInput(input.streamSpecifier('v'));
+      const flip = new FilterChain([new FilterNode('hflip')]);
+      flip.addInput(scale.streamSpecifier());
+      cmd.addFilterChain(scale);
+      cmd.addFilterChain(flip);
+      const output = new FFmpegOutput('out.mp4');
+      output.addStreams([scale.streamSpecifier(0), flip.streamSpecifier('flipped')]);
+      cmd.addOutput(output);
+      const copy = roundTrip(cmd);
+      const [copyScale, copyFlip] = copy.filterGraph.chains;
+      expect(copyFlip.inputs[0]).to.equal(copyScale.streamSpecifiers[0]);
+      expect(copy.outputs()[0].streams[0]).to.equal(copyScale.streamSpecifiers[0]);
+      expect(copy.outputs()[0].streams[1].label).to.eql('flipped');
+      expect(copy.toString()).to.eql(cmd.toString());
+      expect(copy.toString()).to.contain('split=2');
+    });
+    it('keeps excluded and optional streams', function () {
+      const cmd = FFmpegCommand.parse('-i in.mov -map 0 -map -0:s -map 0:a:1? out.mp4');
+      const json = JSON.parse(JSON.stringify(cmd));
+      expect(json.streams).to.eql([
+        { input: 0, specifier: '' },
+        { input: 0, specifier: 's', exclude: true },
+        { input: 0, specifier: 'a:1', optional: true }
+      ]);
+      expect(FFmpegCommand.fromJSON(json).toString()).to.eql(cmd.toString());
+    });
+    it('keeps raw filter arguments and unused output pads', function () {
+      const cmd = new FFmpegCommand();
+      const chain = new FilterChain([new FilterNode('select', [FilterNode.raw('\'eq(pict_type\\,I)\'')])]);
+      chain.streamSpecifier('unused');
+      cmd.addFilterChain(chain);
+      const json = JSON.parse(JSON.stringify(cmd));
+      expect(json.filterGraph.chains[0].nodes).to.eql([{
+        filterName: 'select',
+        args: [{ type: 'RawFilterArgument', value: '\'eq(pict_type\\,I)\'' }]
+      }]);
+      expect(json.streams).to.eql([{ chain: 0, pad: 0, label: 'unused' }]);
+      expect(FFmpegCommand.fromJSON(json).toString()).to.eql(cmd.toString());
+    });
+    it('keeps filter objects used as option values as strings', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('in.mov'));
+      cmd.addOutput(new FFmpegOutput('out.mp4', { vf: new FilterNode('scale', [640, -1]), r: 25 }));
+      const json = cmd.toJSON();
+      expect(json.outputs[0].options).to.eql([['filter_complex', 'scale=640:-1'], ['r', 25]]);
+      expect(roundTrip(cmd).toString()).to.eql(cmd.toString());
+    });
+    it('refuses commands with stream inputs or outputs, or streams of other commands', function () {
+      const streamCmd = new FFmpegCommand();
+      streamCmd.addOutput(new FFmpegOutput(new stream.PassThrough()));
+      expect(() => streamCmd.toJSON()).to.throw('Cannot serialize a command with stream inputs or outputs');
+      const cmd = new FFmpegCommand();
+      const output = new FFmpegOutput('out.mp4');
+      output.addStream(new FFmpegInput('other.mov').streamSpecifier('v'));
+      cmd.addOutput(output);
+      expect(() => cmd.toJSON()).to.throw('its input is not added to the command');
+    });
+  });
+  describe('toDot() and toMermaid()', function () {
+    let cmd;
+    beforeEach(() => {
+      cmd = FFmpegCommand.parse('ffmpeg -i in.mov -i logo.png -filter_complex "[0:v][1:v]overlay=10:10[out]" -map [out] -map 0:a out.mp4');
+    });
+
+    it('draws the inputs, filters and outputs with their streams as a DOT digraph', function () {
+      expect(cmd.toDot()).to.eql([
+        'digraph filtergraph {',
+        '  rankdir=LR;',
+        '  input0 [label="0: in.mov", shape=ellipse];',
+        '  input1 [label="1: logo.png", shape=ellipse];',
+        '  chain0_0 [label="overlay=10:10", shape=box];',
+        '  output0 [label="out.mp4", shape=ellipse, peripheries=2];',
+        '  input0 -> chain0_0 [label="0:v"];',
+        '  input1 -> chain0_0 [label="1:v"];',
+        '  chain0_0 -> output0 [label="[out]"];',
+        '  input0 -> output0 [label="0:a"];',
+        '}',
+        ''
+      ].join('\n'));
+    });
+    it('draws the same diagram as a Mermaid flowchart', function () {
+      expect(cmd.toMermaid()).to.eql([
+        'flowchart LR',
+        '  input0(["0: in.mov"])',
+        '  input1(["1: logo.png"])',
+        '  chain0_0["overlay=10:10"]',
+        '  output0[("out.mp4")]',
+        '  input0 -->|"0:v"| chain0_0',
+        '  input1 -->|"1:v"| chain0_0',
+        '  chain0_0 -->|"[out]"| output0',
+        '  input0 -->|"0:a"| output0',
+        ''
+      ].join('\n'));
+    });
+    it('draws the split filters added for pads used more than once', function () {
+      const shared = FFmpegCommand.parse('ffmpeg -i in.mov -filter_complex "[0:v]hflip[flipped]" -map [flipped] small.mp4 -map [flipped] large.mp4');
+      expect(shared.toMermaid()).to.eql([
+        'flowchart LR',
+        '  input0(["0: in.mov"])',
+        '  chain0_0["hflip"]',
+        '  chain1_0["split=2"]',
+        '  output0[("small.mp4")]',
+        '  output1[("large.mp4")]',
+        '  input0 -->|"0:v"| chain0_0',
+        '  chain0_0 -->|"[flipped]"| chain1_0',
+        '  chain1_0 -->|"[flipped_split0]"| output0',
+        '  chain1_0 -->|"[flipped_split1]"| output1',
+        ''
+      ].join('\n'));
+    });
+    it('draws commands without a filter graph', function () {
+      const simple = FFmpegCommand.parse('ffmpeg -i in.mov out.mp4');
+      expect(simple.toMermaid()).to.eql('flowchart LR\n  input0(["0: in.mov"])\n  output0[("out.mp4")]\n');
+    });
+  });
+  describe('toScript() and toMakefile()', function () {
+    let pass1, pass2, remux;
+    beforeEach(() => {
+      pass1 = FFmpegCommand.parse('ffmpeg -y -i in.mov -c:v libx264 -pass 1 -an -f mp4 /dev/null');
+      pass2 = FFmpegCommand.parse('ffmpeg -y -i in.mov -filter_complex "[0:v]scale=320:180[out]" -map [out] -pass 2 "my video.mp4" -an thumb.jpg');
+      remux = FFmpegCommand.parse('ffmpeg -i "my video.mp4" -c copy final.mkv');
+    });
+
+    it('writes a bash script running the commands', function () {
+      expect(FFmpegCommand.toScript(remux)).to.eql([
+        '#!/usr/bin/env bash',
+        '# Generated by fessonia',
+        'set -euo pipefail',
+        '',
+        '# Command 1 of 1',
+        '# @input {0} my video.mp4',
+        '# @output {0} final.mkv - with -c copy',
+        `${config.ffmpeg_bin} \\`,
+        '  -i \'my video.mp4\' \\',
+        '  -c \'copy\' \\',
+        '  \'final.mkv\'',
+        ''
+      ].join('\n'));
+      const script = FFmpegCommand.toScript([pass1, pass2, remux]);
+      expect(script).to.contain('# Command 3 of 3\n');
+      expect(script).to.contain('# @output {0} my video.mp4 - with -pass 2, mapping [out]\n');
+      expect(script).to.contain('  -an \\\n  \'thumb.jpg\'\n');
+      expect(splitCommandString(script.split('# Command 2 of 3\n')[1].split('\n\n')[0].replace(/^#.*\n/gm, '')))
+        .to.eql([config.ffmpeg_bin].concat(pass2.toCommand().args));
+    });
+    it('passes long filter graphs with -filter_complex_script', function () {
+      const script = FFmpegCommand.toScript([pass1, pass2], { filterScriptThreshold: 10 });
+      expect(script).to.contain('filter_dir="$(mktemp -d)"\ntrap \'rm -rf "$filter_dir"\' EXIT\n');
+      expect(script).to.contain([
+        'cat > "$filter_dir/filter_complex_2.txt" <<\'FILTER_GRAPH\'',
+        '[0:v]scale=320:180[out]',
+        'FILTER_GRAPH',
+        `${config.ffmpeg_bin} \\`,
+        '  -y \\',
+        '  -i \'in.mov\' \\',
+        '  -filter_complex_script "$filter_dir/filter_complex_2.txt" \\'
+      ].join('\n'));
+      expect(FFmpegCommand.toScript([pass1, pass2])).not.to.contain('filter_dir');
+    });
+    it('describes the streams each output maps as passed to ffmpeg', function () {
+      const shared = FFmpegCommand.parse('ffmpeg -i in.mov -filter_complex "[0:v]hflip[flipped]" -map [flipped] small.mp4 -map [flipped] large.mp4');
+      const script = FFmpegCommand.toScript(shared);
+      expect(script).to.contain('# @output {0} small.mp4 - mapping [flipped_split0]\n');
+      expect(script).to.contain('# @output {1} large.mp4 - mapping [flipped_split1]\n');
+      expect(FFmpegCommand.toMakefile(shared)).to.contain('# @output {1} large.mp4 - mapping [flipped_split1]\n');
+    });
+    it('writes a Makefile whose rules depend on the outputs and passes they need', function () {
+      const make = FFmpegCommand.toMakefile([pass1, pass2, remux]);
+      expect(make).to.match(/^# Generated by fessonia\nSHELL := \/bin\/bash\n\.SHELLFLAGS := -euo pipefail -c\n/);
+      expect(make).to.contain('\nall: .step1.done my\\ video.mp4 final.mkv\n');
+      expect(make).to.contain(`\n.step1.done:\n\t${config.ffmpeg_bin} \\\n\t  -y \\\n`);
+      expect(make).to.contain('\t  \'/dev/null\'\n\ttouch $@\n');
+      expect(make).to.contain('\nmy\\ video.mp4: .step1.done\n');
+      expect(make).to.contain('\nthumb.jpg: my\\ video.mp4 ;\n');
+      expect(make).to.contain('\nfinal.mkv: my\\ video.mp4\n');
+    });
+    it('escapes $ in Makefile recipes and targets', function () {
+      const make = FFmpegCommand.toMakefile(FFmpegCommand.parse('ffmpeg -i in.mov -metadata "title=$HOME" "out $1.mp4"'));
+      expect(make).to.contain('\nout\\ $$1.mp4:\n');
+      expect(make).to.contain('\t  -metadata \'title=$$HOME\' \\\n\t  \'out $$1.mp4\'\n');
+    });
+  });
+  describe('shared filter pads', function () {
+    let cmd, input;
+    beforeEach(() => {
+      cmd = new FFmpegCommand();
+      input = new FFmpegInput('in.mov');
+      cmd.addInput(input);
+    });
+
+    it('splits a filter pad used by several chains and outputs', function () {
+      const scale = new FilterChain([new FilterNode('scale', [640, 360])]);
+      scale.addInput(input.streamSpecifier('v'));
+      const flip = new FilterChain([new FilterNode('hflip')]);
+      flip.addInput(scale.streamSpecifier());
+      cmd.addFilterChain(scale);
+      cmd.addFilterChain(flip);
+      const small = new FFmpegOutput('small.mp4');
+      small.addStream(scale.streamSpecifier(0));
+      const flipped = new FFmpegOutput('flipped.mp4');
+      flipped.addStreams([flip.streamSpecifier(), scale.streamSpecifier(0)]);
+      cmd.addOutput(small);
+      cmd.addOutput(flipped);
+      expect(cmd.toCommand().args).to.eql([
+        '-i', 'in.mov',
+        '-filter_complex', '[0:v]scale=640:360[chain0_scale_0];[chain0_scale_0_split0]hflip[chain1_hflip_0];' +
+          '[chain0_scale_0]split=3[chain0_scale_0_split0][chain0_scale_0_split1][chain0_scale_0_split2]',
+        '-map', '[chain0_scale_0_split1]', 'small.mp4',
+        '-map', '[chain1_hflip_0]', '-map', '[chain0_scale_0_split2]', 'flipped.mp4'
+      ]);
+      // the objects themselves are left unchanged
+      expect(flip.toString()).to.eql('[chain0_scale_0]hflip[chain1_hflip_0]');
+      expect(small.toCommandArray()).to.eql(['-map', '[chain0_scale_0]', 'small.mp4']);
+      expect(cmd.toCommand()).to.eql(cmd.toCommand());
+    });
+    it('uses asplit for audio pads', function () {
+      const volume = new FilterChain([new FilterNode('volume', [0.5])]);
+      volume.addInput(input.streamSpecifier('a'));
+      cmd.addFilterChain(volume);
+      const mix = new FilterChain([new FilterNode('amix')]);
+      mix.addInputs([volume.streamSpecifier('quiet'), volume.streamSpecifier('quiet')]);
+      cmd.addFilterChain(mix);
+      expect(cmd.toCommand().args[3]).to.eql(
+        '[0:a]volume=0.5[quiet];[quiet_asplit0][quiet_asplit1]amix;[quiet]asplit=2[quiet_asplit0][quiet_asplit1]'
+      );
+    });
+    it('leaves input streams used several times as they are', function () {
+      const scale = new FilterChain([new FilterNode('scale', [640, 360])]);
+      scale.addInput(input.streamSpecifier('v'));
+      cmd.addFilterChain(scale);
+      const output = new FFmpegOutput('out.mkv');
+      output.addStreams([scale.streamSpecifier(), input.streamSpecifier('v')]);
+      cmd.addOutput(output);
+      expect(cmd.toCommand().args.slice(2)).to.eql([
+        '-filter_complex', '[0:v]scale=640:360[chain0_scale_0]',
+        '-map', '[chain0_scale_0]', '-map', '0:v', 'out.mkv'
+      ]);
+    });
+  });
   it('generates the correct command object', function () {
     const fc = new FFmpegCommand(new Map([['y'],]));
     const fi = new FFmpegInput('/some/file.mov', new Map([
@@ -153,7 +534,7 @@ describe('FFmpegCommand', function () {
     ]));
     fc.addInput(fi);
     fc.addOutput(fo);
-    const expected = `${config.ffmpeg_bin} -y -threads "8" -itsoffset "0" -ss "6234.0182917" -i "/some/file.mov" -c:v "libx264" -preset:v "slow" -profile:v "high" -pix_fmt "yuv420p" -coder "1" -g "48" -b:v "3850k" -flags "+bitexact" -sws_flags "+accurate_rnd+bitexact" -fflags "+bitexact" -maxrate "4000k" -bufsize "2850k" -an -f "mp4" -aspect "16:9" -pass "1" "/dev/null"`;
+    const expected = `${config.ffmpeg_bin} -y -threads '8' -itsoffset '0' -ss '6234.0182917' -i '/some/file.mov' -c:v 'libx264' -preset:v 'slow' -profile:v 'high' -pix_fmt 'yuv420p' -coder '1' -g '48' -b:v '3850k' -flags '+bitexact' -sws_flags '+accurate_rnd+bitexact' -fflags '+bitexact' -maxrate '4000k' -bufsize '2850k' -an -f 'mp4' -aspect '16:9' -pass '1' '/dev/null'`;
     expect(fc.toString()).to.eql(expected);
   });
   it('generates the correct command string when IO mappings are present', function () {
@@ -201,8 +582,959 @@ describe('FFmpegCommand', function () {
       sineInput.streamSpecifier(0)
     ]);
     cmd.addOutput(output, mappings = [[lifeInput, 0], [sineInput, 0], [sineInput, 0]]);
-    const expected = `${config.ffmpeg_bin} -y -re -r "23.976" -f "lavfi" -i "life=size=320x240:mold=10:rate=23.976:ratio=0.5:death_color=#C83232:life_color=#00ff00:stitch=0,scale=1920:1080" -re -r "23.976" -f "lavfi" -i "sine=frequency=620:beep_factor=4:duration=9999999999:sample_rate=48000" -c:v "prores" -c:a "pcm_s24le" -aspect "16:9" -map "0:0" -map "1:0" -map "1:0" "gen.mov"`;
+    const expected = `${config.ffmpeg_bin} -y -re -r '23.976' -f 'lavfi' -i 'life=size=320x240:mold=10:rate=23.976:ratio=0.5:death_color=#C83232:life_color=#00ff00:stitch=0,scale=1920:1080' -re -r '23.976' -f 'lavfi' -i 'sine=frequency=620:beep_factor=4:duration=9999999999:sample_rate=48000' -c:v 'prores' -c:a 'pcm_s24le' -aspect '16:9' -map '0:0' -map '1:0' -map '1:0' 'gen.mov'`;
     expect(cmd.toString()).to.eql(expected);
   });
+  it('quotes option values by position rather than by their content', function () {
+    const cmd = new FFmpegCommand({ y: null });
+    cmd.addInput(new FFmpegInput('/tmp/my-video.mp4'));
+    cmd.addOutput(new FFmpegOutput('/tmp/out-1.mp4', { metadata: 'title=it\'s $5', an: null }));
+    expect(cmd.toCommand().optionIndexes).to.eql([0, 1, 3, 5]);
+    expect(cmd.toString()).to.eql(`${config.ffmpeg_bin} -y -i '/tmp/my-video.mp4' -metadata 'title=it'\\''s $5' -an '/tmp/out-1.mp4'`);
+    expect(FFmpegCommand.parse(cmd.toString()).toCommand().args).to.eql(cmd.toCommand().args);
+    expect(cmd.toString({ shell: 'powershell' })).to.eql(`${config.ffmpeg_bin} -y -i '/tmp/my-video.mp4' -metadata 'title=it''s $5' -an '/tmp/out-1.mp4'`);
+  });
+  describe('parse()', function () {
+    it('parses a command string into global options, inputs and outputs', function () {
+      const cmd = FFmpegCommand.parse('ffmpeg -y -ss 10 -i "/some/input file.mov" -re -i - -c:v libx264 -map 0:v -map 1:a? -map 1 -shortest \'/some/output.mp4\' -an /dev/null');
+      expect(Array.from(cmd.options)).to.eql([['y', null]]);
+      expect(cmd.inputs().map((i) => i.url)).to.eql(['/some/input file.mov', '-']);
+      expect(cmd.inputs()[0].options.map((o) => o.toCommandArray())).to.eql([['-ss', '10']]);
+      expect(cmd.inputs()[1].options.map((o) => o.toCommandArray())).to.eql([['-re']]);
+      const [output, nullOutput] = cmd.outputs();
+      expect(output.url).to.eql('/some/output.mp4');
+      expect(output.options.map((o) => o.toCommandArray())).to.eql([['-c:v', 'libx264'], ['-shortest']]);
+      expect(output.streams.map((s) => s.entity)).to.eql([cmd.inputs()[0], cmd.inputs()[1], cmd.inputs()[1]]);
+      expect(output.streams.map((s) => s.toMapArgument())).to.eql(['0:v', '1:a?', '1']);
+      expect(output.streams[1].isOptional).to.be.true;
+      expect(nullOutput.options.map((o) => o.toCommandArray())).to.eql([['-an']]);
+    });
+    it('accepts an argv array, with or without the ffmpeg binary', function () {
+      const args = ['-i', 'in.mov', 'out.mp4'];
+      expect(FFmpegCommand.parse(args).toCommand().args).to.eql(args);
+      expect(FFmpegCommand.parse(['/usr/local/bin/ffmpeg'].concat(args)).toCommand().args).to.eql(args);
+    });
+    it('is the inverse of toCommand()', function () {
+      const cmd = new FFmpegCommand({ y: null, loglevel: 'error' });
+      const input = new FFmpegInput('/some/file.mov', { ss: 5, t: 10 });
+      cmd.addInput(input);
+      const output = new FFmpegOutput('/some/file.mp4', { 'c:v': 'libx264', 'metadata:s:a:0': 'language=eng', movflags: '+faststart' });
+      output.addStreams([input.streamSpecifier('v:0'), input.streamSpecifier('a')]);
+      cmd.addOutput(output);
+      const args = cmd.toCommand().args;
+      expect(FFmpegCommand.parse(args).toCommand().args).to.eql(args);
+      expect(FFmpegCommand.parse(cmd.toString()).toString()).to.eql(cmd.toString());
+    });
+    it('keeps repeated options', function () {
+      const cmd = FFmpegCommand.parse('-i in.mov -metadata title=a -metadata artist=b out.mp4');
+      expect(cmd.outputs()[0].toCommandArray()).to.eql(['-metadata', 'title=a', '-metadata', 'artist=b', 'out.mp4']);
+    });
+    it('parses -filter_complex into the filter graph and maps its labelled outputs', function () {
+      const cmd = FFmpegCommand.parse('-filter_complex "[0:v][1:v]hstack[out];[1:a]volume=0.5[aout]" -i left.mov -i right.mov -map [out] -map [aout] out.mp4');
+      expect(cmd.options.has('filter_complex')).to.be.false;
+      const [stack, volume] = cmd.filterGraph.chains;
+      expect(stack.inputs.map((s) => s.entity)).to.eql(cmd.inputs());
+      expect(volume.inputs[0].entity).to.equal(cmd.inputs()[1]);
+      expect(cmd.outputs()[0].streams).to.eql([stack.streamSpecifiers[0], volume.streamSpecifiers[0]]);
+      expect(cmd.toCommand().args).to.eql([
+        '-i', 'left.mov', '-i', 'right.mov',
+        '-filter_complex', '[0:v][1:v]hstack[out];[1:a]volume=0.5[aout]',
+        '-map', '[out]', '-map', '[aout]', 'out.mp4'
+      ]);
+    });
+    it('keeps maps that do not refer to an input or filter chain as written', function () {
+      const cmd = FFmpegCommand.parse('-i in.mov -map [missing] -map 3:v out.mp4');
+      expect(cmd.outputs()[0].streams.map((s) => s.entityType)).to.eql(['Literal', 'Literal']);
+      expect(cmd.outputs()[0].toCommandArray()).to.eql(['-map', '[missing]', '-map', '3:v', 'out.mp4']);
+    });
+    it('parses excluded and optional maps', function () {
+      const cmd = FFmpegCommand.parse('-i in.mov -map 0 -map -0:s -map 0:m:language:eng? out.mp4');
+      const [all, subtitles, english] = cmd.outputs()[0].streams;
+      expect(all.isExcluded || all.isOptional).to.be.false;
+      expect(subtitles.entity).to.equal(cmd.inputs()[0]);
+      expect(subtitles).to.include({ specifier: 's', isExcluded: true });
+      expect(english).to.include({ specifier: 'm:language:eng', isOptional: true });
+      expect(cmd.outputs()[0].toCommandArray()).to.eql(['-map', '0', '-map', '-0:s', '-map', '0:m:language:eng?', 'out.mp4']);
+    });
+    it('treats negated boolean options as flags', function () {
+      const cmd = FFmpegCommand.parse('-nostdin -noautorotate -i in.mov out.mp4');
+      expect(Array.from(cmd.options)).to.eql([['nostdin', null]]);
+      expect(cmd.inputs()[0].toCommandArray()).to.eql(['-noautorotate', '-i', 'in.mov']);
+    });
+    it('throws on options with a missing argument or without an output', function () {
+      expect(() => FFmpegCommand.parse('-i in.mov -c:v')).to.throw(/missing argument for option -c:v/);
+      expect(() => FFmpegCommand.parse('-i in.mov out.mp4 -c:v libx264')).to.throw(/options -c:v are not followed by an output/);
+      expect(() => FFmpegCommand.parse('-map 0 -i in.mov out.mp4')).to.throw(/-map/);
+    });
+  });
+  describe('expectedDuration', function () {
+    it('is undefined by default', function () {
+      expect(new FFmpegCommand().expectedDuration).to.be.undefined;
+    });
+    it('can be set explicitly and is used for progress estimates', function () {
+      const cmd = new FFmpegCommand();
+      cmd.expectedDuration = 60;
+      expect(cmd.expectedDuration).to.eql(60);
+      expect(cmd._progressEmitter.expectedDuration).to.eql(60);
+    });
+    it('rejects values that are not durations', function () {
+      const cmd = new FFmpegCommand();
+      expect(() => { cmd.expectedDuration = -1; }).to.throw();
+      expect(() => { cmd.expectedDuration = '60'; }).to.throw();
+    });
+  });
+  describe('probeExpectedDuration()', function () {
+    const probeResult = (duration) => ({ format: { duration: duration }, streams: [], chapters: [] });
+    let probe;
+    beforeEach(() => {
+      probe = sinon.stub(FFprobe, 'probe');
+      probe.withArgs(sinon.match.has('url', '/some/long.mov')).resolves(probeResult(120));
+      probe.withArgs(sinon.match.has('url', '/some/short.mov')).resolves(probeResult(30));
+    });
+
+    it('uses the longest input duration', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('/some/long.mov'));
+      cmd.addInput(new FFmpegInput('/some/short.mov'));
+      cmd.addOutput(new FFmpegOutput('/some/output.mp4'));
+      return cmd.probeExpectedDuration().then((duration) => {
+        expect(duration).to.eql(120);
+        expect(cmd.expectedDuration).to.eql(120);
+      });
+    });
+    it('honours -ss, -t and -to on inputs', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('/some/long.mov', { ss: '00:01:00', to: '100' }));
+      cmd.addInput(new FFmpegInput('/some/short.mov', { t: 10 }));
+      return expect(cmd.probeExpectedDuration()).to.eventually.eql(40);
+    });
+    it('honours -ss, -t, -to and -shortest on outputs', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('/some/long.mov'));
+      cmd.addInput(new FFmpegInput('/some/short.mov'));
+      cmd.addOutput(new FFmpegOutput('/some/first.mp4', { ss: 10, t: 45 }));
+      cmd.addOutput(new FFmpegOutput('/some/second.mp4', { shortest: null }));
+      cmd.addOutput(new FFmpegOutput('/some/third.mp4', { ss: 100 }));
+      return expect(cmd.probeExpectedDuration()).to.eventually.eql(45);
+    });
+    it('falls back to the longest stream duration', function () {
+      probe.withArgs(sinon.match.has('url', '/some/stream.ts')).resolves({
+        format: { duration: null },
+        streams: [{ duration: 12 }, { duration: 12.5 }, { duration: null }],
+        chapters: []
+      });
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('/some/stream.ts'));
+      return expect(cmd.probeExpectedDuration()).to.eventually.eql(12.5);
+    });
+    it('does not probe filter inputs', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput(new FilterNode('testsrc'), { f: 'lavfi' }));
+      cmd.addInput(new FFmpegInput(new FilterNode('sine'), { f: 'lavfi', t: 15 }));
+      cmd.addOutput(new FFmpegOutput('/some/output.mp4'));
+      return cmd.probeExpectedDuration().then((duration) => {
+        expect(duration).to.be.undefined;
+        expect(probe.called).to.be.false;
+      });
+    });
+    it('does not probe stream inputs', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput(testHelpers.createTestReadableStream(), { f: 'mp4', t: 20 }));
+      cmd.addInput(new FFmpegInput('/some/short.mov'));
+      cmd.addOutput(new FFmpegOutput('/some/output.mp4'));
+      return cmd.probeExpectedDuration().then((duration) => {
+        expect(duration).to.eql(30);
+        expect(probe.calledOnce).to.be.true;
+        expect(probe.firstCall.args[0].url).to.eql('/some/short.mov');
+      });
+    });
+    it('limits unknown input durations by the output options', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput(new FilterNode('testsrc'), { f: 'lavfi' }));
+      cmd.addOutput(new FFmpegOutput('/some/output.mp4', { t: '00:00:30' }));
+      return expect(cmd.probeExpectedDuration()).to.eventually.eql(30);
+    });
+    it('rejects when ffprobe fails', function () {
+      probe.withArgs(sinon.match.has('url', '/some/missing.mov')).rejects(new FFmpegError({ message: 'No such file or directory' }));
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('/some/missing.mov'));
+      return expect(cmd.probeExpectedDuration()).to.be.rejectedWith(FFmpegError);
+    });
+  });
+  describe('spawn()', function () {
+    let proc;
+    beforeEach(() => {
+      proc = testHelpers.createTestProcess();
+      sinon.stub(childProcess, 'spawn').returns(proc);
+    });
+
+    it('spawns the ffmpeg binary with the command args and returns the child process', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('/some/file.mov'));
+      cmd.addOutput(new FFmpegOutput('/some/other/file.mp4'));
+      expect(cmd.spawn()).to.equal(proc);
+      expect(childProcess.spawn.calledOnce).to.be.true;
+      const [command, args] = childProcess.spawn.firstCall.args;
+      expect(command).to.eql(config.ffmpeg_bin);
+      expect(args).to.eql(['-progress', 'pipe:2'].concat(cmd.toCommand().args));
+    });
+    it('adds the -progress option when it is missing', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.spawn();
+      testHelpers.expectSequences(childProcess.spawn.firstCall.args[1], [['-progress', 'pipe:2']]);
+    });
+    it('adds the -progress option to the arguments of the run only', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      const before = cmd.toString();
+      cmd.spawn();
+      expect(cmd.hasOption('progress')).to.be.false;
+      expect(cmd.toString()).to.eql(before);
+      expect(cmd.toJSON().options).to.eql([]);
+    });
+    it('does not replace an existing -progress option', function () {
+      const cmd = new FFmpegCommand({ progress: 'pipe:1' });
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.spawn();
+      const args = childProcess.spawn.firstCall.args[1];
+      expect(args.filter((a) => a === '-progress').length).to.eql(1);
+      testHelpers.expectSequences(args, [['-progress', 'pipe:1']]);
+    });
+    it('does not add the -progress option when progress is disabled', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.spawn(false);
+      expect(childProcess.spawn.firstCall.args[1]).not.to.include('-progress');
+    });
+    it('emits update events from progress output on stderr', function (done) {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.on('update', (data) => {
+        expect(data.frame).to.eql(12);
+        expect(data.out_time).to.eql('00:00:00.500000');
+        done();
+      });
+      cmd.spawn();
+      proc.stderr.write('frame=12\nout_time=00:00:00.500000\nprogress=continue\n');
+    });
+    it('emits success when the process exits cleanly', function (done) {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.on('success', (data) => {
+        expect(data.exitCode).to.eql(0);
+        expect(data.durationMs).to.be.a('number');
+        expect(data.log).to.eql('(0) some log line\n');
+        expect(data.outputs).to.eql([{ url: '/some/file.mp4', size: null }]);
+        done();
+      });
+      cmd.spawn();
+      proc.stderr.end('some log line\n');
+      proc.emit('exit', 0, null);
+    });
+    it('emits an FFmpegError when the process fails', function (done) {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.on('error', (err) => {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.code).to.eql(1);
+        expect(err.cmd).to.eql(cmd.toString());
+        expect(err.message).to.eql('Something went wrong\n');
+        done();
+      });
+      cmd.spawn();
+      proc.stderr.end('Something went wrong\n');
+      proc.emit('exit', 1, null);
+    });
+    it('emits process events even when progress is disabled', function (done) {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.on('success', () => done());
+      cmd.spawn(false);
+      proc.emit('exit', 0, null);
+    });
+    it('throws the error as an exception, not a rejection, when nothing listens for it', function (done) {
+      // mocha's own handler is set aside for the exception expected here
+      const handlers = process.listeners('uncaughtException');
+      process.removeAllListeners('uncaughtException');
+      process.once('uncaughtException', (err) => {
+        handlers.forEach((handler) => process.on('uncaughtException', handler));
+        try {
+          expect(err).to.be.instanceof(FFmpegError);
+          expect(err.message).to.eql('Something went wrong\n');
+          done();
+        } catch (e) {
+          done(e);
+        }
+      });
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.spawn();
+      proc.stderr.end('Something went wrong\n');
+      proc.emit('exit', 1, null);
+    });
+    it('emits an FFmpegError when the outputs cannot be statted', function (done) {
+      const cmd = new FFmpegCommand();
+      const output = new FFmpegOutput('/some/file.mp4');
+      cmd.addOutput(output);
+      let statting = false;
+      Object.defineProperty(output, 'url', {
+        get: () => {
+          if (statting) {
+            statting = false;
+            throw new Error('EIO');
+          }
+          return '/some/file.mp4';
+        }
+      });
+      cmd.on('success', () => done(new Error('should not succeed')));
+      cmd.on('error', (err) => {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.message).to.eql('Unable to stat the outputs: EIO: done\n');
+        expect(err.outputs).to.be.undefined;
+        done();
+      });
+      cmd.spawn();
+      proc.stderr.end('done\n');
+      statting = true;
+      proc.emit('exit', 0, null);
+    });
+  });
+  describe('long filter graphs', function () {
+    let cmd, graph;
+    beforeEach(() => {
+      getConfig({ filter_script_threshold: 20 });
+      cmd = FFmpegCommand.parse('ffmpeg -i in.mov -filter_complex "[0:v]scale=320:180,hflip[out]" -map [out] out.mp4');
+      graph = cmd.toCommand().args[3];
+    });
+    afterEach(() => {
+      getConfig({ filter_script_threshold: 16384, filter_script_option: 'filter_complex_script' });
+    });
+
+    it('passes them in a temporary file in scripts too', function () {
+      expect(FFmpegCommand.toScript(cmd)).to.contain('  -filter_complex_script "$filter_dir/filter_complex_1.txt" \\\n');
+      expect(FFmpegCommand.toScript(cmd, { filterScriptThreshold: null })).not.to.contain('filter_dir');
+    });
+    it('passes them to spawned processes in a temporary file, removed after the run', function () {
+      const proc = testHelpers.createTestProcess();
+      sinon.stub(childProcess, 'spawn').returns(proc);
+      cmd.spawn(false);
+      const args = childProcess.spawn.firstCall.args[1];
+      expect(args.slice(0, 3)).to.eql(['-i', 'in.mov', '-filter_complex_script']);
+      expect(args.slice(4)).to.eql(['-map', '[out]', 'out.mp4']);
+      expect(fs.readFileSync(args[3], 'utf8')).to.eql(graph);
+      expect(cmd.toString()).to.contain(`-filter_complex '${graph}'`);
+      proc.emit('exit', 0, null);
+      return new Promise((resolve) => setImmediate(resolve)).then(() => {
+        expect(fs.existsSync(args[3])).to.be.false;
+      });
+    });
+    it('passes them to executed processes in a temporary file, removed after the run', function () {
+      let file;
+      sinon.stub(childProcess, 'execFile').callsFake((command, args, options, callback) => {
+        file = args[3];
+        expect(fs.readFileSync(file, 'utf8')).to.eql(graph);
+        setImmediate(() => callback(null, '', ''));
+        return testHelpers.createTestProcess();
+      });
+      return cmd.execute().then(() => {
+        expect(childProcess.execFile.firstCall.args[1][2]).to.eql('-filter_complex_script');
+        expect(fs.existsSync(file)).to.be.false;
+      });
+    });
+    it('passes them in scripts with the configured option', function () {
+      getConfig({ filter_script_option: '/filter_complex' });
+      expect(FFmpegCommand.toScript(cmd)).to.contain('  -/filter_complex "$filter_dir/filter_complex_1.txt" \\\n');
+      expect(FFmpegCommand.toScript(cmd, { filterScriptOption: 'filter_complex_script' }))
+        .to.contain('  -filter_complex_script "$filter_dir/filter_complex_1.txt" \\\n');
+    });
+    it('uses the configured option for the file', function () {
+      getConfig({ filter_script_option: '/filter_complex' });
+      const proc = testHelpers.createTestProcess();
+      sinon.stub(childProcess, 'spawn').returns(proc);
+      cmd.spawn(false);
+      expect(childProcess.spawn.firstCall.args[1][2]).to.eql('-/filter_complex');
+      proc.emit('exit', 0, null);
+    });
+    it('keeps filter graphs inline up to the threshold', function () {
+      getConfig({ filter_script_threshold: graph.length });
+      sinon.stub(childProcess, 'spawn').returns(testHelpers.createTestProcess());
+      cmd.spawn(false);
+      expect(childProcess.spawn.firstCall.args[1]).to.eql(cmd.toCommand().args);
+    });
+  });
+  describe('streams', function () {
+    let proc;
+    beforeEach(() => {
+      proc = testHelpers.createTestProcess(5);
+      sinon.stub(childProcess, 'spawn').returns(proc);
+    });
+
+    it('maps the first stream input to stdin and the first stream output to stdout', function () {
+      const cmd = new FFmpegCommand();
+      const input = new FFmpegInput(new stream.PassThrough());
+      const output = new FFmpegOutput(new stream.PassThrough());
+      cmd.addInput(input);
+      cmd.addOutput(output);
+      expect(input.url).to.eql('pipe:0');
+      expect(output.url).to.eql('pipe:1');
+      cmd.spawn();
+      expect(childProcess.spawn.firstCall.args[2]).to.eql({ stdio: 'pipe' });
+    });
+    it('maps further streams to extra file descriptors', function () {
+      const cmd = new FFmpegCommand();
+      const inputs = [new FFmpegInput(new stream.PassThrough()), new FFmpegInput(new stream.PassThrough())];
+      const outputs = [new FFmpegOutput(new stream.PassThrough()), new FFmpegOutput(new stream.PassThrough())];
+      inputs.forEach((i) => cmd.addInput(i));
+      outputs.forEach((o) => cmd.addOutput(o));
+      expect(inputs.map((i) => i.url)).to.eql(['pipe:0', 'pipe:3']);
+      expect(outputs.map((o) => o.url)).to.eql(['pipe:1', 'pipe:4']);
+      cmd.spawn();
+      expect(childProcess.spawn.firstCall.args[2]).to.eql({ stdio: ['pipe', 'pipe', 'pipe', 'pipe', 'pipe'] });
+    });
+    it('does not map a stream to a pipe already used by another input or output', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('-'));
+      const input = new FFmpegInput(new stream.PassThrough());
+      cmd.addInput(input);
+      expect(input.url).to.eql('pipe:3');
+    });
+    it('throws if a stream and another input, output or progress option claim the same pipe', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput(new stream.PassThrough()));
+      cmd.options.set('progress', 'pipe:1');
+      expect(() => cmd.spawn()).to.throw(/pipe:1 is claimed by more than one/);
+      expect(childProcess.spawn.called).to.be.false;
+    });
+    it('pipes stream inputs into ffmpeg and ffmpeg into stream outputs', function (done) {
+      const cmd = new FFmpegCommand();
+      const source = new stream.PassThrough();
+      const sink = new stream.PassThrough();
+      cmd.addInput(new FFmpegInput(source));
+      cmd.addInput(new FFmpegInput(new stream.PassThrough()));
+      cmd.addOutput(new FFmpegOutput(sink));
+      cmd.spawn();
+      proc.stdio[0].once('data', (chunk) => {
+        expect(chunk.toString()).to.eql('input data');
+        proc.stdout.end('output data');
+      });
+      sink.once('data', (chunk) => {
+        expect(chunk.toString()).to.eql('output data');
+        done();
+      });
+      source.write('input data');
+    });
+    it('stops piping an input when ffmpeg closes its pipe early', function () {
+      const cmd = new FFmpegCommand();
+      const source = new stream.PassThrough();
+      cmd.addInput(new FFmpegInput(source));
+      cmd.spawn();
+      const err = new Error('write EPIPE');
+      err.code = 'EPIPE';
+      proc.stdin.emit('error', err);
+      expect(source.listenerCount('data')).to.eql(0);
+    });
+    it('fails the run when a stream errors', function () {
+      const cmd = new FFmpegCommand();
+      const source = new stream.PassThrough();
+      cmd.addInput(new FFmpegInput(source));
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      const result = cmd.run();
+      source.emit('error', new Error('source went away'));
+      expect(proc.killSignals).to.eql(['SIGTERM']);
+      proc.stderr.end('Broken pipe\n');
+      proc.emit('exit', null, 'SIGTERM');
+      return expect(result).to.be.rejected.then((err) => {
+        expect(err.reason).to.eql('failed');
+        expect(err.message).to.eql('input stream on pipe:0 failed: source went away: Broken pipe\n');
+      });
+    });
+    it('does not send q to ffmpeg when stdin carries an input stream', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput(new stream.PassThrough()));
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.on('error', () => {});
+      cmd.spawn();
+      const stopped = cmd.stop();
+      expect(proc.killSignals).to.eql(['SIGTERM']);
+      proc.emit('exit', null, 'SIGTERM');
+      return stopped;
+    });
+    it('refuses to execute commands with streams', function () {
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput(new stream.PassThrough()));
+      return expect(cmd.execute()).to.be.rejectedWith(/use spawn\(\) or run\(\)/);
+    });
+  });
+  describe('run()', function () {
+    let proc, cmd;
+    beforeEach(() => {
+      proc = testHelpers.createTestProcess();
+      sinon.stub(childProcess, 'spawn').returns(proc);
+      cmd = new FFmpegCommand();
+      cmd.addInput(new FFmpegInput('/some/file.mov'));
+      cmd.addOutput(new FFmpegOutput(__filename));
+      cmd.addOutput(new FFmpegOutput('/some/missing/file.mp4'));
+    });
+
+    it('resolves with the exit code, duration, log, progress and outputs', function () {
+      const result = cmd.run();
+      proc.stderr.end('frame=1\nout_time=00:00:01.000000\nprogress=end\nsome log line\n');
+      proc.emit('exit', 0, null);
+      return result.then((data) => {
+        expect(data.exitCode).to.eql(0);
+        expect(data.durationMs).to.be.at.least(0);
+        expect(data.log).to.eql('(00:00:01.000000) some log line\n');
+        expect(data.progress.progressData).to.eql({ frame: 1, out_time: '00:00:01.000000' });
+        expect(data.outputs).to.eql([
+          { url: __filename, size: fs.statSync(__filename).size },
+          { url: '/some/missing/file.mp4', size: null }
+        ]);
+      });
+    });
+    it('rejects with an FFmpegError holding the same fields when ffmpeg fails', function () {
+      const result = cmd.run();
+      proc.stderr.end('Conversion failed!\n');
+      proc.emit('exit', 1, null);
+      return result.then(() => expect.fail('should have rejected'), (err) => {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.message).to.eql('Conversion failed!\n');
+        expect(err.exitCode).to.eql(1);
+        expect(err.durationMs).to.be.at.least(0);
+        expect(err.log).to.eql('(0) Conversion failed!\n');
+        expect(err.progress).to.be.an('object');
+        expect(err.outputs.length).to.eql(2);
+      });
+    });
+    it('rejects with an FFmpegError when the process cannot be spawned', function () {
+      const result = cmd.run();
+      const spawnError = new Error('spawn ffmpeg ENOENT');
+      spawnError.code = 'ENOENT';
+      proc.emit('error', spawnError);
+      proc.emit('exit', -2, null);
+      return expect(result).to.be.rejectedWith(FFmpegError, 'spawn ffmpeg ENOENT');
+    });
+    it('settles only once when both exit and error are emitted', function () {
+      const onError = sinon.spy();
+      cmd.on('error', onError);
+      const result = cmd.run();
+      proc.stderr.end();
+      proc.emit('exit', 0, null);
+      proc.emit('error', new Error('kill EPERM'));
+      return result.then((data) => {
+        expect(data.exitCode).to.eql(0);
+        expect(onError.called).to.be.false;
+        expect(cmd.listenerCount('success')).to.eql(0);
+        expect(cmd.listenerCount('error')).to.eql(1);
+      });
+    });
+  });
+  describe('progress()', function () {
+    let proc, cmd;
+    // iterating starts straight away, as listeners are only added once it has
+    const consume = async (updates) => {
+      const frames = [];
+      for await (const update of updates) {
+        frames.push(update.frame);
+      }
+      return frames;
+    };
+    beforeEach(() => {
+      proc = testHelpers.createTestProcess();
+      sinon.stub(childProcess, 'spawn').returns(proc);
+      cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+    });
+
+    it('yields progress updates and ends when the process succeeds', async function () {
+      cmd.spawn();
+      const frames = consume(cmd.progress({ coalesce: false }));
+      proc.stderr.end('frame=1\nprogress=continue\nframe=2\nprogress=continue\nframe=3\nprogress=end\n');
+      proc.emit('exit', 0, null);
+      expect(await frames).to.eql([1, 2, 3]);
+      expect(cmd.listenerCount('update')).to.eql(0);
+      expect(cmd.listenerCount('success')).to.eql(0);
+    });
+    it('coalesces updates for a slow consumer, keeping the final state', async function () {
+      const done = cmd.run();
+      const updates = cmd.progress();
+      const next = updates.next();
+      proc.stderr.write('frame=1\nprogress=continue\n');
+      const first = await next;
+      expect(first.value.frame).to.eql(1);
+      proc.stderr.end('frame=2\nprogress=continue\nframe=3\nprogress=end\n');
+      proc.emit('exit', 0, null);
+      await done;
+      expect(await consume(updates)).to.eql([3]);
+    });
+    it('throws the FFmpegError when the process fails', async function () {
+      cmd.spawn();
+      const frames = [];
+      const iterated = (async () => {
+        for await (const update of cmd.progress()) {
+          frames.push(update.frame);
+        }
+      })();
+      proc.stderr.end('frame=1\nprogress=continue\nConversion failed!\n');
+      proc.emit('exit', 1, null);
+      try {
+        await iterated;
+        expect.fail('should have thrown');
+      } catch (err) {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.message).to.eql('Conversion failed!\n');
+      }
+      expect(frames).to.eql([1]);
+      expect(cmd.listenerCount('error')).to.eql(0);
+    });
+    it('ends straight away when the process has already succeeded', async function () {
+      await Promise.all([cmd.run(), Promise.resolve().then(() => {
+        proc.stderr.end();
+        proc.emit('exit', 0, null);
+      })]);
+      const result = await cmd.progress().next();
+      expect(result.done).to.be.true;
+    });
+    it('adds no listeners until iteration starts', function () {
+      cmd.progress();
+      cmd.spawn();
+      expect(cmd.listenerCount('update')).to.eql(0);
+      expect(cmd.listenerCount('success')).to.eql(0);
+      expect(cmd.listenerCount('error')).to.eql(0);
+      proc.emit('exit', 0, null);
+    });
+    it('follows the run started after the iterator was created', async function () {
+      const updates = cmd.progress();
+      const done = cmd.run();
+      const frames = consume(updates);
+      proc.stderr.end('frame=1\nprogress=end\n');
+      proc.emit('exit', 0, null);
+      await done;
+      expect(await frames).to.eql([1]);
+    });
+    it('follows the new run of a command that has already finished', async function () {
+      const second = testHelpers.createTestProcess();
+      childProcess.spawn.onSecondCall().returns(second);
+      const failed = cmd.run();
+      proc.stderr.end('Conversion failed!\n');
+      proc.emit('exit', 1, null);
+      await expect(failed).to.be.rejectedWith(FFmpegError);
+      const updates = cmd.progress();
+      const done = cmd.run();
+      const frames = consume(updates);
+      second.stderr.end('frame=7\nprogress=end\n');
+      second.emit('exit', 0, null);
+      await done;
+      expect(await frames).to.eql([7]);
+    });
+    it('stops listening when the consumer breaks out early', async function () {
+      cmd.spawn();
+      const updates = cmd.progress();
+      const next = updates.next();
+      proc.stderr.write('frame=1\nprogress=continue\n');
+      expect((await next).value.frame).to.eql(1);
+      await updates.return();
+      expect(cmd.listenerCount('success')).to.eql(0);
+      proc.emit('exit', 0, null);
+    });
+  });
+  describe('execute()', function () {
+    let proc;
+    beforeEach(() => {
+      proc = testHelpers.createTestProcess();
+    });
+
+    it('resolves with the stdout output of ffmpeg', function () {
+      sinon.stub(childProcess, 'execFile').returns(proc).yieldsAsync(null, 'some output', '');
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      const result = cmd.execute();
+      const [command, args] = childProcess.execFile.firstCall.args;
+      expect(command).to.eql(config.ffmpeg_bin);
+      expect(args).to.eql(cmd.toCommand().args);
+      expect(childProcess.execFile.firstCall.args[2].maxBuffer).to.be.at.least(64 * 1024 * 1024);
+      return expect(result).to.eventually.eql('some output');
+    });
+    it('rejects with an FFmpegError when ffmpeg fails', function () {
+      const err = new Error('Command failed: ffmpeg\nfirst line\nNo such file or directory\n');
+      err.code = 1;
+      sinon.stub(childProcess, 'execFile').returns(proc).yieldsAsync(err, '', '');
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      return cmd.execute().then(() => expect.fail('should have rejected'), (err) => {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.message).to.eql('No such file or directory');
+        expect(err.reason).to.eql('failed');
+      });
+    });
+    it('stops ffmpeg and rejects with an aborted FFmpegError when the signal is aborted', function () {
+      let callback;
+      sinon.stub(childProcess, 'execFile').callsFake((command, args, options, cb) => {
+        callback = cb;
+        return proc;
+      });
+      const controller = testHelpers.createTestAbortController();
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      const result = cmd.execute({ signal: controller.signal });
+      proc.stdin.on('data', (data) => {
+        expect(data.toString()).to.eql('q');
+        proc.exitCode = 0;
+        proc.emit('exit', 0, null);
+        callback(null, '', 'Exiting normally, received signal 2.\n');
+      });
+      controller.abort();
+      return result.then(() => expect.fail('should have rejected'), (err) => {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.reason).to.eql('aborted');
+        expect(err.killed).to.be.false;
+        expect(err.code).to.eql(0);
+      });
+    });
+    it('does not run ffmpeg when the signal is already aborted', function () {
+      sinon.stub(childProcess, 'execFile');
+      const controller = testHelpers.createTestAbortController();
+      controller.abort();
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      return cmd.execute({ signal: controller.signal }).then(() => expect.fail('should have rejected'), (err) => {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.reason).to.eql('aborted');
+        expect(childProcess.execFile.called).to.be.false;
+      });
+    });
+  });
+  describe('logging', function () {
+    let logger;
+    beforeEach(() => {
+      logger = { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+      const loggedConfig = Object.assign({}, config, { logger: logger, option_checks: 'warn' });
+      sinon.stub(FFmpegCommand, 'config').get(() => loggedConfig);
+    });
+
+    it('gives each command an id, used as context by its logger', function () {
+      const first = new FFmpegCommand();
+      const second = new FFmpegCommand();
+      expect(second.id).to.eql(first.id + 1);
+      const cmd = new FFmpegCommand();
+      cmd.id = 'job-42';
+      cmd.logger.info('message');
+      expect(logger.info.args).to.eql([['[commandId=job-42] message']]);
+    });
+    it('passes the lines of ffmpeg\'s log to the logger by level when spawning', function (done) {
+      const proc = testHelpers.createTestProcess();
+      sinon.stub(childProcess, 'spawn').returns(proc);
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      cmd.on('error', () => {
+        const prefix = `[commandId=${cmd.id} source=ffmpeg]`;
+        expect(logger.debug.calledWith(`${prefix} Input #0, mov, from 'in.mov':`)).to.be.true;
+        expect(logger.error.args).to.eql([[`${prefix} Conversion failed!`]]);
+        expect(logger.debug.calledWith(`${prefix} out_time=00:00:00.500000`)).to.be.false;
+        expect(logger.info.called).to.be.false;
+        done();
+      });
+      cmd.spawn();
+      proc.stderr.end('Input #0, mov, from \'in.mov\':\nout_time=00:00:00.500000\nprogress=continue\nConversion failed!\n');
+      proc.emit('exit', 1, null);
+    });
+    it('passes the lines of ffmpeg\'s log to the logger by level when executing', function () {
+      sinon.stub(childProcess, 'execFile').returns(testHelpers.createTestProcess()).yieldsAsync(null, '', '[info] Stream mapping:\n[warning] deprecated pixel format used\n');
+      const cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      return cmd.execute().then(() => {
+        const prefix = `[commandId=${cmd.id} source=ffmpeg]`;
+        expect(logger.debug.calledWith(`${prefix} [info] Stream mapping:`)).to.be.true;
+        expect(logger.warn.args).to.eql([[`${prefix} [warning] deprecated pixel format used`]]);
+      });
+    });
+    it('adds the url of the input or output to the context of option warnings', function () {
+      sinon.stub(childProcess, 'spawn').returns(testHelpers.createTestProcess());
+      const cmd = FFmpegCommand.parse('ffmpeg -shortest -i in.mov -re out.mp4');
+      cmd.spawn(false);
+      expect(logger.warn.calledWithMatch(new RegExp(`^\\[commandId=${cmd.id} inputUrl=in\\.mov\\] Invalid option: input in\\.mov`))).to.be.true;
+      expect(logger.warn.calledWithMatch(new RegExp(`^\\[commandId=${cmd.id} outputUrl=out\\.mp4\\] Invalid option: output out\\.mp4`))).to.be.true;
+    });
+    it('asks loggers with a child method for child loggers', function () {
+      const child = { info: sinon.spy(), child: sinon.stub() };
+      child.child.returns(child);
+      const parent = { child: sinon.stub().returns(child) };
+      FFmpegCommand.config.logger = parent;
+      const cmd = new FFmpegCommand();
+      cmd.logger.info('message');
+      expect(parent.child.calledOnceWith({ commandId: cmd.id })).to.be.true;
+      expect(child.info.calledOnceWith('message')).to.be.true;
+    });
+  });
+  describe('timeouts', function () {
+    let proc, cmd, clock;
+    const settle = () => new Promise((resolve) => setImmediate(resolve));
+    beforeEach(() => {
+      proc = testHelpers.createTestProcess();
+      proc.kill = (signal) => {
+        proc.killSignals.push(signal);
+        proc.stderr.end('Exiting normally, received signal 15.\n');
+        proc.emit('exit', null, signal);
+      };
+      sinon.stub(childProcess, 'spawn').returns(proc);
+      cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+      clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    });
+    afterEach(() => clock.restore());
 
+    it('kills ffmpeg and rejects with reason timeout when it runs past timeoutMs', function () {
+      const written = [];
+      proc.stdin.on('data', (data) => written.push(data.toString()));
+      const result = cmd.run({ timeoutMs: 1000 });
+      clock.tick(1000);
+      return result.then(() => expect.fail('should have rejected'), (err) => {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.reason).to.eql('timeout');
+        expect(err.killed).to.be.true;
+        expect(err.message).to.eql('ffmpeg timed out after 1000ms: Exiting normally, received signal 15.\n');
+        expect(err.log).to.eql('(0) Exiting normally, received signal 15.\n');
+        expect(proc.killSignals).to.eql(['SIGTERM']);
+        expect(written).to.eql([]);
+      });
+    });
+    it('does not time out a run that exits in time', function () {
+      const result = cmd.run({ timeoutMs: 1000 });
+      proc.stderr.end();
+      proc.emit('exit', 0, null);
+      clock.tick(1000);
+      return expect(result).to.be.fulfilled;
+    });
+    it('stops ffmpeg and rejects with reason stalled when out_time stops moving', async function () {
+      const result = cmd.run({ stallTimeoutMs: 1000 });
+      proc.stderr.write('out_time=00:00:01.000000\nprogress=continue\n');
+      await settle();
+      clock.tick(900);
+      proc.stderr.write('out_time=00:00:02.000000\nprogress=continue\n');
+      await settle();
+      clock.tick(900);
+      expect(proc.killSignals).to.eql([]);
+      proc.stderr.write('stuck reading input\n');
+      proc.stderr.write('out_time=00:00:02.000000\nprogress=continue\n');
+      await settle();
+      clock.tick(100);
+      return result.then(() => expect.fail('should have rejected'), (err) => {
+        expect(err.reason).to.eql('stalled');
+        expect(err.killed).to.be.true;
+        expect(err.message).to.eql('ffmpeg stalled with no progress for 1000ms: Exiting normally, received signal 15.\n');
+        expect(err.progress.last(2)).to.eql(['stuck reading input\n', 'Exiting normally, received signal 15.\n']);
+      });
+    });
+    it('stops ffmpeg when it produces no progress at all', function () {
+      const result = cmd.run({ stallTimeoutMs: 1000 });
+      clock.tick(1000);
+      return expect(result).to.be.rejectedWith(FFmpegError, 'ffmpeg stalled');
+    });
+    it('rejects stallTimeoutMs where progress is not read', function () {
+      expect(() => cmd.spawn(false, { stallTimeoutMs: 1000 })).to.throw('stallTimeoutMs requires emitProgress');
+      expect(childProcess.spawn.called).to.be.false;
+      return expect(cmd.execute({ stallTimeoutMs: 1000 })).to.be.rejectedWith('Cannot execute a command with stallTimeoutMs');
+    });
+    it('applies timeoutMs to execute', function () {
+      let callback;
+      sinon.stub(childProcess, 'execFile').callsFake((command, args, options, cb) => {
+        callback = cb;
+        return proc;
+      });
+      proc.kill = (signal) => {
+        proc.signalCode = signal;
+        proc.emit('exit', null, signal);
+        const err = new Error('Command failed: ffmpeg\nExiting normally, received signal 15.\n');
+        err.signal = signal;
+        callback(err, '', '');
+      };
+      const result = cmd.execute({ timeoutMs: 1000 });
+      clock.tick(1000);
+      return result.then(() => expect.fail('should have rejected'), (err) => {
+        expect(err.reason).to.eql('timeout');
+        expect(err.killed).to.be.true;
+        expect(err.signal).to.eql('SIGTERM');
+        expect(err.message).to.eql('ffmpeg timed out after 1000ms: Exiting normally, received signal 15.');
+      });
+    });
+  });
+  describe('stop()', function () {
+    let proc, cmd, clock;
+    beforeEach(() => {
+      proc = testHelpers.createTestProcess();
+      sinon.stub(childProcess, 'spawn').returns(proc);
+      cmd = new FFmpegCommand();
+      cmd.addOutput(new FFmpegOutput('/some/file.mp4'));
+    });
+    afterEach(() => {
+      if (clock) {
+        clock.restore();
+        clock = undefined;
+      }
+    });
+
+    it('resolves immediately when nothing is running', function () {
+      return expect(cmd.stop()).to.be.fulfilled;
+    });
+    it('asks ffmpeg to quit on stdin and rejects the run as aborted', function () {
+      const result = cmd.run();
+      proc.stdin.on('data', (data) => {
+        expect(data.toString()).to.eql('q');
+        proc.stderr.end('Exiting normally, received signal 2.\n');
+        proc.emit('exit', 0, null);
+      });
+      const stopped = cmd.stop();
+      return Promise.all([stopped, result.then(() => expect.fail('should have rejected'), (err) => {
+        expect(err).to.be.instanceof(FFmpegError);
+        expect(err.reason).to.eql('aborted');
+        expect(err.killed).to.be.false;
+        expect(proc.killSignals).to.eql([]);
+      })]);
+    });
+    it('escalates to SIGTERM and then SIGKILL when ffmpeg keeps running', function () {
+      clock = sinon.useFakeTimers();
+      const result = cmd.run();
+      const stopped = cmd.stop({ timeoutMs: 1000 });
+      clock.tick(999);
+      expect(proc.killSignals).to.eql([]);
+      clock.tick(1);
+      expect(proc.killSignals).to.eql(['SIGTERM']);
+      clock.tick(1000);
+      expect(proc.killSignals).to.eql(['SIGTERM', 'SIGKILL']);
+      proc.stderr.end();
+      proc.emit('exit', null, 'SIGKILL');
+      clock.restore();
+      clock = undefined;
+      return Promise.all([stopped, result.then(() => expect.fail('should have rejected'), (err) => {
+        expect(err.reason).to.eql('aborted');
+        expect(err.killed).to.be.true;
+        expect(err.signal).to.eql('SIGKILL');
+      })]);
+    });
+    it('signals ffmpeg straight away when the stop is not graceful', function () {
+      cmd.on('error', () => {});
+      cmd.spawn();
+      cmd.stop({ graceful: false });
+      expect(proc.killSignals).to.eql(['SIGTERM']);
+      proc.emit('exit', null, 'SIGTERM');
+    });
+    it('stops the run when its abort signal is aborted', function () {
+      const controller = testHelpers.createTestAbortController();
+      cmd.on('error', () => {});
+      cmd.spawn(true, { signal: controller.signal });
+      const stop = sinon.spy(cmd, '_stopRun');
+      controller.abort();
+      expect(stop.calledOnce).to.be.true;
+      expect(stop.firstCall.args[1]).to.eql('aborted');
+      proc.emit('exit', 0, null);
+    });
+    it('rejects a run without spawning ffmpeg when the signal is already aborted', function () {
+      const controller = testHelpers.createTestAbortController();
+      controller.abort();
+      return cmd.run({ signal: controller.signal }).then(() => expect.fail('should have rejected'), (err) => {
+        expect(err.reason).to.eql('aborted');
+        expect(childProcess.spawn.called).to.be.false;
+      });
+    });
+  });
 });
@@ -55,6 +55,32 @@ describe('FFmpegError', function () {
       expect(error.progress).to.eql(originalError.progress);
     });
 
+    it('should copy run details from the original object', () => {
+      originalError.code = 1;
+      originalError.durationMs = 1234;
+      originalError.outputs = [{ url: '/some/file.mp4', size: 42 }];
+      const error = new FFmpegError(originalError);
+      expect(error.exitCode).to.eql(1);
+      expect(error.durationMs).to.eql(1234);
+      expect(error.outputs).to.eql(originalError.outputs);
+    });
+
+    it('falls back to the error message when the progress object has no log lines', () => {
+      originalError.message = 'spawn ffmpeg ENOENT';
+      originalError.progress = new FFmpegProgressEmitter;
+      const error = new FFmpegError(originalError);
+      expect(error.message).to.eql('spawn ffmpeg ENOENT');
+    });
+
+    it('prefixes the message with the description, if given', () => {
+      originalError.message = 'first line\nlast line';
+      originalError.description = 'ffmpeg timed out after 1000ms';
+      originalError.reason = 'timeout';
+      const error = new FFmpegError(originalError);
+      expect(error.message).to.eql('ffmpeg timed out after 1000ms: last line');
+      expect(error.reason).to.eql('timeout');
+    });
+
     it('should not copy other properties from the original object', () => {
       originalError.sassafras = 'zeugma';
       const error = new FFmpegError(originalError);
@@ -33,12 +33,27 @@ describe('FFmpegInput', function () {
       const input_file = '/some/file.mov';
       expect(new FFmpegInput(input_file, {}).url).to.eql(input_file);
     });
+    it('reads from stdin when given a readable stream', function () {
+      const stream = testHelpers.createTestReadableStream();
+      const fi = new FFmpegInput(stream, { f: 'mp4' });
+      expect(fi.stream).to.equal(stream);
+      expect(fi.url).to.eql('pipe:0');
+      expect(fi.toCommandArray()).to.eql(['-f', 'mp4', '-i', 'pipe:0']);
+    });
+    it('logs with the url of the input as context', function () {
+      const logger = { debug: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+      const loggedConfig = Object.assign({}, FFmpegInput.config, { logger: logger });
+      sinon.stub(FFmpegInput, 'config').get(() => loggedConfig);
+      const fi = new FFmpegInput('/some/file.mov');
+      expect(fi.inputLabel).to.be.undefined;
+      expect(logger.warn.lastCall.args[0]).to.match(/^\[inputUrl=\/some\/file\.mov\] /);
+    });
   });
   describe('toCommandArray(), toCommandString()', function () {
     it('handles filenames with quotes properly', function () {
       const fi = new FFmpegInput('/some/file with "quotes".mp4');
       const expectedCommandArray = ['-i', '/some/file with "quotes".mp4'];
-      const expectedCommandString = '-i "/some/file with \\"quotes\\".mp4"';
+      const expectedCommandString = '-i \'/some/file with "quotes".mp4\'';
       expect(fi.url).to.eql('/some/file with "quotes".mp4');
       expect(fi.toCommandArray()).to.deep.eql(expectedCommandArray);
       expect(fi.toCommandString()).to.eql(expectedCommandString);
@@ -67,7 +82,7 @@ describe('FFmpegInput', function () {
       testHelpers.expectSequences(fiCmdMap, expectedArgs);
     });
     it('generates the correct command string segment', function () {
-      const expected = '-ss "5110.77" -itsoffset "0" -bitexact -i "/some/file.mov"';
+      const expected = '-ss \'5110.77\' -itsoffset \'0\' -bitexact -i \'/some/file.mov\'';
       const fiObj = new FFmpegInput('/some/file.mov', {
         'ss': 5110.77,
         'itsoffset': 0,
@@ -98,7 +113,7 @@ describe('FFmpegInput', function () {
         duration: 9999999999,
         sample_rate: 48000
       });
-      let expected = '-re -f "lavfi" -i "sine=frequency=620:beep_factor=4:duration=9999999999:sample_rate=48000"';
+      let expected = '-re -f \'lavfi\' -i \'sine=frequency=620:beep_factor=4:duration=9999999999:sample_rate=48000\'';
       let fiObj = new FFmpegInput(fInput, new Map([
         ['re', null],
         ['f', 'lavfi']
@@ -117,7 +132,7 @@ describe('FFmpegInput', function () {
         stitch: 0
       });
       const scaleNode = new FilterNode('scale', [1920, 1080]);
-      const expected = '-re -r "23.976" -f "lavfi" -i "life=size=320x240:mold=10:rate=23.976:ratio=0.5:death_color=#C83232:life_color=#00ff00:stitch=0,scale=1920:1080"';
+      const expected = '-re -r \'23.976\' -f \'lavfi\' -i \'life=size=320x240:mold=10:rate=23.976:ratio=0.5:death_color=#C83232:life_color=#00ff00:stitch=0,scale=1920:1080\'';
       const fcInput = new FilterChain([lifeNode, scaleNode]);
       const fiObj = new FFmpegInput(fcInput, new Map([
         ['re', null],
@@ -138,7 +153,7 @@ describe('FFmpegInput', function () {
         stitch: 0
       });
       const scaleNode = new FilterNode('scale', [1920, 1080]);
-      const expected = '-re -r "23.976" -f "lavfi" -i "life=size=320x240:mold=10:rate=23.976:ratio=0.5:death_color=#C83232:life_color=#00ff00:stitch=0,scale=1920:1080"';
+      const expected = '-re -r \'23.976\' -f \'lavfi\' -i \'life=size=320x240:mold=10:rate=23.976:ratio=0.5:death_color=#C83232:life_color=#00ff00:stitch=0,scale=1920:1080\'';
       const fc = new FilterChain([lifeNode, scaleNode]);
       const fgInput = new FilterGraph();
       fgInput.addFilterChain(fc);
@@ -169,4 +184,39 @@ describe('FFmpegInput', function () {
       });
     });
   });
+  describe('addOptions', function () {
+    it('adds options after the existing ones', function () {
+      const fi = new FFmpegInput('/some/file.mov', { ss: '10' });
+      fi.addOptions({ t: '5', re: null });
+      expect(fi.toCommandArray()).to.eql(['-ss', '10', '-t', '5', '-re', '-i', '/some/file.mov']);
+    });
+  });
+  describe('option editing', function () {
+    let entity;
+    beforeEach(() => {
+      entity = new FFmpegInput('/some/file.mov', new Map([['ss', '10'], ['codec:v', 'libx264'], ['vcodec', 'libx265'], ['t', '5']]));
+    });
+
+    it('gets and checks options by name or alias', function () {
+      expect(entity.getOption('c:v')).to.eql('libx264');
+      expect(entity.hasOption('vcodec')).to.be.true;
+      expect(entity.hasOption('c:a')).to.be.false;
+      expect(entity.getOption('c:a')).to.be.undefined;
+    });
+    it('sets options in place, replacing their aliases', function () {
+      entity.setOption('c:v', 'copy');
+      entity.setOption('ss', 20);
+      expect(entity.toCommandArray().slice(0, 6)).to.eql(['-ss', '20', '-c:v', 'copy', '-t', '5']);
+    });
+    it('adds options that are not set at the end', function () {
+      entity.setOption('an');
+      expect(entity.options.map((o) => o.optionName)).to.eql(['-ss', '-codec:v', '-vcodec', '-t', '-an']);
+      expect(entity.getOption('an')).to.be.null;
+    });
+    it('removes options and their aliases', function () {
+      expect(entity.removeOption('c:v')).to.be.true;
+      expect(entity.removeOption('c:v')).to.be.false;
+      expect(entity.options.map((o) => o.optionName)).to.eql(['-ss', '-t']);
+    });
+  });
 });
@@ -53,6 +53,10 @@ describe('FFmpegOption', function () {
   });
 
   describe('toCommandArray()', function () {
+    it('escapes a lone filter node argument for the filter graph', function () {
+      const o = new FFmpegOption('vf', new FilterNode('drawtext', { text: 'a, b' }));
+      expect(o.toCommandArray()).to.deep.eql(['-filter_complex', 'drawtext=text=a\\, b']);
+    });
     it('generates the correct command array segment for a global option', function () {
       const o = new FFmpegOption('y');
       const expected = ['-y'];
@@ -181,4 +185,29 @@ describe('FFmpegOption', function () {
       });
     });
   });
+  describe('canonicalName() and matches()', function () {
+    it('unifies long names and per-stream-type shorthands', function () {
+      expect(FFmpegOption.canonicalName('codec:v')).to.eql('c:v');
+      expect(FFmpegOption.canonicalName('-vcodec')).to.eql('c:v');
+      expect(FFmpegOption.canonicalName('codec:a:1')).to.eql('c:a:1');
+      expect(FFmpegOption.canonicalName('af')).to.eql('filter:a');
+      expect(FFmpegOption.canonicalName('qscale:v')).to.eql('q:v');
+      expect(FFmpegOption.canonicalName('ss')).to.eql('ss');
+    });
+    it('matches options for the same streams only', function () {
+      const option = new FFmpegOption('c:v', 'libx264');
+      expect(option.matches('codec:v')).to.be.true;
+      expect(option.matches('vcodec')).to.be.true;
+      expect(option.matches('c')).to.be.false;
+      expect(option.matches('c:a')).to.be.false;
+      expect(option.matches('c:v:0')).to.be.false;
+    });
+  });
+  describe('withDefaults()', function () {
+    it('puts the defaults not given, under any of their names, before the options', function () {
+      const defaults = [new FFmpegOption('vcodec', 'libx264'), new FFmpegOption('crf', 23)];
+      const options = FFmpegOption.withDefaults(defaults, [new FFmpegOption('c:v', 'libx265')]);
+      expect(options.map((o) => o.toCommandArray())).to.eql([['-crf', '23'], ['-c:v', 'libx265']]);
+    });
+  });
 });
@@ -30,6 +30,19 @@ describe('FFmpegOutput', function () {
   it('sets the url property on the object', function () {
     expect(new FFmpegOutput('/some/file.mp4', {}).url).to.eql('/some/file.mp4');
   });
+  it('writes to stdout when given a writable stream', function () {
+    const stream = new (require('stream').PassThrough)();
+    const fo = new FFmpegOutput(stream, { f: 'mp4' });
+    expect(fo.stream).to.equal(stream);
+    expect(fo.url).to.eql('pipe:1');
+  });
+  it('logs with the url of the output as context', function () {
+    const logger = { debug: sinon.spy(), info: sinon.spy() };
+    const loggedConfig = Object.assign({}, FFmpegOutput.config, { logger: logger });
+    sinon.stub(FFmpegOutput, 'config').get(() => loggedConfig);
+    new FFmpegOutput('/some/file.mp4').logger.info('message');
+    expect(logger.info.args).to.eql([['[outputUrl=/some/file.mp4] message']]);
+  });
   it('quotes arguments properly', function () {
     const expectedLast = '/some/file.mov';
     const expectedArgs = [
@@ -39,7 +52,7 @@ describe('FFmpegOutput', function () {
       ['-map_chapters', '-1']
     ];
     const expectedCommandString =
-      '-coder "0" -subq "3" -map_metadata "-1" -map_chapters "-1" "/some/file.mov"';
+      '-coder \'0\' -subq \'3\' -map_metadata \'-1\' -map_chapters \'-1\' \'/some/file.mov\'';
     const fo = new FFmpegOutput('/some/file.mov', {
       coder: 0,
       subq: 3,
@@ -54,7 +67,7 @@ describe('FFmpegOutput', function () {
   it('handles filenames with quotes properly', function () {
     const fo = new FFmpegOutput('/some/file with "quotes".mp4', {});
     const expectedCommandArray = ['/some/file with "quotes".mp4'];
-    const expectedCommandString = '"/some/file with \\"quotes\\".mp4"';
+    const expectedCommandString = '\'/some/file with "quotes".mp4\'';
     expect(fo.url).to.eql('/some/file with "quotes".mp4');
     expect(fo.toCommandArray()).to.deep.eql(expectedCommandArray);
     expect(fo.toCommandString()).to.eql(expectedCommandString);
@@ -85,7 +98,7 @@ describe('FFmpegOutput', function () {
     testHelpers.expectSequences(foCmdMap, expectedArgs);
   });
   it('generates the correct command string segment', function () {
-    const expected = '-dn -aspect "16:9" -f "mp4" -b:v "3850k" "/some/file.mp4"';
+    const expected = '-dn -aspect \'16:9\' -f \'mp4\' -b:v \'3850k\' \'/some/file.mp4\'';
     const foObj = new FFmpegOutput('/some/file.mp4', {
       'dn': null,
       'aspect': '16:9',
@@ -249,4 +262,32 @@ describe('FFmpegOutput', function () {
       ]);
     });
   });
+  describe('option editing', function () {
+    let entity;
+    beforeEach(() => {
+      entity = new FFmpegOutput('/some/file.mp4', new Map([['ss', '10'], ['codec:v', 'libx264'], ['vcodec', 'libx265'], ['t', '5']]));
+    });
+
+    it('gets and checks options by name or alias', function () {
+      expect(entity.getOption('c:v')).to.eql('libx264');
+      expect(entity.hasOption('vcodec')).to.be.true;
+      expect(entity.hasOption('c:a')).to.be.false;
+      expect(entity.getOption('c:a')).to.be.undefined;
+    });
+    it('sets options in place, replacing their aliases', function () {
+      entity.setOption('c:v', 'copy');
+      entity.setOption('ss', 20);
+      expect(entity.toCommandArray().slice(0, 6)).to.eql(['-ss', '20', '-c:v', 'copy', '-t', '5']);
+    });
+    it('adds options that are not set at the end', function () {
+      entity.setOption('an');
+      expect(entity.options.map((o) => o.optionName)).to.eql(['-ss', '-codec:v', '-vcodec', '-t', '-an']);
+      expect(entity.getOption('an')).to.be.null;
+    });
+    it('removes options and their aliases', function () {
+      expect(entity.removeOption('c:v')).to.be.true;
+      expect(entity.removeOption('c:v')).to.be.false;
+      expect(entity.options.map((o) => o.optionName)).to.eql(['-ss', '-t']);
+    });
+  });
 });
@@ -279,6 +279,76 @@ describe('FFmpegProgressEmitter', function () {
       });
     });
 
+    describe('_addEstimates', () => {
+      it('adds a smoothed speed', () => {
+        const first = { speed: '2x' };
+        const second = { speed: '4x' };
+        progress._addEstimates(first, false);
+        progress._addEstimates(second, false);
+        expect(first.smoothedSpeed).to.eql(2);
+        expect(second.smoothedSpeed).to.be.almost(2.6);
+      });
+
+      it('ignores speed values that are not numbers', () => {
+        const data = { speed: 'N/A' };
+        progress._addEstimates(data, false);
+        expect(data).to.eql({ speed: 'N/A' });
+      });
+
+      it('does not add percent or etaSeconds without an expected duration', () => {
+        const data = { out_time_us: 5000000, speed: '1x' };
+        progress._addEstimates(data, false);
+        expect(data).not.to.have.ownProperty('percent');
+        expect(data).not.to.have.ownProperty('etaSeconds');
+      });
+
+      it('adds percent and etaSeconds from the expected duration', () => {
+        progress.expectedDuration = 20;
+        const data = { out_time_us: 5000000, speed: '2x' };
+        progress._addEstimates(data, false);
+        expect(data.percent).to.eql(25);
+        expect(data.etaSeconds).to.eql(7.5);
+      });
+
+      it('falls back to out_time when out_time_us is not a number', () => {
+        progress.expectedDuration = 20;
+        const data = { out_time_us: 'N/A', out_time: '00:00:15.000000' };
+        progress._addEstimates(data, false);
+        expect(data.percent).to.eql(75);
+        expect(data).not.to.have.ownProperty('etaSeconds');
+      });
+
+      it('clamps percent between 0 and 100', () => {
+        progress.expectedDuration = 20;
+        const before = { out_time: '-00:00:01.000000' };
+        const after = { out_time: '00:00:21.000000' };
+        progress._addEstimates(before, false);
+        progress._addEstimates(after, false);
+        expect(before.percent).to.eql(0);
+        expect(after.percent).to.eql(100);
+      });
+
+      it('reports completion on the final update', () => {
+        progress.expectedDuration = 20;
+        const data = { out_time: '00:00:19.960000', speed: '2x' };
+        progress._addEstimates(data, true);
+        expect(data.percent).to.eql(100);
+        expect(data.etaSeconds).to.eql(0);
+      });
+
+      it('is applied to emitted updates', (done) => {
+        progress.expectedDuration = 10;
+        progress.on('update', (data) => {
+          expect(data.percent).to.eql(50);
+          expect(data.etaSeconds).to.eql(5);
+          expect(data.smoothedSpeed).to.eql(1);
+          done();
+        });
+        progress.partialProgressData = { out_time_us: 5000000, speed: '1x' };
+        progress._emitUpdateEvent();
+      });
+    });
+
     describe('_emitUpdateEvent', () => {
       it('should set progressData to partialProgressData', () => {
         const progressData = {
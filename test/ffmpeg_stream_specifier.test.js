@@ -47,6 +47,75 @@ describe('FFmpegStreamSpecifier', () => {
       expect(s2.toString()).to.eql('2:a')
       const s3 = new FFmpegStreamSpecifier(ffmpegInput, 'v:0')
       expect(s3.toString()).to.eql('2:v:0')
+      const s4 = new FFmpegStreamSpecifier(ffmpegInput)
+      expect(s4.toString()).to.eql('2')
+    })
+    it('returns a literal stream specifier as written', () => {
+      const s = new FFmpegStreamSpecifier(null, '[out]')
+      expect(s.entityType).to.eql('Literal')
+      expect(s.toString()).to.eql('[out]')
+    })
+  })
+  describe('builder methods', () => {
+    beforeEach(() => {
+      ffmpegInput.inputLabel = 0
+    })
+    it('select streams by type and index', () => {
+      expect(ffmpegInput.streamSpecifier().audio(1).toString()).to.eql('0:a:1')
+      expect(ffmpegInput.streamSpecifier().video().toString()).to.eql('0:v')
+      expect(ffmpegInput.streamSpecifier().ofType('V', 0).toString()).to.eql('0:V:0')
+      expect(ffmpegInput.streamSpecifier().subtitle().index(2).toString()).to.eql('0:s:2')
+      expect(ffmpegInput.streamSpecifier().attachment().streamType).to.eql('t')
+    })
+    it('select streams by program, stream id, metadata, usability and disposition', () => {
+      expect(ffmpegInput.streamSpecifier().program(1).video().toString()).to.eql('0:p:1:v')
+      expect(ffmpegInput.streamSpecifier().streamId('0x101').toString()).to.eql('0:#0x101')
+      expect(ffmpegInput.streamSpecifier().audio().metadata('language', 'eng').toString()).to.eql('0:a:m:language:eng')
+      expect(ffmpegInput.streamSpecifier().metadata('title').toString()).to.eql('0:m:title')
+      expect(ffmpegInput.streamSpecifier().video().usable().toString()).to.eql('0:v:u')
+      expect(ffmpegInput.streamSpecifier().disposition('default', 'forced').audio().toString()).to.eql('0:disp:default+forced:a')
+    })
+    it('follow stream specifiers given as strings', () => {
+      expect(ffmpegInput.streamSpecifier('p:2').audio(0).toString()).to.eql('0:p:2:a:0')
+      expect(ffmpegInput.streamSpecifier('p:2:a').streamType).to.eql('a')
+    })
+    it('render excluded and optional streams in -map arguments only', () => {
+      const optional = ffmpegInput.streamSpecifier().audio(1).optional()
+      expect(optional.toString()).to.eql('0:a:1')
+      expect(optional.toMapArgument()).to.eql('0:a:1?')
+      expect(ffmpegInput.streamSpecifier().subtitle().exclude().toMapArgument()).to.eql('-0:s')
+    })
+    it('throw for invalid combinations', () => {
+      expect(() => ffmpegInput.streamSpecifier().audio(1).video())
+        .to.throw('Invalid stream specifier: cannot add a stream type after the stream index in 0:a:1')
+      expect(() => ffmpegInput.streamSpecifier().audio().video())
+        .to.throw('Invalid stream specifier: 0:a already has a stream type')
+      expect(() => ffmpegInput.streamSpecifier().program(1).program(2))
+        .to.throw('Invalid stream specifier: 0:p:1 already has a program')
+      expect(() => ffmpegInput.streamSpecifier().metadata('language', 'eng').index(0))
+        .to.throw('cannot add a stream index after the metadata tag in 0:m:language:eng')
+      expect(() => ffmpegInput.streamSpecifier().usable().audio()).to.throw('after the usability check')
+      expect(() => ffmpegInput.streamSpecifier().audio().exclude().optional())
+        .to.throw('Invalid stream specifier: 0:a cannot be both excluded and optional')
+    })
+    it('throw for invalid values', () => {
+      expect(() => ffmpegInput.streamSpecifier().ofType('x')).to.throw('Invalid stream type \'x\'')
+      expect(() => ffmpegInput.streamSpecifier().audio(-1)).to.throw('Invalid stream index -1')
+      expect(() => ffmpegInput.streamSpecifier().program('one')).to.throw('Invalid program id')
+      expect(() => ffmpegInput.streamSpecifier().streamId('a:b')).to.throw('Invalid stream id')
+      expect(() => ffmpegInput.streamSpecifier().metadata('a:b')).to.throw('Invalid metadata key')
+      expect(() => ffmpegInput.streamSpecifier().disposition()).to.throw('Invalid dispositions')
+    })
+    it('only apply to input streams', () => {
+      expect(() => new FFmpegStreamSpecifier(filterChain, 0).audio())
+        .to.throw('Invalid stream specifier: cannot add a stream type to [chain0_split_0], only to the streams of an input')
+      expect(() => new FFmpegStreamSpecifier(null, '[out]').optional())
+        .to.throw('Invalid stream specifier: only the streams of an input can be optional, not [out]')
+    })
+    it('cannot be used as filter chain inputs when excluded or optional', () => {
+      const chain = new FilterChain([new FilterNode('hflip')])
+      expect(() => chain.addInput(ffmpegInput.streamSpecifier().video().optional()))
+        .to.throw('Invalid inputs specified: excluded and optional streams can only be mapped to outputs')
     })
   })
 });
@@ -0,0 +1,125 @@
+const chai = require('chai'),
+  expect = chai.expect,
+  chaiAsPromised = require('chai-as-promised'),
+  sinon = require('sinon'),
+  fs = require('fs'),
+  path = require('path'),
+  childProcess = require('child_process'),
+  { PassThrough } = require('stream');
+
+chai.use(chaiAsPromised);
+
+const FFprobe = require('../lib/ffprobe');
+const FFmpegInput = require('../lib/ffmpeg_input');
+const FilterNode = require('../lib/filter_node');
+const FFmpegError = require('../lib/ffmpeg_error');
+const config = require('../lib/util/config')();
+
+const ffprobeOutputFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'ffprobe-output.json'), 'utf8');
+
+describe('FFprobe', function () {
+  it('creates an FFprobe object from a url', function () {
+    const probe = new FFprobe('/some/file.mp4');
+    expect(probe).to.be.instanceof(FFprobe);
+    expect(probe.url).to.eql('/some/file.mp4');
+  });
+  it('creates an FFprobe object from an FFmpegInput, keeping only its format option', function () {
+    const input = new FFmpegInput('/some/file.raw', { f: 'rawvideo', re: null });
+    const probe = new FFprobe(input);
+    expect(probe.url).to.eql('/some/file.raw');
+    expect(probe.format).to.eql('rawvideo');
+  });
+  it('requires a url string or an FFmpegInput', function () {
+    expect(() => new FFprobe()).to.throw();
+    expect(() => new FFprobe({ url: '/some/file.mp4' })).to.throw();
+  });
+  it('rejects FFmpegInputs piped from a stream or made from a filter object', function () {
+    expect(() => new FFprobe(new FFmpegInput(new PassThrough()))).to.throw('Invalid arguments: cannot probe an FFmpegInput piped from a stream');
+    expect(() => new FFprobe(new FFmpegInput(new FilterNode('testsrc'), { f: 'lavfi' })))
+      .to.throw('Invalid arguments: cannot probe an FFmpegInput made from a filter object');
+  });
+  it('generates the correct command', function () {
+    const probe = new FFprobe(new FFmpegInput('/some/file.raw', { f: 'rawvideo' }));
+    expect(probe.toCommand()).to.eql({
+      command: config.ffprobe_bin,
+      args: [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', '-show_chapters',
+        '-f', 'rawvideo', '/some/file.raw'
+      ],
+      optionIndexes: [0, 2, 4, 5, 6, 7]
+    });
+    expect(probe.toString()).to.eql(`${config.ffprobe_bin} -v 'error' -print_format 'json' -show_format -show_streams -show_chapters -f 'rawvideo' '/some/file.raw'`);
+  });
+  describe('parseOutput()', function () {
+    let result;
+    beforeEach(() => {
+      result = FFprobe.parseOutput(ffprobeOutputFixture);
+    });
+
+    it('parses numbers and durations in the format', function () {
+      expect(result.format.duration).to.eql(10.01);
+      expect(result.format.start_time).to.eql(0);
+      expect(result.format.size).to.eql(6417810);
+      expect(result.format.bit_rate).to.eql(5129119);
+      expect(result.format.nb_streams).to.eql(2);
+      expect(result.format.filename).to.eql('/some/file.mp4');
+      expect(result.format.tags).to.eql({ major_brand: 'isom', encoder: 'Lavf58.76.100' });
+    });
+    it('parses rationals, numbers and durations in the streams', function () {
+      const [video, audio] = result.streams;
+      expect(video.r_frame_rate.num).to.eql(30000);
+      expect(video.r_frame_rate.den).to.eql(1001);
+      expect(video.r_frame_rate.value).to.be.almost(29.97002997);
+      expect(video.time_base).to.eql({ num: 1, den: 30000, value: 1 / 30000 });
+      expect(video.display_aspect_ratio).to.eql({ num: 16, den: 9, value: 16 / 9 });
+      expect(video.duration).to.eql(10.01);
+      expect(video.nb_frames).to.eql(300);
+      expect(video.bits_per_raw_sample).to.eql(8);
+      expect(video.codec_tag).to.eql('0x31637661');
+      expect(video.disposition).to.eql({ default: 1, dub: 0 });
+      expect(audio.sample_rate).to.eql(48000);
+      expect(audio.r_frame_rate).to.eql({ num: 0, den: 0, value: null });
+      expect(audio.max_bit_rate).to.be.null;
+    });
+    it('parses the chapters', function () {
+      expect(result.chapters).to.eql([{
+        id: 0,
+        time_base: { num: 1, den: 1000, value: 0.001 },
+        start: 0,
+        start_time: 0,
+        end: 5000,
+        end_time: 5,
+        tags: { title: 'Intro' }
+      }]);
+    });
+    it('handles output without chapters', function () {
+      expect(FFprobe.parseOutput('{}')).to.eql({ format: {}, streams: [], chapters: [] });
+    });
+  });
+  describe('probe()', function () {
+    it('resolves with the parsed ffprobe output', function () {
+      sinon.stub(childProcess, 'execFile').yields(null, ffprobeOutputFixture, '');
+      const probe = new FFprobe('/some/file.mp4');
+      return probe.probe().then((result) => {
+        const [command, args] = childProcess.execFile.firstCall.args;
+        expect(command).to.eql(config.ffprobe_bin);
+        expect(args).to.eql(probe.toCommand().args);
+        expect(result).to.eql(FFprobe.parseOutput(ffprobeOutputFixture));
+      });
+    });
+    it('rejects with an FFmpegError when ffprobe fails', function () {
+      const err = new Error('Command failed: ffprobe\n/some/file.mp4: No such file or directory\n');
+      err.code = 1;
+      sinon.stub(childProcess, 'execFile').yields(err, '', '');
+      return expect(FFprobe.probe('/some/file.mp4')).to.be.rejectedWith(FFmpegError, '/some/file.mp4: No such file or directory')
+        .then((error) => {
+          expect(error.cmd).to.eql(new FFprobe('/some/file.mp4').toString());
+          expect(error.code).to.eql(1);
+        });
+    });
+    it('rejects with an FFmpegError when the output is not valid JSON', function () {
+      sinon.stub(childProcess, 'execFile').yields(null, 'not json', '');
+      return expect(FFprobe.probe('/some/file.mp4')).to.be.rejectedWith(FFmpegError, 'Unable to parse ffprobe output');
+    });
+  });
+});
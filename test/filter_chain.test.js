@@ -82,6 +82,67 @@ describe('FilterChain', () => {
       expect(streamSpecifier).to.be.instanceof(FFmpegStreamSpecifier);
       expect(streamSpecifier.specifier).to.eql('1');
     });
+
+    it('returns the specifier for an output pad index, once per pad', () => {
+      const fc = new FilterChain([new FilterNode('split', [3])]);
+      const second = fc.streamSpecifier(1);
+      expect(second.specifier).to.eql('1');
+      expect(fc.streamSpecifier(1)).to.equal(second);
+      expect(fc.streamSpecifier().specifier).to.eql('0');
+      expect(fc.streamSpecifier().specifier).to.eql('2');
+    });
+
+    it('returns a specifier using a label, once per label', () => {
+      const fc = new FilterChain([new FilterNode('asplit')]);
+      const left = fc.streamSpecifier('left');
+      expect(left.specifier).to.eql('0');
+      expect(left.toString()).to.eql('[left]');
+      expect(fc.streamSpecifier('left')).to.equal(left);
+      expect(fc.streamSpecifier('right').toString()).to.eql('[right]');
+    });
+
+    it('rejects pads beyond the number of outputs of the filter', () => {
+      const fc = new FilterChain([new FilterNode('split', { outputs: 3 })]);
+      expect(() => fc.streamSpecifier(3)).to.throw('Invalid output pad 3: filter split has 3 output pads');
+      fc.streamSpecifier('a');
+      fc.streamSpecifier('b');
+      fc.streamSpecifier('c');
+      expect(() => fc.streamSpecifier('d')).to.throw('filter split has 3 output pads');
+    });
+
+    it('rejects invalid indexes and labels', () => {
+      const fc = new FilterChain(nodes);
+      expect(() => fc.streamSpecifier(-1)).to.throw('Invalid output pad -1');
+      expect(() => fc.streamSpecifier(1.5)).to.throw('Invalid output pad 1.5');
+      expect(() => fc.streamSpecifier('')).to.throw('Invalid output pad label');
+      expect(() => fc.streamSpecifier('a]b')).to.throw('Invalid output pad label');
+    });
+  });
+
+  describe('checkOutputPads()', () => {
+    it('reports output pads of fan-out filters that are not used', () => {
+      const fc = new FilterChain([new FilterNode('channelsplit', { channel_layout: '5.1' })]);
+      fc.streamSpecifier(0);
+      fc.streamSpecifier(5);
+      expect(fc.checkOutputPads()).to.eql([1, 2, 3, 4].map((i) => `output pad ${i} of filter "channelsplit" is not used`));
+    });
+
+    it('reports gaps before the last requested pad of other filters', () => {
+      const fc = new FilterChain([new FilterNode('customsplit')]);
+      expect(fc.checkOutputPads()).to.eql([]);
+      fc.streamSpecifier(1);
+      expect(fc.checkOutputPads()).to.eql(['output pad 0 of filter "customsplit" is not used']);
+      fc.streamSpecifier(0);
+      expect(fc.checkOutputPads()).to.eql([]);
+    });
+
+    it('is used by validate() without a filter registry', () => {
+      const fc = new FilterChain([new FilterNode('split')]);
+      fc.streamSpecifier('a');
+      expect(() => fc.validate()).to.throw('Invalid filter chain split[a]: output pad 1 of filter "split" is not used');
+      fc.streamSpecifier('b');
+      expect(fc.validate()).to.equal(fc);
+    });
   });
 
   describe('getOutputPad()', () => {
@@ -139,6 +200,12 @@ describe('FilterChain', () => {
       const expected = `[1:v]${cropFilter.toString()},${vflipFilter.toString()},${splitFilter.toString()}`
       expect(fc.toString()).to.eql(expected);
     });
+    it('writes output pads in order, with generated labels for pads not requested', () => {
+      const fc = new FilterChain([new FilterNode('split', [3])]);
+      fc.streamSpecifier(2);
+      fc.streamSpecifier('first');
+      expect(fc.toString()).to.eql('split=3[first][chain0_split_1][chain0_split_2]');
+    });
   });
 
   describe('example filter graphs from real use', function () {
@@ -64,6 +64,18 @@ describe('FilterGraph', function () {
       fg.addFilterChain(videoFilters);
       expect(videoFilters.filterGraph).to.eql(fg);
     });
+    it('fails on output pad labels used by another chain', () => {
+      const fg = new FilterGraph();
+      videoFilters.streamSpecifier('out');
+      fg.addFilterChain(videoFilters);
+      audioFilters.streamSpecifier('out');
+      expect(() => fg.addFilterChain(audioFilters)).to.throw('Invalid output pad label \'out\': already used by chain 0 of the filter graph');
+      expect(fg.chains.length).to.eql(1);
+      const chain = new FilterChain([new FilterNode('hflip')]);
+      fg.addFilterChain(chain);
+      expect(() => chain.streamSpecifier('out')).to.throw('already used by chain 0');
+      expect(videoFilters.streamSpecifier('out')).to.equal(videoFilters.streamSpecifiers[0]);
+    });
   })
   describe('toString()', () => {
     it('returns the correct string representation', () => {
@@ -103,4 +115,132 @@ describe('FilterGraph', function () {
       expect(graph.toString()).to.eql('vflip[chain0_vflip_0];[chain0_vflip_0]vflip[chain1_vflip_0]');
     });
   });
+
+  describe('toDot() and toMermaid()', () => {
+    let graph;
+    beforeEach(() => {
+      const input = new FFmpegInput('in.mov');
+      input.inputLabel = 0;
+      graph = FilterGraph.parse('[0:v]scale=640:360,split[a][b];[a]drawtext=text=say "hi"[out];[b][logo]overlay', [input]);
+    });
+
+    it('draws filters, links, input streams and unused pads as a DOT digraph', () => {
+      expect(graph.toDot()).to.eql([
+        'digraph filtergraph {',
+        '  rankdir=LR;',
+        '  chain0_0 [label="scale=640:360", shape=box];',
+        '  chain0_1 [label="split", shape=box];',
+        '  chain1_0 [label="drawtext=text=say \\"hi\\"", shape=box];',
+        '  chain2_0 [label="overlay", shape=box];',
+        '  stream_0_v [label="0:v", shape=ellipse];',
+        '  pad__logo_ [label="[logo]", shape=plaintext];',
+        '  pad__out_ [label="[out]", shape=plaintext];',
+        '  chain0_0 -> chain0_1;',
+        '  stream_0_v -> chain0_0 [label="0:v"];',
+        '  chain0_1 -> chain1_0 [label="[a]"];',
+        '  chain0_1 -> chain2_0 [label="[b]"];',
+        '  pad__logo_ -> chain2_0 [label="[logo]"];',
+        '  chain1_0 -> pad__out_;',
+        '}',
+        ''
+      ].join('\n'));
+    });
+    it('draws the same diagram as a Mermaid flowchart', () => {
+      expect(graph.toMermaid()).to.eql([
+        'flowchart LR',
+        '  chain0_0["scale=640:360"]',
+        '  chain0_1["split"]',
+        '  chain1_0["drawtext=text=say #quot;hi#quot;"]',
+        '  chain2_0["overlay"]',
+        '  stream_0_v(["0:v"])',
+        '  pad__logo_>"[logo]"]',
+        '  pad__out_>"[out]"]',
+        '  chain0_0 --> chain0_1',
+        '  stream_0_v -->|"0:v"| chain0_0',
+        '  chain0_1 -->|"[a]"| chain1_0',
+        '  chain0_1 -->|"[b]"| chain2_0',
+        '  pad__logo_ -->|"[logo]"| chain2_0',
+        '  chain1_0 --> pad__out_',
+        ''
+      ].join('\n'));
+    });
+    it('uses generated pad labels', () => {
+      const chain = new FilterChain([new FilterNode('hflip')]);
+      const fg = new FilterGraph();
+      fg.addFilterChain(chain);
+      chain.streamSpecifier();
+      expect(fg.toMermaid()).to.contain('  chain0_0 --> pad__chain0_hflip_0_\n');
+    });
+    it('gives labels with the same identifier nodes of their own', () => {
+      const fg = FilterGraph.parse('[a-b][a_b]hstack');
+      expect(fg.toMermaid()).to.contain('  pad__a_b_>"[a-b]"]\n  pad__a_b__1>"[a_b]"]\n');
+      expect(fg.toMermaid()).to.contain('  pad__a_b__1 -->|"[a_b]"| chain0_0\n');
+    });
+  });
+
+  describe('parse()', () => {
+    it('parses chains, filters, arguments and link labels', () => {
+      const str = '[0:v]scale=w=1280:h=-1,split[a][b];[a]crop=iw/2:ih:0:0[left];[b]hflip[right];[left][right]hstack[out]';
+      const fg = FilterGraph.parse(str);
+      expect(fg.chains.length).to.eql(4);
+      const [first, crop, hflip, hstack] = fg.chains;
+      expect(first.nodes.map((n) => n.filterName)).to.eql(['scale', 'split']);
+      expect(first.nodes[0].args).to.eql([{ w: '1280', h: '-1' }]);
+      expect(crop.nodes[0].args).to.eql(['iw/2', 'ih', '0', '0']);
+      expect(first.inputs[0].entityType).to.eql('Literal');
+      expect(first.streamSpecifiers.map((s) => s.label)).to.eql(['a', 'b']);
+      expect(crop.inputs[0]).to.equal(first.streamSpecifiers[0]);
+      expect(hstack.inputs).to.eql([crop.streamSpecifiers[0], hflip.streamSpecifiers[0]]);
+      expect(hstack.streamSpecifiers[0].toString()).to.eql('[out]');
+      expect(fg.toString()).to.eql(str);
+    });
+    it('links input stream labels to the given inputs', () => {
+      video.inputLabel = 0;
+      const fg = FilterGraph.parse('[0:v]scale=640:-1', [video]);
+      expect(fg.chains[0].inputs[0].entity).to.equal(video);
+      expect(fg.toString()).to.eql('[0:v]scale=640:-1');
+    });
+    it('unescapes argument values', () => {
+      const str = 'drawtext=text=it\\\\\\\'s 10\\\\:00\\, \\[live\\]:x=10,subtitles=filename=C\\\\:/subs.srt,select=eq(n\\,0)';
+      const fg = FilterGraph.parse(str);
+      expect(fg.chains.length).to.eql(1);
+      expect(fg.chains[0].nodes[0].args).to.eql([{ text: 'it\'s 10:00, [live]', x: '10' }]);
+      expect(fg.chains[0].nodes[1].args).to.eql([{ filename: 'C:/subs.srt' }]);
+      expect(fg.chains[0].nodes[2].args).to.eql(['eq(n,0)']);
+      expect(fg.toString()).to.eql(str);
+    });
+    it('unescapes quoted values, escaping them again in toString()', () => {
+      const fg = FilterGraph.parse('drawtext=text=\'Hello, World\\: 1\':fontsize=24,drawtext=text=\'Hello, world; [1]\':x=10');
+      expect(fg.chains[0].nodes[0].args).to.eql([{ text: 'Hello, World: 1', fontsize: '24' }]);
+      expect(fg.chains[0].nodes[1].args).to.eql([{ text: 'Hello, world; [1]', x: '10' }]);
+      expect(fg.toString()).to.eql('drawtext=text=Hello\\, World\\\\: 1:fontsize=24,drawtext=text=Hello\\, world\\; \\[1\\]:x=10');
+      expect(FilterGraph.parse(fg.toString()).chains[0].nodes.map((n) => n.args)).to.eql(fg.chains[0].nodes.map((n) => n.args));
+    });
+    it('allows whitespace between elements', () => {
+      expect(FilterGraph.parse(' [in] scale=640:-1 , vflip [out] ;\n nullsrc ').toString())
+        .to.eql('[in]scale=640:-1,vflip[out];nullsrc');
+    });
+    it('ignores whitespace around filter names, keys and unquoted values', () => {
+      expect(FilterGraph.parse('scale = 1280:720').chains[0].nodes[0].args).to.eql(['1280', '720']);
+      const fg = FilterGraph.parse('[in] scale =w=1: h = 2 , hflip [out]');
+      expect(fg.chains[0].nodes.map((n) => n.filterName)).to.eql(['scale', 'hflip']);
+      expect(fg.chains[0].nodes[0].args).to.eql([{ w: '1', h: '2' }]);
+      expect(fg.toString()).to.eql('[in]scale=w=1:h=2,hflip[out]');
+      expect(FilterGraph.parse('drawtext=text=\' a \':x=1\\ ').chains[0].nodes[0].args).to.eql([{ text: ' a ', x: '1 ' }]);
+    });
+    it('can be modified and rendered again', () => {
+      const fg = FilterGraph.parse('[0:v]scale=w=1280:h=720[out]');
+      fg.chains[0].nodes[0].args = [{ w: 640, h: 360 }];
+      expect(fg.toString()).to.eql('[0:v]scale=w=640:h=360[out]');
+    });
+    it('throws on invalid filter graphs', () => {
+      expect(() => FilterGraph.parse('')).to.throw(/no filters found/);
+      expect(() => FilterGraph.parse('drawtext=text=\'oops')).to.throw(/unterminated quote/);
+      expect(() => FilterGraph.parse('[in scale')).to.throw(/unterminated link label/);
+      expect(() => FilterGraph.parse('scale=640:-1[a],vflip')).to.throw(/start and end of a filter chain/);
+      expect(() => FilterGraph.parse('split[a];split[a]')).to.throw(/used more than once/);
+      expect(() => FilterGraph.parse('scale=w=640:-1')).to.throw(/positional argument/);
+      expect(() => FilterGraph.parse('[a]sc ale')).to.throw(/invalid filter name/);
+    });
+  });
 });
@@ -4,6 +4,7 @@ const chai = require('chai'),
   sinon = require('sinon');
 
 const FilterNode = require('../lib/filter_node');
+const FilterChain = require('../lib/filter_chain');
 
 describe('FilterNode', function () {
   let filterName, filterArgs;
@@ -36,6 +37,35 @@ describe('FilterNode', function () {
     expect(f.toString()).to.deep.eql('crop=100:100:x=12:y=34');
   });
 
+  describe('escaping', () => {
+    const text = 'this is a \'string\': may contain one, or more, special characters';
+    it('escapes argument values as filter option values', () => {
+      const f = new FilterNode('drawtext', { text: text });
+      expect(f.toString()).to.eql('drawtext=text=this is a \\\'string\\\'\\: may contain one, or more, special characters');
+    });
+    it('also escapes argument values for the filter graph within one', () => {
+      const f = new FilterNode('drawtext', { text: text });
+      expect(f.toFilterGraphString()).to.eql('drawtext=text=this is a \\\\\\\'string\\\\\\\'\\\\: may contain one\\, or more\\, special characters');
+      const chain = new FilterChain([new FilterNode('subtitles', { filename: 'C:\\subs\\[en].srt' }), new FilterNode('crop', ['iw', 'ih/2'])]);
+      expect(chain.toString()).to.eql('subtitles=filename=C\\\\:\\\\\\\\subs\\\\\\\\\\[en\\].srt,crop=iw:ih/2');
+    });
+    it('escapes each value of array-valued arguments', () => {
+      const f = new FilterNode('aevalsrc', [['sin(440*2*PI*t)', 'if(lt(t,1),0,1)']]);
+      expect(f.toFilterGraphString()).to.eql('aevalsrc=sin(440*2*PI*t)|if(lt(t\\,1)\\,0\\,1)');
+    });
+    it('escapes leading and trailing whitespace, which ffmpeg would otherwise trim', () => {
+      const f = new FilterNode('drawtext', { text: ' hi ' });
+      expect(f.toString()).to.eql('drawtext=text=\\ hi\\ ');
+      expect(f.toFilterGraphString()).to.eql('drawtext=text=\\\\ hi\\\\\\ ');
+    });
+    it('writes raw values as is', () => {
+      const f = new FilterNode('select', [FilterNode.raw('\'eq(pict_type\\,I)\'')]);
+      expect(f.toString()).to.eql('select=\'eq(pict_type\\,I)\'');
+      expect(f.toFilterGraphString()).to.eql('select=\'eq(pict_type\\,I)\'');
+      const kv = new FilterNode('drawtext', { text: FilterNode.raw('%{pts\\:hms}') });
+      expect(kv.toFilterGraphString()).to.eql('drawtext=text=%{pts\\:hms}');
+    });
+  });
   describe('getOutputPad', () => {
     it('should return a string based on the filterName and specifier provided', () => {
       const node = new FilterNode('yadif');
@@ -43,4 +73,37 @@ describe('FilterNode', function () {
       expect(node.getOutputPad(3)).to.eql('yadif_3');
     });
   });
+  describe('outputPadCount()', function () {
+    it('counts the outputs of split and asplit', function () {
+      expect(new FilterNode('split').outputPadCount()).to.eql(2);
+      expect(new FilterNode('split', [4]).outputPadCount()).to.eql(4);
+      expect(new FilterNode('asplit@fan', { outputs: 3 }).outputPadCount()).to.eql(3);
+    });
+    it('counts the channels of channelsplit', function () {
+      expect(new FilterNode('channelsplit').outputPadCount()).to.eql(2);
+      expect(new FilterNode('channelsplit', ['5.1']).outputPadCount()).to.eql(6);
+      expect(new FilterNode('channelsplit', { channel_layout: 'FL+FR+LFE' }).outputPadCount()).to.eql(3);
+      expect(new FilterNode('channelsplit', { channel_layout: '5.1', channels: 'FL+FR' }).outputPadCount()).to.eql(2);
+      expect(new FilterNode('channelsplit', ['22.2']).outputPadCount()).to.be.undefined;
+    });
+    it('counts the segments of segment and asegment', function () {
+      expect(new FilterNode('asegment', { timestamps: '60|150' }).outputPadCount()).to.eql(3);
+      expect(new FilterNode('asegment', { samples: [100, 200, 300] }).outputPadCount()).to.eql(4);
+      expect(new FilterNode('segment', ['2']).outputPadCount()).to.eql(2);
+      expect(new FilterNode('segment').outputPadCount()).to.be.undefined;
+    });
+    it('does not know the outputs of other filters', function () {
+      expect(new FilterNode('hflip').outputPadCount()).to.be.undefined;
+    });
+  });
+  describe('toJSON() and fromJSON()', function () {
+    it('round-trips the filter name and arguments, including raw values', function () {
+      const node = new FilterNode('drawtext', [{ text: FilterNode.raw('\'a\\,b\''), x: 10, fontcolor: ['white', 'black'] }]);
+      const copy = FilterNode.fromJSON(JSON.parse(JSON.stringify(node)));
+      expect(copy).to.be.instanceof(FilterNode);
+      expect(copy.args[0].text).to.be.instanceof(FilterNode.raw('').constructor);
+      expect(copy.toFilterGraphString()).to.eql(node.toFilterGraphString());
+      expect(JSON.parse(JSON.stringify(new FilterNode('scale', { w: 640 })))).to.eql({ filterName: 'scale', args: { w: 640 } });
+    });
+  });
 });
@@ -0,0 +1,233 @@
+const chai = require('chai'),
+  expect = chai.expect,
+  chaiAsPromised = require('chai-as-promised'),
+  sinon = require('sinon'),
+  fs = require('fs'),
+  path = require('path'),
+  childProcess = require('child_process');
+
+chai.use(chaiAsPromised);
+
+const FilterRegistry = require('../lib/filter_registry');
+const FilterNode = require('../lib/filter_node');
+const FilterChain = require('../lib/filter_chain');
+const FFmpegInput = require('../lib/ffmpeg_input');
+const FFmpegError = require('../lib/ffmpeg_error');
+const suggest = require('../lib/util/suggest');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const filtersJSON = require('./fixtures/ffmpeg-filters.json');
+
+describe('FilterRegistry', function () {
+  let registry;
+  beforeEach(() => {
+    registry = FilterRegistry.fromJSON(JSON.parse(JSON.stringify(filtersJSON)));
+  });
+
+  describe('parseFilterList()', function () {
+    it('parses the flags, pads and description of each filter', function () {
+      const filters = FilterRegistry.parseFilterList(fixture('ffmpeg-filters.out'));
+      expect(filters.overlay).to.eql({
+        name: 'overlay',
+        description: 'Overlay a video source on top of the input.',
+        timelineSupport: true,
+        sliceThreading: true,
+        commandSupport: true,
+        inputs: ['video', 'video'],
+        outputs: ['video']
+      });
+      expect(filters.amix.inputs).to.eql('dynamic');
+      expect(filters.asplit.outputs).to.eql('dynamic');
+      expect(filters.anullsrc.inputs).to.eql([]);
+      expect(filters.nullsink.outputs).to.eql([]);
+    });
+    it('skips the legend', function () {
+      const filters = FilterRegistry.parseFilterList(fixture('ffmpeg-filters.out'));
+      expect(Object.keys(filters)).to.have.lengthOf(25);
+      expect(filters).not.to.have.property('A');
+    });
+  });
+
+  describe('parseFilterHelp()', function () {
+    it('parses the pads and options of a filter', function () {
+      const info = FilterRegistry.parseFilterHelp(fixture('ffmpeg-h-filter-scale.out'));
+      expect(info.inputs).to.eql(['video']);
+      expect(info.outputs).to.eql(['video']);
+      expect(info.options.w).to.include({ type: 'string' });
+      expect(info.options).to.have.property('flags');
+    });
+    it('parses dynamic and source pads', function () {
+      expect(FilterRegistry.parseFilterHelp(fixture('ffmpeg-h-filter-split.out')).outputs).to.eql('dynamic');
+      expect(FilterRegistry.parseFilterHelp(fixture('ffmpeg-h-filter-nullsrc.out')).inputs).to.eql([]);
+    });
+    it('merges options listed in several sections and notes timeline support', function () {
+      const info = FilterRegistry.parseFilterHelp(fixture('ffmpeg-h-filter-overlay.out'));
+      expect(info.timelineSupport).to.be.true;
+      expect(info.options.eof_action.values).to.eql(['repeat', 'endall', 'pass']);
+      expect(info.options.repeatlast.description).to.eql('repeat overlay of the last overlay frame (default true)');
+    });
+  });
+
+  describe('load()', function () {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('runs ffmpeg -filters once per binary', function () {
+      sinon.stub(childProcess, 'execFile').yields(null, fixture('ffmpeg-filters.out'), '');
+      return FilterRegistry.load('/test/load/ffmpeg')
+        .then((loaded) => {
+          expect(loaded).to.be.instanceof(FilterRegistry);
+          expect(loaded.ffmpegBin).to.eql('/test/load/ffmpeg');
+          expect(loaded.has('overlay')).to.be.true;
+          expect(childProcess.execFile.firstCall.args.slice(0, 2)).to.eql(['/test/load/ffmpeg', ['-hide_banner', '-filters']]);
+          return FilterRegistry.load('/test/load/ffmpeg');
+        })
+        .then(() => {
+          expect(childProcess.execFile.callCount).to.eql(1);
+        });
+    });
+    it('rejects with an FFmpegError and does not cache the failure', function () {
+      const err = new Error('spawn /test/missing/ffmpeg ENOENT');
+      sinon.stub(childProcess, 'execFile').yields(err, '', '');
+      return expect(FilterRegistry.load('/test/missing/ffmpeg')).to.be.rejectedWith(FFmpegError)
+        .then(() => {
+          childProcess.execFile.yields(null, fixture('ffmpeg-filters.out'), '');
+          return FilterRegistry.load('/test/missing/ffmpeg');
+        })
+        .then((loaded) => {
+          expect(loaded.has('scale')).to.be.true;
+        });
+    });
+    it('loads filter details with ffmpeg -h filter=NAME', function () {
+      sinon.stub(childProcess, 'execFile').callsFake((bin, args, opts, callback) => {
+        callback(null, fixture(`ffmpeg-h-filter-${args[2].split('=')[1]}.out`), '');
+      });
+      const loading = new FilterRegistry(FilterRegistry.parseFilterList(fixture('ffmpeg-filters.out')), '/test/details/ffmpeg');
+      return loading.loadDetails(['scale', 'split'])
+        .then((loaded) => {
+          expect(loaded).to.equal(loading);
+          expect(childProcess.execFile.firstCall.args[1]).to.eql(['-hide_banner', '-h', 'filter=scale']);
+          expect(loaded.get('scale').options).to.have.property('w');
+          expect(loaded.get('scale').description).to.eql('Scale the input video size and/or convert the image format.');
+          expect(loaded.get('split').options).to.have.property('outputs');
+          expect(loaded.get('crop').options).to.be.undefined;
+        });
+    });
+  });
+
+  describe('JSON snapshots', function () {
+    it('round-trips through toJSON() and fromJSON()', function () {
+      const copy = FilterRegistry.fromJSON(JSON.stringify(registry));
+      expect(copy.filters).to.eql(registry.filters);
+    });
+  });
+
+  describe('checkNode()', function () {
+    it('accepts known filters and options, with or without an instance id', function () {
+      expect(registry.checkNode(new FilterNode('scale', { w: 1280, h: 720 }))).to.eql([]);
+      expect(registry.checkNode(new FilterNode('overlay@logo', [10, 10, { enable: 'gte(t,1)' }]))).to.eql([]);
+    });
+    it('reports unknown filters with the nearest filter name', function () {
+      expect(registry.checkNode(new FilterNode('scael', [1280, 720])))
+        .to.eql(['unknown filter "scael" (did you mean "scale"?)']);
+      expect(registry.checkNode(new FilterNode('frobnicate'))).to.eql(['unknown filter "frobnicate"']);
+    });
+    it('reports unknown options with the nearest option name', function () {
+      expect(registry.checkNode(new FilterNode('scale', { widht: 1280 })))
+        .to.eql(['unknown option "widht" for filter "scale" (did you mean "width"?)']);
+    });
+    it('reports too many positional arguments', function () {
+      expect(registry.checkNode(new FilterNode('split', [2, 3])))
+        .to.eql(['filter "split" takes at most 1 arguments, got 2']);
+    });
+    it('counts options with several names once', function () {
+      const sizes = [1280, 720, 'bicubic', 0, '1280x720', 'disable', 2];
+      expect(registry.checkNode(new FilterNode('scale', sizes.concat(['init'])))).to.eql([]);
+      expect(registry.checkNode(new FilterNode('scale', sizes.concat(['init', 1]))))
+        .to.eql(['filter "scale" takes at most 8 arguments, got 9']);
+    });
+    it('does not check options of filters without details', function () {
+      expect(registry.checkNode(new FilterNode('crop', { anything: 1 }))).to.eql([]);
+    });
+  });
+
+  describe('checkChain()', function () {
+    it('accepts valid chains', function () {
+      const input = new FFmpegInput('in.mp4');
+      const chain = new FilterChain([new FilterNode('scale', [640, 360]), new FilterNode('hflip')]);
+      chain.addInput(input.streamSpecifier('v'));
+      chain.streamSpecifier();
+      expect(registry.checkChain(chain)).to.eql([]);
+    });
+    it('reports pad type mismatches between filters', function () {
+      const chain = new FilterChain([new FilterNode('scale', [640, 360]), new FilterNode('volume', [0.5])]);
+      expect(registry.checkChain(chain)).to.eql(['filter "scale" outputs video, but "volume" expects audio']);
+    });
+    it('reports sources and multiple outputs in the middle of a chain', function () {
+      const source = new FilterChain([new FilterNode('hflip'), new FilterNode('nullsrc')]);
+      expect(registry.checkChain(source)).to.eql(['source filter "nullsrc" cannot follow "hflip" in a chain']);
+      const sink = new FilterChain([new FilterNode('nullsink'), new FilterNode('hflip')]);
+      expect(registry.checkChain(sink)).to.eql(['filter "nullsink" has 0 outputs, so it cannot be followed by "hflip" in a chain']);
+    });
+    it('reports input counts and types not matching the first filter', function () {
+      const input = new FFmpegInput('in.mp4');
+      const chain = new FilterChain([new FilterNode('hflip')]);
+      chain.addInputs([input.streamSpecifier('a'), input.streamSpecifier('v')]);
+      const problems = registry.checkChain(chain);
+      expect(problems).to.have.lengthOf(2);
+      expect(problems[0]).to.eql('filter "hflip" has 1 inputs, but the chain has 2');
+      expect(problems[1]).to.match(/^input 0 of filter "hflip" expects video, but is given audio/);
+    });
+    it('checks the type of inputs from other chains', function () {
+      const audio = new FilterChain([new FilterNode('anullsrc')]);
+      const chain = new FilterChain([new FilterNode('hflip')]);
+      chain.addInput(audio.streamSpecifier());
+      expect(registry.checkChain(chain)).to.have.lengthOf(1);
+      expect(registry.checkChain(chain)[0]).to.match(/^input 0 of filter "hflip" expects video, but is given audio/);
+    });
+    it('reports more outputs used than the last filter has', function () {
+      const chain = new FilterChain([new FilterNode('hflip')]);
+      chain.streamSpecifier();
+      chain.streamSpecifier();
+      expect(registry.checkChain(chain)).to.eql(['filter "hflip" has 1 outputs, but 2 are used']);
+    });
+    it('does not count dynamic pads', function () {
+      const chain = new FilterChain([new FilterNode('split', [3])]);
+      chain.streamSpecifier();
+      chain.streamSpecifier();
+      chain.streamSpecifier();
+      expect(registry.checkChain(chain)).to.eql([]);
+    });
+  });
+
+  describe('FilterNode#validate() and FilterChain#validate()', function () {
+    it('return the node or chain when valid', function () {
+      const node = new FilterNode('hflip');
+      const chain = new FilterChain([node]);
+      expect(node.validate(registry)).to.equal(node);
+      expect(chain.validate(registry)).to.equal(chain);
+    });
+    it('throw with the problems found', function () {
+      expect(() => new FilterNode('scael').validate(registry))
+        .to.throw('Invalid filter scael: unknown filter "scael" (did you mean "scale"?)');
+      expect(() => new FilterChain([new FilterNode('scale', [640, 360]), new FilterNode('volume', [0.5])]).validate(registry))
+        .to.throw('Invalid filter chain scale=640:360,volume=0.5: filter "scale" outputs video, but "volume" expects audio');
+    });
+  });
+});
+
+describe('suggest', function () {
+  it('computes edit distances', function () {
+    expect(suggest.editDistance('scale', 'scale')).to.eql(0);
+    expect(suggest.editDistance('scael', 'scale')).to.eql(1);
+    expect(suggest.editDistance('kitten', 'sitting')).to.eql(3);
+    expect(suggest.editDistance('', 'abc')).to.eql(3);
+  });
+  it('suggests only close candidates', function () {
+    expect(suggest.closest('ovelray', ['overlay', 'scale'])).to.eql('overlay');
+    expect(suggest.closest('xyz', ['overlay', 'scale'])).to.be.undefined;
+    expect(suggest.didYouMean('hflp', ['hflip'])).to.eql(' (did you mean "hflip"?)');
+    expect(suggest.didYouMean('xyz', ['hflip'])).to.eql('');
+  });
+});
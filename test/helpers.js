@@ -1,7 +1,8 @@
 const chai = require('chai'),
   expect = chai.expect;
 
-const { Readable } = require('stream');
+const { EventEmitter } = require('events');
+const { PassThrough, Readable } = require('stream');
 
 /**
  * Test readable stream class (for internal use in testing only)
@@ -40,5 +41,30 @@ module.exports = {
       }
     }
   },
-  createTestReadableStream () { return new TestReadableStream(); }
+  createTestReadableStream () { return new TestReadableStream(); },
+  createTestProcess (fdCount = 3) {
+    const proc = new EventEmitter();
+    proc.stdio = Array.from({ length: fdCount }, () => new PassThrough());
+    [proc.stdin, proc.stdout, proc.stderr] = proc.stdio;
+    proc.killSignals = [];
+    proc.kill = (signal) => { proc.killSignals.push(signal); };
+    return proc;
+  },
+  // minimal AbortController stand-in for node versions without a global one
+  createTestAbortController () {
+    const listeners = new Set();
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+    return {
+      signal,
+      abort () {
+        signal.aborted = true;
+        listeners.forEach((listener) => listener());
+        listeners.clear();
+      }
+    };
+  }
 };
@@ -0,0 +1,64 @@
+const chai = require('chai'),
+  expect = chai.expect,
+  sinon = require('sinon');
+
+const createLogger = require('../lib/util/logger');
+const { childLogger, ffmpegLogLevel, logFFmpegOutput } = createLogger;
+
+describe('logger', function () {
+  describe('createLogger()', function () {
+    it('writes debug, trace and info messages to the console with the debug flag', function () {
+      const info = sinon.stub(console, 'info');
+      const warn = sinon.stub(console, 'warn');
+      createLogger({ debugFlag: false, warnFlag: true }).info('hidden');
+      createLogger({ debugFlag: true }).info('shown');
+      createLogger({ debugFlag: true }).warn('hidden');
+      createLogger({ warnFlag: true }).warn('shown');
+      expect(info.args).to.eql([['shown']]);
+      expect(warn.args).to.eql([['shown']]);
+    });
+  });
+  describe('childLogger()', function () {
+    it('asks loggers with a child method for a child logger', function () {
+      const child = { info: sinon.spy() };
+      const logger = { child: sinon.stub().returns(child) };
+      expect(childLogger(logger, { commandId: 1 })).to.equal(child);
+      expect(logger.child.calledOnceWith({ commandId: 1 })).to.be.true;
+    });
+    it('starts the messages to other loggers with the context', function () {
+      const logger = { debug: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+      const child = childLogger(logger, { commandId: 1 }).child({ outputUrl: '/some/file.mp4' });
+      child.warn('message', 'detail');
+      child.info('ignored');
+      const error = new Error('failed');
+      childLogger(logger, { inputUrl: '/some/my file.mov' }).error(error);
+      expect(logger.warn.args).to.eql([['[commandId=1 outputUrl=/some/file.mp4] message', 'detail']]);
+      expect(logger.error.args).to.eql([['[inputUrl="/some/my file.mov"]', error]]);
+      expect(logger.debug.called).to.be.false;
+    });
+  });
+  describe('ffmpegLogLevel()', function () {
+    it('uses the level printed by ffmpeg, with info lines as debug messages', function () {
+      expect(ffmpegLogLevel('[info] Input #0, mov,mp4,m4a,3gp,3g2,mj2, from \'in.mov\':')).to.eql('debug');
+      expect(ffmpegLogLevel('[h264 @ 0x55d0c0a4c2c0] [warning] no frame!')).to.eql('warn');
+      expect(ffmpegLogLevel('[fatal] in.mov: No such file or directory')).to.eql('error');
+      expect(ffmpegLogLevel('[out#0/mp4 @ 0x55d0c0] [verbose] Output stream #0:0 (video): 10 frames encoded')).to.eql('debug');
+    });
+    it('recognises errors and warnings from the text of lines printed without level', function () {
+      expect(ffmpegLogLevel('in.mov: No such file or directory')).to.eql('error');
+      expect(ffmpegLogLevel('Error while decoding stream #0:0: Invalid data found when processing input')).to.eql('error');
+      expect(ffmpegLogLevel('[mp4 @ 0x55d0c0] Non-monotonous DTS in output stream 0:1')).to.eql('warn');
+      expect(ffmpegLogLevel('  Duration: 00:00:10.00, start: 0.000000, bitrate: 1205 kb/s')).to.eql('debug');
+    });
+  });
+  describe('logFFmpegOutput()', function () {
+    it('logs each line at its level, leaving out statistics and blank lines', function () {
+      const logger = { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+      logFFmpegOutput(logger, 'Input #0, mov\nframe=1 fps=0.0\rframe=2 fps=0.0\r\n[warning] deprecated pixel format used\n\nConversion failed!\n');
+      expect(logger.debug.args).to.eql([['Input #0, mov']]);
+      expect(logger.info.called).to.be.false;
+      expect(logger.warn.args).to.eql([['[warning] deprecated pixel format used']]);
+      expect(logger.error.args).to.eql([['Conversion failed!']]);
+    });
+  });
+});
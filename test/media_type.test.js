@@ -0,0 +1,38 @@
+const chai = require('chai'),
+  expect = chai.expect;
+
+const { guessMediaType } = require('../lib/util/media_type');
+const FFmpegInput = require('../lib/ffmpeg_input');
+const FFmpegStreamSpecifier = require('../lib/ffmpeg_stream_specifier');
+const FilterChain = require('../lib/filter_chain');
+const FilterNode = require('../lib/filter_node');
+
+describe('guessMediaType', function () {
+  const input = new FFmpegInput('in.mov');
+  const chain = (filterName, inputs = []) => {
+    const fc = new FilterChain([new FilterNode(filterName)]);
+    fc.addInputs(inputs);
+    return fc.streamSpecifier();
+  };
+
+  it('reads the media type of input streams from their specifier', function () {
+    expect(guessMediaType(input.streamSpecifier('v:0'))).to.eql('video');
+    expect(guessMediaType(input.streamSpecifier('a'))).to.eql('audio');
+    expect(guessMediaType(input.streamSpecifier('0'))).to.be.undefined;
+    expect(guessMediaType(input.streamSpecifier().program(1).audio(0))).to.eql('audio');
+    expect(guessMediaType(new FFmpegStreamSpecifier(null, '[label]'))).to.be.undefined;
+  });
+  it('follows filter chains back to their first input', function () {
+    expect(guessMediaType(chain('hflip', [chain('anull', [input.streamSpecifier('v')])]))).to.eql('video');
+    expect(guessMediaType(chain('pan', [input.streamSpecifier('a')]))).to.eql('audio');
+  });
+  it('knows filters turning audio into video', function () {
+    expect(guessMediaType(chain('showwaves', [input.streamSpecifier('a')]))).to.eql('video');
+  });
+  it('falls back to the filter name', function () {
+    expect(guessMediaType(chain('anullsrc'))).to.eql('audio');
+    expect(guessMediaType(chain('sine'))).to.eql('audio');
+    expect(guessMediaType(chain('allrgb'))).to.eql('video');
+    expect(guessMediaType(chain('testsrc'))).to.eql('video');
+  });
+});
@@ -0,0 +1,238 @@
+const chai = require('chai'),
+  expect = chai.expect,
+  chaiAsPromised = require('chai-as-promised'),
+  sinon = require('sinon'),
+  fs = require('fs'),
+  path = require('path'),
+  childProcess = require('child_process');
+
+chai.use(chaiAsPromised);
+
+const OptionSchema = require('../lib/option_schema');
+const FFmpegOption = require('../lib/ffmpeg_option');
+const FFmpegCommand = require('../lib/ffmpeg_command');
+const FFmpegInput = require('../lib/ffmpeg_input');
+const FFmpegOutput = require('../lib/ffmpeg_output');
+const FFmpegError = require('../lib/ffmpeg_error');
+const getConfig = require('../lib/util/config');
+const testHelpers = require('./helpers');
+
+const helpOutput = fs.readFileSync(path.join(__dirname, 'fixtures', 'ffmpeg-help-full.out'), 'utf8');
+
+describe('OptionSchema', function () {
+  let schema;
+  before(() => {
+    schema = new OptionSchema(OptionSchema.parseHelp(helpOutput));
+  });
+  const check = (name, arg, place) => schema.checkOption(new FFmpegOption(name, arg), place);
+
+  describe('parseHelp()', function () {
+    it('parses main options with where they apply and whether they take a value', function () {
+      expect(schema.get('y')).to.eql([{
+        sections: ['Global options (affect whole program instead of just one file'],
+        places: ['global'],
+        takesValue: false,
+        description: 'overwrite output files'
+      }]);
+      expect(schema.get('ss')[0]).to.include({ takesValue: true, description: 'set the start time offset' });
+      expect(schema.get('ss')[0].places).to.eql(['input', 'output']);
+      expect(schema.get('re')[0].places).to.eql(['input']);
+      expect(schema.get('map')[0].places).to.eql(['output']);
+    });
+    it('corrects whether main options take a value where the help is misleading', function () {
+      expect(schema.get('vsync')[0].takesValue).to.be.true;
+      expect(schema.get('hide_banner')[0].takesValue).to.be.false;
+    });
+    it('merges main options listed in several sections', function () {
+      expect(schema.get('s')).to.have.lengthOf(1);
+      expect(schema.get('s')[0].sections).to.eql(['Video options', 'Subtitle options']);
+    });
+    it('parses AVOptions with their type, range and named values', function () {
+      expect(schema.get('crf')).to.eql([{
+        sections: ['libx264', 'libx264rgb'],
+        places: ['output'],
+        takesValue: true,
+        type: 'float',
+        description: 'Select the quality for constant quality mode',
+        min: -1
+      }]);
+      const strict = schema.get('strict')[0];
+      expect(strict.places).to.eql(['input', 'output']);
+      expect(strict.values).to.eql(['very', 'strict', 'normal', 'unofficial', 'experimental']);
+      expect(schema.get('probesize')[0]).to.include({ type: 'int64', min: 32 });
+      expect(schema.get('probesize')[0].places).to.eql(['input']);
+    });
+    it('skips filter options', function () {
+      expect(schema.has('in_gain')).to.be.false;
+    });
+  });
+
+  describe('get() and has()', function () {
+    it('ignore stream specifiers and leading dashes', function () {
+      expect(schema.get('-c:v:0')).to.equal(schema.get('c'));
+      expect(schema.has('preset:v')).to.be.true;
+      expect(schema.has('frobnicate')).to.be.false;
+    });
+    it('know boolean main options negated with no', function () {
+      expect(schema.get('nostdin')).to.equal(schema.get('stdin'));
+      expect(schema.has('noss')).to.be.false;
+    });
+  });
+
+  describe('mainDefinition()', function () {
+    it('gives the main option definition, ignoring AVOptions', function () {
+      expect(schema.mainDefinition('stats')).to.include({ takesValue: false }).and.to.have.property('places').eql(['global']);
+      expect(schema.mainDefinition('-nostdin')).to.include({ takesValue: false });
+      expect(schema.mainDefinition('preset')).to.be.undefined;
+      expect(schema.mainDefinition('frobnicate')).to.be.undefined;
+    });
+  });
+
+  describe('checkOption()', function () {
+    it('accepts valid options', function () {
+      expect(check('y', null, 'global')).to.eql([]);
+      expect(check('re', null, 'input')).to.eql([]);
+      expect(check('c:v', 'libx264', 'output')).to.eql([]);
+      expect(check('preset:v', 'slow', 'output')).to.eql([]);
+      expect(check('movflags', '+faststart', 'output')).to.eql([]);
+      expect(check('strict', 'experimental', 'output')).to.eql([]);
+      expect(check('b:v', '2.5M', 'output')).to.eql([]);
+    });
+    it('reports unknown options with the nearest option name', function () {
+      expect(check('presett', 'slow', 'output')).to.eql(['unknown option "-presett" (did you mean "preset"?)']);
+    });
+    it('reports options used in the wrong place', function () {
+      expect(check('re', null, 'output')).to.eql(['option "-re" cannot be used on an output (it is an input option)']);
+      expect(check('preset:v', 'slow', 'input')).to.eql(['option "-preset:v" cannot be used on an input (it is an output option)']);
+      expect(check('y', null, 'output')).to.eql(['option "-y" cannot be used on an output (it is a global option)']);
+      expect(check('c:v', 'copy', 'global')).to.eql(['option "-c:v" cannot be used as a global option (it is an input or output option)']);
+    });
+    it('accepts AVOptions as global options', function () {
+      expect(check('sws_flags', 'lanczos', 'global')).to.eql([]);
+    });
+    it('reports missing and unexpected values', function () {
+      expect(check('re', '1', 'input')).to.eql(['option "-re" does not take a value, but is given "1"']);
+      expect(check('ss', null, 'input')).to.eql(['option "-ss" requires a value']);
+    });
+    it('reports invalid numeric and named values', function () {
+      expect(check('crf', '-5', 'output')).to.eql(['invalid value "-5" for option "-crf" (expected a number of at least -1)']);
+      expect(check('qmin', 'low', 'output')).to.eql(['invalid value "low" for option "-qmin" (expected a number from -1 to 69)']);
+      expect(check('strict', 'lax', 'output')).to.eql(['invalid value "lax" for option "-strict" (expected a number or one of very, strict, normal, unofficial, experimental)']);
+      expect(check('movflags', '+fastsart', 'output')).to.eql(['invalid value "+fastsart" for option "-movflags" (unknown flag "fastsart" (did you mean "faststart"?))']);
+    });
+    it('does not check expressions and other value types', function () {
+      expect(check('qmin', '2*3', 'output')).to.eql([]);
+      expect(check('preset', 'anything', 'output')).to.eql([]);
+    });
+  });
+
+  describe('load()', function () {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('runs ffmpeg -h full once per binary', function () {
+      sinon.stub(childProcess, 'execFile').yields(null, helpOutput, '');
+      return OptionSchema.load('/test/options/ffmpeg')
+        .then((loaded) => {
+          expect(loaded).to.be.instanceof(OptionSchema);
+          expect(loaded.ffmpegBin).to.eql('/test/options/ffmpeg');
+          expect(loaded.has('preset')).to.be.true;
+          expect(childProcess.execFile.firstCall.args.slice(0, 2)).to.eql(['/test/options/ffmpeg', ['-hide_banner', '-h', 'full']]);
+          return OptionSchema.load('/test/options/ffmpeg');
+        })
+        .then(() => {
+          expect(childProcess.execFile.callCount).to.eql(1);
+        });
+    });
+    it('rejects with an FFmpegError', function () {
+      sinon.stub(childProcess, 'execFile').yields(new Error('spawn /test/missing/ffmpeg ENOENT'), '', '');
+      return expect(OptionSchema.load('/test/missing/ffmpeg')).to.be.rejectedWith(FFmpegError);
+    });
+  });
+
+  describe('JSON snapshots and the bundled schema', function () {
+    it('round-trips through toJSON() and fromJSON()', function () {
+      expect(OptionSchema.fromJSON(JSON.stringify(schema)).options).to.eql(schema.options);
+    });
+    it('bundles a schema', function () {
+      const bundled = OptionSchema.bundled();
+      expect(bundled).to.equal(OptionSchema.bundled());
+      expect(bundled.get('re')[0].places).to.eql(['input']);
+      expect(bundled.has('movflags')).to.be.true;
+    });
+  });
+});
+
+describe('FFmpegOption#check()', function () {
+  it('checks the option against the bundled schema by default', function () {
+    expect(new FFmpegOption('re').check('output')).to.eql(['option "-re" cannot be used on an output (it is an input option)']);
+    expect(new FFmpegOption('re').check('input', new OptionSchema())).to.eql(['unknown option "-re"']);
+  });
+});
+
+describe('FFmpegCommand option checks', function () {
+  const config = getConfig();
+  let cmd;
+  beforeEach(() => {
+    cmd = new FFmpegCommand(new Map([['y', null]]));
+    cmd.addInput(new FFmpegInput('in.mp4', new Map([['preset:v', 'slow']])));
+    cmd.addOutput(new FFmpegOutput('out.mp4', new Map([['re', null], ['c:v', 'libx264']])));
+  });
+  afterEach(() => {
+    getConfig({ option_checks: 'off', option_schema: undefined });
+    sinon.restore();
+  });
+
+  it('parse() reads global options and options taking no argument from the schema', function () {
+    const parsed = FFmpegCommand.parse('-stats -nostdin -async 1 -i in.mov -bitexact -stats_period 5 out.mp4');
+    expect(Array.from(parsed.options)).to.eql([['stats', null], ['nostdin', null], ['async', '1']]);
+    expect(parsed.outputs()[0].options.map((o) => o.toCommandArray())).to.eql([['-bitexact'], ['-stats_period', '5']]);
+    const definition = { sections: ['Global options'], places: ['global'], takesValue: true, description: '' };
+    getConfig({ option_schema: new OptionSchema({ stats_period: [definition] }) });
+    expect(Array.from(FFmpegCommand.parse('-stats_period 5 -i in.mov out.mp4').options)).to.eql([['stats_period', '5']]);
+  });
+  it('validate() reports invalid options when given a schema', function () {
+    expect(cmd.validate()).to.eql([]);
+    const problems = cmd.validate({ schema: OptionSchema.bundled() });
+    expect(problems.map((p) => p.code)).to.eql(['invalid-option', 'invalid-option']);
+    expect(problems[0]).to.include({ message: 'input in.mp4: option "-preset:v" cannot be used on an input (it is an output option)' });
+    expect(problems[0].entity).to.equal(cmd.inputs()[0]);
+    expect(problems[1].message).to.eql('output out.mp4: option "-re" cannot be used on an output (it is an input option)');
+  });
+  it('validate() reports invalid global options', function () {
+    cmd.options.set('shortest', null);
+    const problems = cmd.validate({ schema: OptionSchema.bundled() });
+    expect(problems[0]).to.include({ message: 'global options: option "-shortest" cannot be used as a global option (it is an output option)' });
+    expect(problems[0].entity).to.equal(cmd);
+  });
+  it('accepts the options of real world commands', function () {
+    const parsed = FFmpegCommand.parse('ffmpeg -y -i /some/input_master.mov -filter_complex "scale=320:180" -c:v libx264 -preset:v fast -profile:v baseline -level:v 3.0 -pix_fmt yuv420p -g 48 -b:v 180k -movflags +faststart -minrate 162k -maxrate 198k -bufsize 36k -c:a aac -b:a 40k -ar 44.1k -ac 1 -f mp4 -aspect 16:9 -pass 2 -flags +bitexact -sws_flags +accurate_rnd+bitexact /some/output.mp4');
+    expect(parsed.validate({ schema: OptionSchema.bundled() })).to.eql([]);
+  });
+  it('does not check options before running by default', function () {
+    sinon.stub(childProcess, 'execFile').returns(testHelpers.createTestProcess()).yieldsAsync(null, '', '');
+    return cmd.execute().then(() => {
+      expect(childProcess.execFile.callCount).to.eql(1);
+    });
+  });
+  it('rejects commands with invalid options when option_checks is error', function () {
+    getConfig({ option_checks: 'error' });
+    sinon.stub(childProcess, 'execFile');
+    return expect(cmd.execute()).to.be.rejectedWith('Invalid options: input in.mp4: option "-preset:v" cannot be used on an input')
+      .then(() => {
+        expect(childProcess.execFile.callCount).to.eql(0);
+        expect(() => cmd.spawn()).to.throw('Invalid options');
+      });
+  });
+  it('logs warnings for invalid options when option_checks is warn', function () {
+    getConfig({ option_checks: 'warn' });
+    sinon.stub(config.logger, 'warn');
+    sinon.stub(childProcess, 'execFile').returns(testHelpers.createTestProcess()).yieldsAsync(null, '', '');
+    return cmd.execute().then(() => {
+      expect(config.logger.warn.callCount).to.eql(2);
+      expect(config.logger.warn.firstCall.args[0]).to.match(/\] Invalid option: input in.mp4: option "-preset:v"/);
+      expect(childProcess.execFile.callCount).to.eql(1);
+    });
+  });
+});
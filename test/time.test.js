@@ -0,0 +1,30 @@
+const chai = require('chai'),
+  expect = chai.expect;
+
+const { parseTime } = require('../lib/util/time');
+
+describe('parseTime', function () {
+  it('parses sexagesimal durations', function () {
+    expect(parseTime('01:02:03.5')).to.eql(3723.5);
+    expect(parseTime('02:03')).to.eql(123);
+    expect(parseTime('-00:00:01.25')).to.eql(-1.25);
+    expect(parseTime('00:00:53.568000')).to.be.almost(53.568);
+  });
+  it('parses durations in seconds, with optional units', function () {
+    expect(parseTime('55')).to.eql(55);
+    expect(parseTime('0.2')).to.eql(0.2);
+    expect(parseTime('200ms')).to.eql(0.2);
+    expect(parseTime('200000us')).to.eql(0.2);
+    expect(parseTime('12s')).to.eql(12);
+    expect(parseTime('-3')).to.eql(-3);
+  });
+  it('takes numbers to be seconds', function () {
+    expect(parseTime(12.5)).to.eql(12.5);
+  });
+  it('returns undefined for values that are not durations', function () {
+    expect(parseTime('N/A')).to.be.undefined;
+    expect(parseTime('1:2:3:4')).to.be.undefined;
+    expect(parseTime(undefined)).to.be.undefined;
+    expect(parseTime(NaN)).to.be.undefined;
+  });
+});
@@ -3,18 +3,31 @@ import type FFmpegCommand = require('./lib/ffmpeg_command');
 import type FFmpegError = require('./lib/ffmpeg_error');
 import type FFmpegInput = require('./lib/ffmpeg_input');
 import type FFmpegOutput = require('./lib/ffmpeg_output');
+import type FFprobe = require('./lib/ffprobe');
 import type FilterChain = require('./lib/filter_chain');
+import type FilterGraph = require('./lib/filter_graph');
 import type FilterNode = require('./lib/filter_node');
+import type FilterRegistry = require('./lib/filter_registry');
+import type OptionSchema = require('./lib/option_schema');
 
-/** Main function interface to the library. Returns object of classes when called. */
+/**
+ * Main function interface to the library. Returns object of classes when called.
+ *
+ * Called with options, it returns classes bound to a configuration of their own (the defaults and these options),
+ * so that differently configured instances can be used side by side.
+ */
 declare function Fessonia(opts?: Partial<Fessonia.ConfigOpts>): Fessonia;
 
 interface Fessonia {
   FFmpegCommand: typeof FFmpegCommand;
   FFmpegInput: typeof FFmpegInput;
   FFmpegOutput: typeof FFmpegOutput;
+  FFprobe: typeof FFprobe;
   FilterChain: typeof FilterChain;
+  FilterGraph: typeof FilterGraph;
   FilterNode: typeof FilterNode;
+  FilterRegistry: typeof FilterRegistry;
+  OptionSchema: typeof OptionSchema;
 }
 
 declare namespace Fessonia {
@@ -25,8 +38,12 @@ declare namespace Fessonia {
       FFmpegError,
       FFmpegInput,
       FFmpegOutput,
+      FFprobe,
       FilterChain,
+      FilterGraph,
       FilterNode,
+      FilterRegistry,
+      OptionSchema,
     };
 }
 
@@ -1,23 +1,48 @@
+/// <reference lib="es2018.asynciterable" />
 import { EventEmitter } from 'events';
 import { ChildProcessWithoutNullStreams } from 'child_process';
 import FFmpegInput = require('./ffmpeg_input');
 import FFmpegOutput = require('./ffmpeg_output');
 import FilterChain = require('./filter_chain');
 import FilterGraph = require('./filter_graph');
+import FilterNode = require('./filter_node');
+import FFmpegProgressEmitter = require('./ffmpeg_progress_emitter');
+import OptionSchema = require('./option_schema');
+import { FessoniaConfig } from './util/config';
+import { Logger } from './util/logger';
 
 export = FFmpegCommand;
 
 /** Class representing an FFmpeg command (`ffmpeg ...`) */
 declare class FFmpegCommand extends EventEmitter {
+    /** the expected duration of the output in seconds, used to add `percent` and `etaSeconds` to 'update' events */
+    expectedDuration: number | undefined;
     filterGraph: FilterGraph;
+    /** the id of the command in the context of its log messages (default: a number counting the commands created) */
+    id: number | string;
+    /** the logger of the command: a child of the configured logger, with the `id` as `commandId` context */
+    readonly logger: Logger;
 
     constructor(options?: FFmpegCommand.Options);
 
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+
     /** Add a filter chain to the FFmpegCommand object's filter graph */
     addFilterChain(filterChain: FilterChain): void
     addInput(input: FFmpegInput): void;
     addOutput(output: FFmpegOutput): void;
+    /** Execute the command and return a promise for the `stdout` output of ffmpeg */
+    execute(options?: FFmpegCommand.ExecutionOptions): Promise<string>;
 
+    /** Get the value of a global option (null for options without a value), or undefined if it is not set; aliases such as `lavfi` for `filter_complex` match too */
+    getOption(name: string): any;
+    /** Check whether a global option (or one of its aliases) is set */
+    hasOption(name: string): boolean;
+    /** Set a global option, replacing it and its aliases in place, or adding it at the end if it is not set */
+    setOption(name: string, value?: any): void;
+    /** Remove a global option and its aliases, returning true if it was set */
+    removeOption(name: string): boolean;
     /** Get inputs on the FFmpegCommand object */
     inputs(): FFmpegInput[];
     /** Get the currently buffered log data from the ffmpeg run */
@@ -26,12 +51,116 @@ declare class FFmpegCommand extends EventEmitter {
     logLines(n: number): string[];
      /** Get outputs on the FFmpegCommand object */
     outputs(): FFmpegOutput[];
-    /** Generate the command representation of the command */
-    toCommand(): { command: string, args: string[] };
-    toString(): string;
+    /** Get an async iterator over the progress updates of the ffmpeg process running (or last run) when iteration starts */
+    progress(options?: FFmpegCommand.ProgressOptions): AsyncIterableIterator<FFmpegProgressEmitter.ProgressData>;
+    /** Find the expected duration of the output by probing the inputs with ffprobe */
+    probeExpectedDuration(): Promise<number | undefined>;
+    /** Run the command and return a promise for its result */
+    run(options?: FFmpegCommand.ExecutionOptions): Promise<FFmpegCommand.RunResult>;
+    /** Spawn a child process to execute the command and return the child process */
+    spawn(emitProgress?: boolean, options?: FFmpegCommand.ExecutionOptions): ChildProcessWithoutNullStreams;
+    /** Stop the running ffmpeg process, if any */
+    stop(options?: FFmpegCommand.StopOptions): Promise<void>;
+    /** Generate the command representation of the command, with the positions of option names in `args` */
+    toCommand(): { command: string, args: string[], optionIndexes: number[] };
+    /** Generate the JSON representation of the command, to recreate it with {@link FFmpegCommand.fromJSON} */
+    toJSON(): FFmpegCommand.Serialized;
+    /** Draw the command's inputs, filter graph and outputs as a Graphviz DOT digraph */
+    toDot(): string;
+    /** Draw the command's inputs, filter graph and outputs as a Mermaid flowchart */
+    toMermaid(): string;
+    /** Check the command for mistakes that ffmpeg would only report once running */
+    validate(options?: { schema?: OptionSchema }): FFmpegCommand.Problem[];
+    /** Generate the command string, quoted for a POSIX shell unless another `shell` is given */
+    toString(options?: { shell?: FFmpegCommand.Shell }): string;
+
+    /** Parse an ffmpeg command line (a shell string or an argv array) into an FFmpegCommand object, without the configured `default_options` */
+    static parse(commandLine: string | string[]): FFmpegCommand;
+    /** Create a command from its JSON representation (see {@link FFmpegCommand.toJSON}), without the configured `default_options` */
+    static fromJSON(json: string | FFmpegCommand.Serialized): FFmpegCommand;
+    /**
+     * Write commands as a standalone bash script, passing filter graphs longer than `filterScriptThreshold`
+     * (default: the `filter_script_threshold` config option) in a file, with the `filterScriptOption`
+     * (default: the `filter_script_option` config option, e.g. `'filter_complex_script'` or `'/filter_complex'`)
+     */
+    static toScript(commands: FFmpegCommand | FFmpegCommand[], options?: { filterScriptThreshold?: number | null, filterScriptOption?: string }): string;
+    /** Write commands as a Makefile, with a rule making the outputs of each command */
+    static toMakefile(commands: FFmpegCommand | FFmpegCommand[]): string;
 }
 
 declare namespace FFmpegCommand {
+    /** the shells command strings can be quoted for (`cmd` being cmd.exe batch files) */
+    export type Shell = 'posix' | 'cmd' | 'powershell';
+
     /** The global options for the command. */
     export type Options = Map<string, any> | { [key: string]: any };
+
+    export type JSONValue = string | number | boolean | null;
+
+    /** A stream specifier: on an input, on a filter chain output pad, or literal */
+    export type StreamJSON =
+        { input: number, specifier: string, exclude?: true, optional?: true } |
+        { chain: number, pad: number, label?: string } |
+        { literal: string };
+
+    /** The JSON representation of a command; streams are referred to by their position in `streams` */
+    export interface Serialized {
+        options: Array<[string, JSONValue]>;
+        inputs: Array<{ url: string, options: Array<[string, JSONValue]> }>;
+        filterGraph: { chains: Array<{ nodes: FilterNode.Serialized[], inputs: number[] }> } | null;
+        streams: StreamJSON[];
+        outputs: Array<{ url: string, options: Array<[string, JSONValue]>, streams: number[] }>;
+        expectedDuration: number | null;
+    }
+
+    /** A problem found by {@link FFmpegCommand.validate} */
+    export interface Problem {
+        code: 'unused-output-pad' | 'missing-input' | 'missing-filter-chain' | 'foreign-stream' | 'cycle' | 'unmapped-output' | 'invalid-option';
+        message: string;
+        /** the input, filter chain or output the problem concerns (or the command, for its global options) */
+        entity: FFmpegInput | FilterChain | FFmpegOutput | FFmpegCommand;
+    }
+
+    /** Minimal shape of an AbortSignal, as used by the library */
+    export interface AbortSignalLike {
+        readonly aborted: boolean;
+        addEventListener(type: 'abort', listener: () => void, options?: { once?: boolean }): void;
+        removeEventListener(type: 'abort', listener: () => void): void;
+    }
+
+    export interface ExecutionOptions {
+        /** a signal to stop ffmpeg with */
+        signal?: AbortSignalLike;
+        /** kill ffmpeg (`SIGTERM`, then `SIGKILL`) if it runs longer than this */
+        timeoutMs?: number;
+        /** kill ffmpeg if its progress (`out_time`) does not move for this long (rejected by `execute` and `spawn(false)`) */
+        stallTimeoutMs?: number;
+    }
+
+    export interface ProgressOptions {
+        /** keep only the latest pending update instead of buffering all of them (default: true) */
+        coalesce?: boolean;
+    }
+
+    export interface StopOptions {
+        /** ask ffmpeg to quit on stdin before signalling it (default: true) */
+        graceful?: boolean;
+        /** how long to wait before escalating to the next signal (default: 5000) */
+        timeoutMs?: number;
+    }
+
+    export interface OutputInfo {
+        url: string;
+        /** size on disk in bytes, or null if the output is not a local file */
+        size: number | null;
+    }
+
+    /** The result of a successful run, also the data of the 'success' event */
+    export interface RunResult {
+        exitCode: number;
+        durationMs: number;
+        log: string;
+        progress: FFmpegProgressEmitter;
+        outputs: OutputInfo[];
+    }
 }
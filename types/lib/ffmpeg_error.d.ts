@@ -1,17 +1,30 @@
+import FFmpegCommand = require('./ffmpeg_command');
 import FFmpegProgressEmitter = require('./ffmpeg_progress_emitter');
 
 export = FFmpegError;
 
+declare namespace FFmpegError {
+    export type Reason = 'aborted' | 'timeout' | 'stalled' | 'failed';
+}
+
 interface FFmpegError extends Error {
     /** the FFmpeg command string that was executed */
     cmd: string;
     /** the child process' exit code */
     code: number;
+    /** the wall-clock run time of the process in milliseconds, if available */
+    durationMs?: number;
+    /** the child process' exit code (same as `code`) */
+    exitCode: number;
     /** the logs from FFmpeg, with FFmpeg times */
     log?: string;
     /** boolean, true if process was killed */
     killed?: boolean;
     name: 'FFmpegError';
+    /** the url of each output with its size on disk, if available */
+    outputs?: FFmpegCommand.OutputInfo[];
+    /** why the run ended: 'aborted' if it was stopped by the caller, 'timeout' or 'stalled' if it was stopped by a watchdog, otherwise 'failed' */
+    reason: FFmpegError.Reason;
     /** the progress emitter, if relevant */
     progress: FFmpegProgressEmitter | undefined;
     /** the signal that caused the process termination, if available */
@@ -1,8 +1,11 @@
+import { Readable } from 'stream';
 import FFmpegOption = require('./ffmpeg_option');
 import FilterChain = require('./filter_chain');
 import FilterGraph = require('./filter_graph');
 import FilterNode = require('./filter_node');
 import FFmpegStreamSpecifier = require('./ffmpeg_stream_specifier');
+import { FessoniaConfig } from './util/config';
+import { Logger } from './util/logger';
 
 export = FFmpegInput;
 
@@ -12,22 +15,38 @@ declare class FFmpegInput {
     filterType?: 'FilterGraph';
     inputLabel: string | undefined;
     options: FFmpegOption[];
+    stream?: Readable;
     url: string;
 
     /**
-     * @param url the address of the input file, or a filter object to use as input
+     * @param url the address of the input file, a filter object to use as input, or a stream to pipe into ffmpeg
      */
     constructor(url: FFmpegInput.UrlParam, options?: FFmpegInput.Options);
 
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+    /** the logger of the input: a child of the configured logger, with the `inputUrl` as context */
+    readonly logger: Logger;
+
+    addOptions(options: FFmpegInput.Options): void;
+    /** Get the value of an option (null for options without a value), or undefined if it is not set; aliases such as `codec:v` for `c:v` match too */
+    getOption(name: string): FFmpegOption.OptionValue | null | undefined;
+    /** Check whether an option (or one of its aliases) is set */
+    hasOption(name: string): boolean;
+    /** Set an option, replacing it and its aliases in place, or adding it at the end if it is not set */
+    setOption(name: string, value?: FFmpegOption.OptionValue | null): void;
+    /** Remove an option and its aliases, returning true if it was set */
+    removeOption(name: string): boolean;
+
     /**
      * Get a stream specifier for a stream on this input
      *
      * @param specifier the stream specifier (stream index, 'v', 'a', 's', 'd', or 't')
      */
-    streamSpecifier(specifier: string | number): FFmpegStreamSpecifier;
+    streamSpecifier(specifier?: string | number): FFmpegStreamSpecifier;
 }
 
 declare namespace FFmpegInput {
     export type Options = Map<string, FFmpegOption.OptionValue> | { [key: string]: FFmpegOption.OptionValue };
-    export type UrlParam = string | FilterNode | FilterChain | FilterGraph;
+    export type UrlParam = string | FilterNode | FilterChain | FilterGraph | Readable;
 }
@@ -1,6 +1,7 @@
 import FilterChain = require('./filter_chain');
 import FilterGraph = require('./filter_graph');
 import FilterNode = require('./filter_node');
+import OptionSchema = require('./option_schema');
 
 export = FFmpegOption;
 
@@ -24,6 +25,16 @@ declare class FFmpegOption {
      * @param arg - the argument for this option (default: null)
      */
     constructor(name: string, arg?: FFmpegOption.OptionValue | null);
+
+    /** Check whether this option is the same ffmpeg option as the given name (e.g. `c:v`, `codec:v` or `vcodec`) */
+    matches(name: string): boolean;
+    /** Check this option against the options known to ffmpeg (by default, the bundled schema) */
+    check(place: OptionSchema.Place, schema?: OptionSchema): string[];
+
+    /** Get the canonical form of an option name, so that aliases are recognised as the same option */
+    static canonicalName(name: string): string;
+    /** Combine default options with the options given, leaving out the defaults they override (under any of their names) */
+    static withDefaults(defaults: FFmpegOption[], options: FFmpegOption[]): FFmpegOption[];
 }
 
 declare namespace FFmpegOption {
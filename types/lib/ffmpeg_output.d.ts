@@ -1,15 +1,37 @@
+import { Writable } from 'stream';
 import FFmpegOption = require('./ffmpeg_option');
 import FFmpegStreamSpecifier = require('./ffmpeg_stream_specifier');
+import { FessoniaConfig } from './util/config';
+import { Logger } from './util/logger';
 
 export = FFmpegOutput;
 
 /** Class representing an FFmpeg output file */
 declare class FFmpegOutput {
-    constructor(url: string, options?: FFmpegOutput.Options);
+    stream?: Writable;
+    url: string;
+
+    /**
+     * @param url the location of the output file, or a stream to pipe ffmpeg's output into
+     */
+    constructor(url: string | Writable, options?: FFmpegOutput.Options);
+
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+    /** the logger of the output: a child of the configured logger, with the `outputUrl` as context */
+    readonly logger: Logger;
 
     addOptions(options: FFmpegOutput.Options): void;
     addStream(streamSpecifier: FFmpegStreamSpecifier): void;
     addStreams(streamSpecifiers: FFmpegStreamSpecifier[]): void;
+    /** Get the value of an option (null for options without a value), or undefined if it is not set; aliases such as `codec:v` for `c:v` match too */
+    getOption(name: string): FFmpegOption.OptionValue | null | undefined;
+    /** Check whether an option (or one of its aliases) is set */
+    hasOption(name: string): boolean;
+    /** Set an option, replacing it and its aliases in place, or adding it at the end if it is not set */
+    setOption(name: string, value?: FFmpegOption.OptionValue | null): void;
+    /** Remove an option and its aliases, returning true if it was set */
+    removeOption(name: string): boolean;
 }
 
 declare namespace FFmpegOutput {
@@ -7,6 +7,8 @@ export = FFmpegProgressEmitter;
  * @private
  */
 declare class FFmpegProgressEmitter extends Writable {
+    /** the expected duration of the output in seconds, used to estimate `percent` and `etaSeconds` */
+    expectedDuration: number | undefined;
     logBuffer: FFmpegProgressEmitter.Log[];
     partialProgressData: FFmpegProgressEmitter.ProgressData;
     progressData: FFmpegProgressEmitter.ProgressData;
@@ -35,6 +37,12 @@ declare namespace FFmpegProgressEmitter {
         out_time?: string;
         out_time_ms?: number;
         out_time_us?: number;
+        /** ffmpeg's processing speed (media seconds per second), smoothed over updates */
+        smoothedSpeed?: number;
+        /** how far along the output is, from 0 to 100, if the expected duration is known */
+        percent?: number;
+        /** the estimated time remaining in seconds, if the expected duration is known */
+        etaSeconds?: number;
         [key: string]: string | number | undefined;
     }
 }
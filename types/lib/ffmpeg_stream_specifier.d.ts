@@ -8,14 +8,53 @@ export = FFmpegStreamSpecifier;
  * @private
  */
 declare class FFmpegStreamSpecifier {
-    entity: FFmpegInput | FilterChain;
-    entityType: 'FFmpegInput' | 'FilterChain';
+    entity: FFmpegInput | FilterChain | null;
+    entityType: 'FFmpegInput' | 'FilterChain' | 'Literal';
+    /** a link label for a FilterChain output pad, used instead of the generated one */
+    label?: string;
     specifier: string;
+    /** whether the streams are excluded from an output (`-map -0:s`) */
+    isExcluded: boolean;
+    /** whether the streams may be missing (`-map 0:a?`) */
+    isOptional: boolean;
+    /** the stream type selected, if any */
+    readonly streamType: FFmpegStreamSpecifier.StreamType | undefined;
 
     /**
-     * @param entity the entity on which the stream specifier is applied
-     * @param specifier the stream specifier string or stream index
+     * @param entity the entity on which the stream specifier is applied, or null for a literal specifier (e.g. a filter pad label such as `[out]`)
+     * @param specifier the stream specifier string or stream index (default: the whole input)
      */
-    constructor(entity: FFmpegInput | FilterChain, specifier: string | number);
+    constructor(entity: FFmpegInput | FilterChain | null, specifier?: string | number);
     toString(): string;
+    /** Generate the argument of the `-map` option, with `-` for excluded and `?` for optional streams */
+    toMapArgument(): string;
+
+    /** Select the streams of a type, and optionally the stream with an index among them */
+    ofType(streamType: FFmpegStreamSpecifier.StreamType, index?: number): this;
+    video(index?: number): this;
+    audio(index?: number): this;
+    subtitle(index?: number): this;
+    data(index?: number): this;
+    attachment(index?: number): this;
+    /** Select the stream with an index among the streams selected so far */
+    index(index: number): this;
+    /** Select the streams of a program (`p:program_id`) */
+    program(programId: number): this;
+    /** Select the stream with a format-specific stream id (`#stream_id`) */
+    streamId(streamId: number | string): this;
+    /** Select the streams with a metadata tag, or with a metadata tag of a given value (`m:key[:value]`) */
+    metadata(key: string, value?: string): this;
+    /** Select the streams with a usable configuration (`u`) */
+    usable(): this;
+    /** Select the streams with all the given dispositions (`disp:default+forced`) */
+    disposition(...dispositions: string[]): this;
+    /** Exclude the streams from the output they are mapped to (`-map -0:s`) */
+    exclude(): this;
+    /** Let the streams be missing (`-map 0:a?`) */
+    optional(): this;
+}
+
+declare namespace FFmpegStreamSpecifier {
+    /** video, video other than attached pictures, audio, subtitle, data or attachment */
+    export type StreamType = 'v' | 'V' | 'a' | 's' | 'd' | 't';
 }
@@ -0,0 +1,100 @@
+import FFmpegInput = require('./ffmpeg_input');
+import { FessoniaConfig } from './util/config';
+
+export = FFprobe;
+
+/** Class representing an FFprobe inspection of a media file (`ffprobe ...`) */
+declare class FFprobe {
+    /** the input format (`-f`), if set on the input object */
+    format?: string;
+    url: string;
+
+    /**
+     * @param input the address of the media file to inspect, or an input object (not piped from a stream or made from a filter object)
+     */
+    constructor(input: string | FFmpegInput);
+
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+
+    /** Run ffprobe and return a promise for the parsed result */
+    probe(): Promise<FFprobe.Result>;
+    /** Generate the command representation of the ffprobe command */
+    toCommand(): { command: string, args: string[], optionIndexes: number[] };
+    /** Generate the command string, quoted for a POSIX shell unless another `shell` is given */
+    toString(options?: { shell?: 'posix' | 'cmd' | 'powershell' }): string;
+
+    /** Parse the JSON output of ffprobe */
+    static parseOutput(output: string): FFprobe.Result;
+    /** Parse a rational string (`num/den` or `num:den`) */
+    static parseRational(value: string): FFprobe.Rational | null;
+    /** Inspect a media file */
+    static probe(input: string | FFmpegInput): Promise<FFprobe.Result>;
+}
+
+declare namespace FFprobe {
+    export interface Rational {
+        num: number;
+        den: number;
+        /** the decimal value, or null if `den` is 0 */
+        value: number | null;
+    }
+
+    export type Tags = { [key: string]: string };
+
+    export interface Format {
+        filename: string;
+        nb_streams: number;
+        nb_programs: number;
+        format_name: string;
+        format_long_name?: string;
+        start_time: number | null;
+        duration: number | null;
+        size: number | null;
+        bit_rate: number | null;
+        probe_score: number;
+        tags?: Tags;
+        [key: string]: unknown;
+    }
+
+    export interface Stream {
+        index: number;
+        codec_name?: string;
+        codec_long_name?: string;
+        codec_type: 'video' | 'audio' | 'subtitle' | 'data' | 'attachment';
+        width?: number;
+        height?: number;
+        sample_aspect_ratio?: Rational | null;
+        display_aspect_ratio?: Rational | null;
+        pix_fmt?: string;
+        sample_rate?: number | null;
+        channels?: number;
+        channel_layout?: string;
+        r_frame_rate: Rational | null;
+        avg_frame_rate: Rational | null;
+        time_base: Rational | null;
+        start_time?: number | null;
+        duration?: number | null;
+        bit_rate?: number | null;
+        nb_frames?: number | null;
+        disposition?: { [key: string]: number };
+        tags?: Tags;
+        [key: string]: unknown;
+    }
+
+    export interface Chapter {
+        id: number;
+        time_base: Rational | null;
+        start: number;
+        start_time: number | null;
+        end: number;
+        end_time: number | null;
+        tags?: Tags;
+    }
+
+    export interface Result {
+        format: Format;
+        streams: Stream[];
+        chapters: Chapter[];
+    }
+}
@@ -1,5 +1,7 @@
 import FilterNode = require('./filter_node');
 import FFmpegStreamSpecifier = require('./ffmpeg_stream_specifier');
+import FilterRegistry = require('./filter_registry');
+import { FessoniaConfig } from './util/config';
 
 export = FilterChain;
 
@@ -16,13 +18,21 @@ declare class FilterChain {
 
     constructor(nodes: ArrayOfOneOrMore<FilterNode>);
 
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+
     addInput(input: FFmpegStreamSpecifier): void
     addInputs(inputs: FFmpegStreamSpecifier[]): void;
     appendNodes(...nodes: FilterNode[]): void;
     getOutputPad(specifier: string | number): string;
     position(): number;
     prependNodes (...nodes: FilterChain[]): void;
-    streamSpecifier(): FFmpegStreamSpecifier;
-    toString(): string;
+    /** Get the stream specifier for an output pad, by index or by link label (default: the first pad not requested yet) */
+    streamSpecifier(specifier?: number | string): FFmpegStreamSpecifier;
+    /** Check that every output pad of the chain's last filter is used, returning the problems found */
+    checkOutputPads(): string[];
+    toString(inputs?: FFmpegStreamSpecifier[]): string;
+    /** Validate the filters of the chain, and the pads linking them, against a filter registry */
+    validate(registry?: FilterRegistry): this;
     static wrap(filterNode: FilterNode | FilterChain): FilterChain;
 }
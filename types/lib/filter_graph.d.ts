@@ -1,5 +1,7 @@
 import FilterChain = require('./filter_chain');
 import FilterNode = require('./filter_node');
+import FFmpegInput = require('./ffmpeg_input');
+import { FessoniaConfig } from './util/config';
 
 export = FilterGraph;
 
@@ -9,9 +11,24 @@ declare class FilterGraph {
 
     constructor();
 
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+
     addFilterChain(chain: FilterChain): void;
     chainPosition(chain: FilterChain): number;
+    /** Check that an output pad label is not used by another chain of the graph, throwing an error if it is */
+    checkOutputLabel(label: string, chain: FilterChain): void;
     toString(): string;
+    /** Draw the filter graph as a Graphviz DOT digraph */
+    toDot(): string;
+    /** Draw the filter graph as a Mermaid flowchart */
+    toMermaid(): string;
+    /**
+     * Parse a filter graph string into a FilterGraph object
+     *
+     * @param inputs the inputs that input stream labels (e.g. `[0:v]`) refer to
+     */
+    static parse(str: string, inputs?: FFmpegInput[]): FilterGraph;
     static wrap(filterChain: FilterChain | FilterNode): FilterGraph;
     static wrap<T>(filterChain: T): T;
 }
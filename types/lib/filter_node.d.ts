@@ -1,3 +1,6 @@
+import FilterRegistry = require('./filter_registry');
+import { FessoniaConfig } from './util/config';
+
 export = FilterNode;
 
 declare class FilterNode {
@@ -6,15 +9,46 @@ declare class FilterNode {
 
     constructor(filterName: string, args?: FilterNode.Argument[] | keyValuePair);
 
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+
     getOutputPad(specifier: number | string): string;
+    /** Get the number of output pads of `split`, `asplit`, `channelsplit`, `segment` and `asegment` filters, as set by their arguments */
+    outputPadCount(): number | undefined;
+    /** Generate the filter string, with values escaped as filter option values */
+    toString(): string;
+    /** Generate the filter string for use within a filter graph, with values also escaped for the filter graph */
+    toFilterGraphString(): string;
+    toJSON(): FilterNode.Serialized;
+    /** Validate the filter name and argument names against a filter registry */
+    validate(registry: FilterRegistry): this;
+
+    /** Escape a filter option value (first level of ffmpeg's filter escaping) */
+    static escapeOptionValue(value: string | number): string;
+    /** Escape a filter description for use in a filter graph (second level of ffmpeg's filter escaping) */
+    static escapeFilterGraph(str: string): string;
+    static fromJSON(json: FilterNode.Serialized): FilterNode;
+    /** Mark a filter argument value as already escaped, so that it is written to the filter graph as is */
+    static raw(value: string | number): FilterNode.RawArgument;
 }
 
 declare namespace FilterNode {
-    export type Argument = stringOrNumber | Array<stringOrNumber | stringOrNumber[]> | keyValuePair;
+    export type Argument = stringOrNumber | RawArgument | Array<stringOrNumber | RawArgument | stringOrNumber[]> | keyValuePair;
+
+    export interface Serialized {
+        filterName: string;
+        args: Argument[] | keyValuePair;
+    }
+
+    /** A filter argument value written to the filter graph as is (see {@link FilterNode.raw}) */
+    export interface RawArgument {
+        type: 'RawFilterArgument';
+        value: string;
+    }
 }
 
 interface keyValuePair {
     name: string;
     value: string | string[];
 }
-type stringOrNumber = string | number;
+type stringOrNumber = string | number | FilterNode.RawArgument;
@@ -0,0 +1,53 @@
+import FilterChain = require('./filter_chain');
+import FilterNode = require('./filter_node');
+import { FessoniaConfig } from './util/config';
+
+export = FilterRegistry;
+
+/** Class representing the catalogue of filters known to an ffmpeg binary */
+declare class FilterRegistry {
+    filters: Record<string, FilterRegistry.FilterInfo>;
+    ffmpegBin: string;
+
+    constructor(filters?: Record<string, FilterRegistry.FilterInfo>, ffmpegBin?: string);
+
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+
+    get(filterName: string): FilterRegistry.FilterInfo | undefined;
+    has(filterName: string): boolean;
+    /** Load the pads and options of filters with `ffmpeg -h filter=NAME` */
+    loadDetails(filterNames?: string[]): Promise<this>;
+    /** Check a filter node against its filter's description, returning the problems found */
+    checkNode(node: FilterNode): string[];
+    /** Check a filter chain and the pads linking its filters, returning the problems found */
+    checkChain(chain: FilterChain): string[];
+    toJSON(): Record<string, FilterRegistry.FilterInfo>;
+
+    /** Load the filters known to an ffmpeg binary with `ffmpeg -filters`, cached per binary */
+    static load(ffmpegBin?: string): Promise<FilterRegistry>;
+    static fromJSON(json: string | Record<string, FilterRegistry.FilterInfo>): FilterRegistry;
+    static parseFilterList(output: string): Record<string, FilterRegistry.FilterInfo>;
+    static parseFilterHelp(output: string): Partial<FilterRegistry.FilterInfo>;
+}
+
+declare namespace FilterRegistry {
+    export type PadType = 'video' | 'audio';
+
+    export interface FilterOption {
+        type: string;
+        description: string;
+        values?: string[];
+    }
+
+    export interface FilterInfo {
+        name: string;
+        description: string;
+        timelineSupport: boolean;
+        sliceThreading: boolean;
+        commandSupport: boolean;
+        inputs: PadType[] | 'dynamic';
+        outputs: PadType[] | 'dynamic';
+        options?: Record<string, FilterOption>;
+    }
+}
@@ -0,0 +1,50 @@
+import FFmpegOption = require('./ffmpeg_option');
+import { FessoniaConfig } from './util/config';
+
+export = OptionSchema;
+
+/** Class representing the command line options known to an ffmpeg binary */
+declare class OptionSchema {
+    options: Record<string, OptionSchema.OptionDefinition[]>;
+    ffmpegBin: string;
+
+    constructor(options?: Record<string, OptionSchema.OptionDefinition[]>, ffmpegBin?: string);
+
+    /** the configuration used by the class: the process-wide one, or that of the instance returned by `getFessonia(opts)` */
+    static readonly config: FessoniaConfig;
+
+    /** Get the definitions of an option (which may have a stream specifier, e.g. `c:v`) */
+    get(optionName: string): OptionSchema.OptionDefinition[] | undefined;
+    has(optionName: string): boolean;
+    /** Get the definition of a main (non-AVOption) option, which ffmpeg looks up before AVOptions */
+    mainDefinition(optionName: string): OptionSchema.OptionDefinition | undefined;
+    /** Check an option against its definitions, returning the problems found */
+    checkOption(option: FFmpegOption, place: OptionSchema.Place): string[];
+    toJSON(): Record<string, OptionSchema.OptionDefinition[]>;
+
+    /** Load the options known to an ffmpeg binary with `ffmpeg -h full`, cached per binary */
+    static load(ffmpegBin?: string): Promise<OptionSchema>;
+    /** Get the schema bundled with the library */
+    static bundled(): OptionSchema;
+    static fromJSON(json: string | Record<string, OptionSchema.OptionDefinition[]>): OptionSchema;
+    static parseHelp(output: string): Record<string, OptionSchema.OptionDefinition[]>;
+}
+
+declare namespace OptionSchema {
+    /** where an option is given */
+    export type Place = 'global' | 'input' | 'output';
+
+    export interface OptionDefinition {
+        /** the sections of `ffmpeg -h full` defining the option, e.g. `'Per-file main options'` or `'libx264'` */
+        sections: string[];
+        places: Place[];
+        takesValue: boolean;
+        description: string;
+        /** the AVOption type, e.g. `'int'`, `'flags'` or `'string'` (main options have none) */
+        type?: string;
+        min?: number;
+        max?: number;
+        /** the named values of the AVOption */
+        values?: string[];
+    }
+}
@@ -1,9 +1,24 @@
 import { Logger } from './logger';
+import OptionSchema = require('../option_schema');
 
 export interface FessoniaConfig {
   ffmpeg_bin: string;
   ffprobe_bin: string;
   debug: boolean;
   log_warnings: boolean;
+  /** check options before running commands (default: `'off'`) */
+  option_checks: 'off' | 'warn' | 'error';
+  /** the schema to check options against (default: the bundled schema) */
+  option_schema: OptionSchema | undefined;
+  /** the length above which a filter graph is passed to ffmpeg in a temporary file (default: 16384; `null` to always inline it) */
+  filter_script_threshold: number | null;
+  /** the option passing that file (default: `'filter_complex_script'`; `'/filter_complex'` for ffmpeg 7.0 and later) */
+  filter_script_option: 'filter_complex_script' | '/filter_complex';
   logger: Logger;
+  /** the options added to every command (`global`), input and output unless given (default: none) */
+  default_options: {
+    global?: Record<string, any>;
+    input?: Record<string, any>;
+    output?: Record<string, any>;
+  };
 }
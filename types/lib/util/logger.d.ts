@@ -1,6 +1,11 @@
+/** A logger, such as a pino, bunyan or winston logger, or the console logger of the library */
 export interface Logger {
   debug: (...params: any[]) => void;
+  /** (optional for compatibility) */
+  info?: (...params: any[]) => void;
   error: (...params: any[]) => void;
-  trace: (...params: any[]) => void;
+  trace?: (...params: any[]) => void;
   warn: (...params: any[]) => void;
+  /** create a logger adding context (bindings) to its messages; other loggers get the context as the last argument of their messages */
+  child?: (context: Record<string, any>) => Logger;
 }